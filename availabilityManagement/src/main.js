@@ -1,5 +1,6 @@
 // availabilityManagement.js - handles user availability and matching
-import { Client, Databases, Query, ID } from 'node-appwrite';
+import { Client, Databases, Users, Functions, Query, ID } from 'node-appwrite';
+import { createHash } from 'crypto';
 
 // Helper function to log and send JSON response
 const sendJsonResponse = (res, statusCode, data, log, logError) => {
@@ -9,9 +10,59 @@ const sendJsonResponse = (res, statusCode, data, log, logError) => {
   } else {
     log ? log(responseLogMessage) : console.log(responseLogMessage);
   }
-  return res.json(data);
+  return res.json(data, statusCode);
 };
 
+// Identify the caller. A copy of resolveCaller in classManagement, which
+// explains it; keep the two the same.
+const resolveCaller = async (req, users) => {
+  const headers = req.headers || {};
+  const internalToken = process.env.INTERNAL_FUNCTION_TOKEN;
+  if (headers['x-appwrite-trigger'] === 'schedule' || (internalToken && headers['x-internal-token'] === internalToken)) {
+    return { userId: null, name: null, email: null, labels: [], isAdmin: true, isTutor: false, isInternal: true };
+  }
+
+  const userId = headers['x-appwrite-user-id'];
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    const user = await users.get(userId);
+    const labels = user.labels || [];
+    return {
+      userId,
+      name: user.name,
+      email: user.email,
+      labels,
+      isAdmin: labels.includes('admin'),
+      isTutor: labels.includes('tutor'),
+      isInternal: false
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Time zone used when neither the request nor the user's prefs give one
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Hong_Kong';
+
+// Check that a string is an IANA time zone the runtime knows
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Actions a user may call for their own account only
+const SELF_ACTIONS = ['submitAvailability', 'getUserAvailability'];
+
+// Actions that require the admin label
+const ADMIN_ACTIONS = ['findMatches', 'getPendingMatches', 'approveMatch', 'rejectMatch'];
+
 export default async ({ req, res, log, error: logError }) => {
   log("availabilityManagement function invoked.");
   log(`Request Method: ${req.method}`);
@@ -28,6 +79,11 @@ export default async ({ req, res, log, error: logError }) => {
     const databaseId = process.env.DATABASE_ID;
     const availabilityCollectionId = process.env.AVAILABILITY_COLLECTION_ID;
     const classesCollectionId = process.env.CLASSES_COLLECTION_ID;
+    const classTypesCollectionId = process.env.CLASS_TYPES_COLLECTION_ID;
+    const adminSettingsCollectionId = process.env.ADMIN_SETTINGS_COLLECTION_ID || 'admin_settings';
+    const matchesCollectionId = process.env.AVAILABILITY_MATCHES_COLLECTION_ID || 'availability_matches';
+    const locksCollectionId = process.env.CLASS_LOCKS_COLLECTION_ID || 'class_locks';
+    const classManagementFunctionId = process.env.CLASS_MANAGEMENT_FUNCTION_ID;
     const appwriteEndpoint = process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1';
 
     if (!projectId) {
@@ -54,6 +110,8 @@ export default async ({ req, res, log, error: logError }) => {
     log("Appwrite client initialized successfully.");
 
     const databases = new Databases(client);
+    const users = new Users(client);
+    const functions = new Functions(client);
     
     // --- Payload Parsing ---
     log("Attempting to parse request body...");
@@ -71,12 +129,64 @@ export default async ({ req, res, log, error: logError }) => {
         action: 'unknown'
       }, log, logError);
     }
+
+    // --- Caller Authorization ---
+    const caller = await resolveCaller(req, users);
+    log(`Caller: ${caller ? (caller.isInternal ? 'internal' : caller.userId) : 'anonymous'}`);
+
+    if (!caller) {
+      return sendJsonResponse(res, 401, {
+        success: false,
+        message: 'You must be signed in to do this',
+        action
+      }, log, logError);
+    }
+
+    if (ADMIN_ACTIONS.includes(action) && !caller.isAdmin) {
+      return sendJsonResponse(res, 403, {
+        success: false,
+        message: 'Admin access required',
+        action
+      }, log, logError);
+    }
+
+    if (SELF_ACTIONS.includes(action)) {
+      if (!data.userId) {
+        data.userId = caller.userId;
+      } else if (data.userId !== caller.userId && !caller.isAdmin) {
+        return sendJsonResponse(res, 403, {
+          success: false,
+          message: 'You can only do this for your own account',
+          action
+        }, log, logError);
+      }
+    }
     
     switch (action) {
       case 'submitAvailability':
         log(`Executing action: submitAvailability for userId: ${data.userId}, classType: ${data.classType}`);
         log(`Availabilities: ${JSON.stringify(data.availabilities)}`);
-        
+
+        if (data.timeZone && !isValidTimeZone(data.timeZone)) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'timeZone must be an IANA time zone such as "Asia/Hong_Kong"',
+            action: 'submitAvailability'
+          }, log, logError);
+        }
+
+        const normalized = normalizeAvailabilities(data.availabilities);
+        if (normalized.error) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: normalized.error,
+            action: 'submitAvailability'
+          }, log, logError);
+        }
+
+        // Slots are wall-clock times in the submitter's zone, so store it with them
+        const availabilityTimeZone = data.timeZone || await getUserTimeZone(users, data.userId);
+
         // Save user's availability
         const availabilityDoc = await databases.createDocument(
           databaseId,
@@ -85,7 +195,8 @@ export default async ({ req, res, log, error: logError }) => {
           {
             userId: data.userId,
             classType: data.classType,
-            availabilities: data.availabilities,
+            availabilities: normalized.availabilities,
+            timeZone: availabilityTimeZone,
             status: 'active',
             createdAt: new Date().toISOString()
           }
@@ -94,26 +205,70 @@ export default async ({ req, res, log, error: logError }) => {
         log(`Availability document created with ID: ${availabilityDoc.$id}`);
         
         // Optionally trigger match checking
+        let availabilityMatch = null;
         if (data.checkForMatches) {
           log("Checking for matches...");
-          await checkForMatches(databases, data.userId, data.classType, data.availabilities, databaseId, availabilityCollectionId, classesCollectionId, log, logError);
+          availabilityMatch = await checkForMatches(
+            databases,
+            functions,
+            users,
+            availabilityDoc,
+            databaseId,
+            availabilityCollectionId,
+            classTypesCollectionId,
+            adminSettingsCollectionId,
+            matchesCollectionId,
+            locksCollectionId,
+            classManagementFunctionId,
+            log,
+            logError
+          );
         }
         
         return sendJsonResponse(res, 200, {
           success: true,
           availabilityId: availabilityDoc.$id,
+          match: availabilityMatch,
           action: 'submitAvailability'
         }, log, logError);
         
       case 'findMatches':
         log(`Executing action: findMatches for classType: ${data.classType}, day: ${data.day}, time: ${data.time}`);
+
+        if (data.timeZone && !isValidTimeZone(data.timeZone)) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'timeZone must be an IANA time zone such as "Asia/Hong_Kong"',
+            action: 'findMatches'
+          }, log, logError);
+        }
+        if (!normalizeDayName(data.day) || parseTimeOfDay(data.time) === null) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'findMatches needs a day such as "Monday" and a time such as "7:00 PM" or "19:00"',
+            action: 'findMatches'
+          }, log, logError);
+        }
+        if (data.sessionDuration !== undefined && !(Number.isInteger(data.sessionDuration) && data.sessionDuration > 0)) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'sessionDuration must be a whole number of minutes',
+            action: 'findMatches'
+          }, log, logError);
+        }
+
+        // The session runs for the class type's length unless one is given
+        const matchSessionMinutes = data.sessionDuration ||
+          await getSessionMinutes(databases, data.classType, databaseId, classTypesCollectionId, logError);
         
-        // Find matching availabilities for a time slot
+        // Find users whose availability covers the whole session
         const matches = await findMatchingUsers(
           databases, 
           data.classType, 
           data.day, 
           data.time, 
+          matchSessionMinutes,
+          data.timeZone || DEFAULT_TIME_ZONE,
           data.excludeUserId,
           databaseId,
           availabilityCollectionId,
@@ -122,10 +277,106 @@ export default async ({ req, res, log, error: logError }) => {
         
         return sendJsonResponse(res, 200, {
           success: true,
+          sessionDuration: matchSessionMinutes,
           matches: matches,
           action: 'findMatches'
         }, log, logError);
         
+      case 'getPendingMatches':
+        log(`Executing action: getPendingMatches`);
+
+        const pendingMatches = await databases.listDocuments(
+          databaseId,
+          matchesCollectionId,
+          [
+            Query.equal('status', 'pendingApproval'),
+            Query.orderAsc('createdAt'),
+            Query.limit(100)
+          ]
+        );
+
+        return sendJsonResponse(res, 200, {
+          success: true,
+          matches: pendingMatches.documents,
+          action: 'getPendingMatches'
+        }, log, logError);
+
+      case 'approveMatch':
+      case 'rejectMatch':
+        log(`Executing action: ${action} for matchId: ${data.matchId}`);
+
+        // Take the match out of pendingApproval under its lock first, so two
+        // admins deciding at once can't both act on it
+        const decision = await withMatchingLock(databases, databaseId, locksCollectionId, `match ${data.matchId}`, log, async () => {
+          let pendingMatch;
+          try {
+            pendingMatch = await databases.getDocument(databaseId, matchesCollectionId, data.matchId);
+          } catch (err) {
+            return { error: 'Match not found', statusCode: 404 };
+          }
+          if (pendingMatch.status !== 'pendingApproval') {
+            return { error: `This match is already ${pendingMatch.status}`, statusCode: 400 };
+          }
+
+          await databases.updateDocument(databaseId, matchesCollectionId, pendingMatch.$id, {
+            status: action === 'rejectMatch' ? 'rejected' : 'creatingClass',
+            decidedBy: caller.userId,
+            decidedAt: new Date().toISOString()
+          });
+          return { pendingMatch };
+        });
+
+        if (decision.error) {
+          return sendJsonResponse(res, decision.statusCode, {
+            success: false,
+            message: decision.error,
+            action
+          }, log, logError);
+        }
+        const { pendingMatch } = decision;
+
+        if (action === 'rejectMatch') {
+          // The users become free to be grouped again
+          await updateAvailabilities(databases, pendingMatch.availabilityIds, { status: 'active', matchId: null }, databaseId, availabilityCollectionId);
+          log(`Match ${pendingMatch.$id} rejected`);
+          return sendJsonResponse(res, 200, {
+            success: true,
+            matchId: pendingMatch.$id,
+            action
+          }, log, logError);
+        }
+
+        let approvedClassId;
+        try {
+          approvedClassId = await createClassFromMatch(
+            databases,
+            functions,
+            users,
+            pendingMatch,
+            databaseId,
+            availabilityCollectionId,
+            matchesCollectionId,
+            classManagementFunctionId,
+            log
+          );
+        } catch (err) {
+          logError(`Error creating class for match ${pendingMatch.$id}: ${err.message}`);
+          // Back to the admin's list to try again once the problem is fixed
+          await databases.updateDocument(databaseId, matchesCollectionId, pendingMatch.$id, { status: 'pendingApproval' });
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: `Could not create the class: ${err.message}`,
+            action
+          }, log, logError);
+        }
+
+        return sendJsonResponse(res, 201, {
+          success: true,
+          matchId: pendingMatch.$id,
+          classId: approvedClassId,
+          action
+        }, log, logError);
+
       case 'getUserAvailability':
         log(`Executing action: getUserAvailability for userId: ${data.userId}`);
         
@@ -171,75 +422,242 @@ export default async ({ req, res, log, error: logError }) => {
   }
 };
 
-// Helper function to check for matches
-async function checkForMatches(databases, userId, classType, availabilities, databaseId, availabilityCollectionId, classesCollectionId, log, logError) {
+// Default size of a group, including the submitter, that becomes a class
+const DEFAULT_MATCH_MIN_GROUP_SIZE = 3;
+
+// Spots on a class made from a match, unless the group is bigger
+const DEFAULT_MATCH_CLASS_SPOTS = 5;
+
+// Settings for turning matches into classes, from adminSettings.availabilityMatching
+// (validated by userAuth). Without a classTypeId the class type the
+// availability was submitted for is used.
+async function getMatchingSettings(databases, databaseId, adminSettingsCollectionId, logError) {
+  let settings = {};
+  try {
+    const settingsDocs = await databases.listDocuments(databaseId, adminSettingsCollectionId, [Query.limit(1)]);
+    settings = settingsDocs.documents.length > 0 ? JSON.parse(settingsDocs.documents[0].settings) || {} : {};
+  } catch (err) {
+    logError(`Error reading admin settings, using defaults: ${err.message}`);
+  }
+
+  const matching = settings.availabilityMatching || {};
+  return {
+    classTypeId: matching.classTypeId || null,
+    minGroupSize: matching.minGroupSize || DEFAULT_MATCH_MIN_GROUP_SIZE,
+    requireApproval: Boolean(matching.requireApproval)
+  };
+}
+
+// Look for a group of users free for a whole session inside one of the
+// submitted windows. The first big enough group is recorded as a match and
+// becomes a class, or waits for an admin when approval is required. Returns
+// { matchId, status, classId, userIds } or null when no group was found. When
+// the class can't be created the status is 'creationFailed' with the error,
+// and the match waits for an admin to approve it.
+async function checkForMatches(databases, functions, users, availabilityDoc, databaseId, availabilityCollectionId, classTypesCollectionId, adminSettingsCollectionId, matchesCollectionId, locksCollectionId, classManagementFunctionId, log, logError) {
   log("Starting match checking process...");
+  const matchingSettings = await getMatchingSettings(databases, databaseId, adminSettingsCollectionId, logError);
+  const classTypeId = matchingSettings.classTypeId || availabilityDoc.classType;
+  const sessionMinutes = await getSessionMinutes(databases, classTypeId, databaseId, classTypesCollectionId, logError);
+
+  // One submission at a time groups the users of a class type, so two
+  // submissions can't both pick the same active users
+  let matchDoc;
+  try {
+    matchDoc = await withMatchingLock(databases, databaseId, locksCollectionId, availabilityDoc.classType, log, () =>
+      recordMatch(databases, availabilityDoc, classTypeId, sessionMinutes, matchingSettings, databaseId, availabilityCollectionId, matchesCollectionId, log, logError)
+    );
+  } catch (error) {
+    logError(`Error matching availability ${availabilityDoc.$id}: ${error.message}`);
+    return null;
+  }
+  if (!matchDoc) {
+    return null;
+  }
+
+  if (matchingSettings.requireApproval) {
+    log(`Match ${matchDoc.$id} is waiting for admin approval`);
+    return { matchId: matchDoc.$id, status: 'pendingApproval', classId: null, userIds: matchDoc.userIds };
+  }
+
+  try {
+    const classId = await createClassFromMatch(databases, functions, users, matchDoc, databaseId, availabilityCollectionId, matchesCollectionId, classManagementFunctionId, log);
+    return { matchId: matchDoc.$id, status: 'classCreated', classId, userIds: matchDoc.userIds };
+  } catch (error) {
+    // The match goes on the admin's list to approve once the problem is fixed
+    logError(`Error creating class for match ${matchDoc.$id}, left for approval: ${error.message}`);
+    await databases.updateDocument(databaseId, matchesCollectionId, matchDoc.$id, { status: 'pendingApproval' })
+      .catch(err => logError(`Could not return match ${matchDoc.$id} to approval: ${err.message}`));
+    return { matchId: matchDoc.$id, status: 'creationFailed', classId: null, userIds: matchDoc.userIds, error: error.message };
+  }
+}
+
+// Find the first big enough group for the submitted windows, record it as a
+// match and take its users out of matching so they are not grouped twice.
+// Returns the match document or null. Must be called while holding the
+// matching lock for the class type.
+async function recordMatch(databases, availabilityDoc, classTypeId, sessionMinutes, matchingSettings, databaseId, availabilityCollectionId, matchesCollectionId, log, logError) {
+  const { userId, classType, timeZone } = availabilityDoc;
+
+  let candidates;
+  try {
+    candidates = await listAvailabilityWindows(databases, classType, null, databaseId, availabilityCollectionId);
+  } catch (error) {
+    logError(`Error loading availability to match against: ${error.message}`);
+    return null;
+  }
+
+  // A submission that held the lock before us may have grouped this user
+  const submitter = candidates.find(candidate => candidate.userId === userId);
+  if (!submitter?.availabilityIds.includes(availabilityDoc.$id)) {
+    log(`Availability ${availabilityDoc.$id} was matched while waiting for the lock`);
+    return null;
+  }
+  const otherUsers = candidates.filter(candidate => candidate.userId !== userId);
   
-  // For each availability, find if there are enough matching users
-  for (const slot of availabilities) {
-    log(`Checking matches for slot: ${slot}`);
-    const [day, time] = slot.split('-');
+  // For each window, find the session start that suits the most other users
+  for (const slot of availabilityDoc.availabilities || []) {
+    log(`Checking matches for window: ${slot}`);
+    const window = parseAvailabilityWindow(slot);
+    const ownWindow = window && toUtcWeekWindow(window, timeZone);
     
-    if (!day || !time) {
-      log(`Warning: Invalid slot format: ${slot}`);
+    if (!ownWindow) {
+      log(`Warning: Invalid availability window: ${slot}`);
       continue;
     }
+
+    const best = findBestSessionStart(ownWindow, otherUsers, sessionMinutes);
+    log(`Found ${best.users.length} matching users for ${slot}`);
     
+    if (best.users.length + 1 < matchingSettings.minGroupSize) {
+      continue;
+    }
+
+    // Hold the class at that start, in the submitter's own day and time
+    const { day, time } = utcWeekMinuteToSlot(best.start, timeZone);
+    log(`Enough matches found for ${slot}. Grouping ${best.users.length + 1} users on ${day} at ${time}...`);
+
+    let matchDoc = null;
     try {
-      // Find users available at this time
-      const matches = await findMatchingUsers(databases, classType, day, time, userId, databaseId, availabilityCollectionId, log);
-      
-      log(`Found ${matches.length} matching users for ${slot}`);
-      
-      // If enough users (e.g., 3+), create a class
-      if (matches.length >= 2) { // At least 3 total including current user
-        log(`Enough matches found for ${slot}. Creating class...`);
-        
-        // Here you could call your classManagement function to create a class
-        // For now, just log the potential class creation
-        log(`Would create class: ${classType} on ${day} at ${time} with users: ${userId}, ${matches.map(m => m.userId).join(', ')}`);
-        
-        // TODO: Implement class creation logic
-        // This could involve calling the classManagement function or creating the class directly here
-      }
+      matchDoc = await databases.createDocument(
+        databaseId,
+        matchesCollectionId,
+        ID.unique(),
+        {
+          classTypeId,
+          day,
+          time,
+          timeZone,
+          userIds: [userId, ...best.users.map(match => match.userId)],
+          availabilityIds: [...submitter.availabilityIds, ...best.users.flatMap(match => match.availabilityIds)],
+          // A match that becomes a class right away is never open for approval
+          status: matchingSettings.requireApproval ? 'pendingApproval' : 'creatingClass',
+          createdAt: new Date().toISOString()
+        }
+      );
+
+      // Take the users out of matching while the match is open, with every
+      // active document they have for the class type
+      await updateAvailabilities(databases, matchDoc.availabilityIds, { status: 'pendingApproval', matchId: matchDoc.$id }, databaseId, availabilityCollectionId);
+      return matchDoc;
     } catch (error) {
-      logError(`Error checking matches for slot ${slot}: ${error.message}`);
+      // Undo a half-recorded match so nobody is left out of matching by it,
+      // and stop rather than group the submitter a second time
+      logError(`Error recording match for window ${slot}: ${error.message}`);
+      if (matchDoc) {
+        for (const availabilityId of matchDoc.availabilityIds) {
+          await databases.updateDocument(databaseId, availabilityCollectionId, availabilityId, { status: 'active', matchId: null })
+            .catch(err => logError(`Could not return availability ${availabilityId} to matching: ${err.message}`));
+        }
+        await databases.deleteDocument(databaseId, matchesCollectionId, matchDoc.$id)
+          .catch(err => logError(`Could not remove match ${matchDoc.$id}: ${err.message}`));
+      }
+      return null;
     }
   }
+
+  return null;
+}
+
+// Create the class for a match through classManagement's createClass, which
+// enrolls and emails the users, then mark their availability as matched
+async function createClassFromMatch(databases, functions, users, matchDoc, databaseId, availabilityCollectionId, matchesCollectionId, classManagementFunctionId, log) {
+  if (!classManagementFunctionId) {
+    throw new Error('CLASS_MANAGEMENT_FUNCTION_ID environment variable not set.');
+  }
+
+  const initialMembers = [];
+  for (const memberId of matchDoc.userIds) {
+    const user = await users.get(memberId);
+    initialMembers.push({ userId: memberId, name: user.name, email: user.email, phone: user.phone || null });
+  }
+
+  const execution = await functions.createExecution(
+    classManagementFunctionId,
+    JSON.stringify({
+      action: 'createClass',
+      classTypeId: matchDoc.classTypeId,
+      day: matchDoc.day,
+      time: matchDoc.time,
+      timeZone: matchDoc.timeZone,
+      totalSpots: Math.max(DEFAULT_MATCH_CLASS_SPOTS, initialMembers.length),
+      initialMembers,
+      notifyInitialMembers: true
+    }),
+    false,
+    '/',
+    'POST',
+    {
+      'content-type': 'application/json',
+      'x-internal-token': process.env.INTERNAL_FUNCTION_TOKEN || ''
+    }
+  );
+  const response = JSON.parse(execution.responseBody || '{}');
+  if (!response.success) {
+    throw new Error(response.message || `classManagement execution ${execution.status}`);
+  }
+
+  const matchedAt = new Date().toISOString();
+  await updateAvailabilities(databases, matchDoc.availabilityIds, { status: 'matched', matchedClassId: response.classId, matchedAt }, databaseId, availabilityCollectionId);
+  await databases.updateDocument(databaseId, matchesCollectionId, matchDoc.$id, {
+    status: 'classCreated',
+    classId: response.classId
+  });
+
+  log(`Created class ${response.classId} for match ${matchDoc.$id} with users: ${matchDoc.userIds.join(', ')}`);
+  return response.classId;
+}
+
+// Apply the same change to several availability documents
+async function updateAvailabilities(databases, availabilityIds, changes, databaseId, availabilityCollectionId) {
+  for (const availabilityId of availabilityIds) {
+    await databases.updateDocument(databaseId, availabilityCollectionId, availabilityId, changes);
+  }
 }
 
-async function findMatchingUsers(databases, classType, day, time, excludeUserId, databaseId, availabilityCollectionId, log) {
-  const timeSlot = `${day}-${time}`;
-  log(`Looking for users with availability for: ${timeSlot}`);
+// Find the users, other than excludeUserId, whose availability covers a
+// whole session starting at day and time in timeZone
+async function findMatchingUsers(databases, classType, day, time, sessionMinutes, timeZone, excludeUserId, databaseId, availabilityCollectionId, log) {
+  const timeSlot = `${day} ${time}`;
+  log(`Looking for users with availability for: ${timeSlot} (${timeZone}), ${sessionMinutes} minutes`);
+
+  // Compare slots as minutes into the UTC week so users in different zones line up
+  const targetMinute = slotToUtcWeekMinute(day, time, timeZone);
+  if (targetMinute === null) {
+    log(`Warning: Invalid slot: ${timeSlot}`);
+    return [];
+  }
   
   try {
-    // Find availabilities that include this time slot
-    const matchingAvailabilities = await databases.listDocuments(
-      databaseId,
-      availabilityCollectionId,
-      [
-        Query.equal('classType', classType),
-        Query.equal('status', 'active'),
-        // Note: Query.search might not work as expected with arrays
-        // You might need to use Query.contains if available, or filter in code
-      ]
-    );
-    
-    log(`Found ${matchingAvailabilities.documents.length} total availability documents`);
-    
-    // Filter documents that contain the time slot and exclude the current user
-    const matches = matchingAvailabilities.documents
-      .filter(doc => {
-        // Check if this document includes the time slot
-        const hasTimeSlot = doc.availabilities && doc.availabilities.includes(timeSlot);
-        // Exclude the current user
-        const isNotCurrentUser = doc.userId !== excludeUserId;
-        
-        return hasTimeSlot && isNotCurrentUser;
-      })
-      .map(doc => ({
-        userId: doc.userId,
-        availabilityId: doc.$id
+    const candidates = await listAvailabilityWindows(databases, classType, excludeUserId, databaseId, availabilityCollectionId);
+    log(`Found ${candidates.length} other users with availability`);
+
+    const matches = candidates
+      .filter(candidate => candidate.windows.some(window => windowCovers(window, targetMinute, sessionMinutes)))
+      .map(candidate => ({
+        userId: candidate.userId,
+        availabilityId: candidate.availabilityIds[0],
+        availabilityIds: candidate.availabilityIds
       }));
     
     log(`Filtered to ${matches.length} matching users`);
@@ -248,4 +666,381 @@ async function findMatchingUsers(databases, classType, day, time, excludeUserId,
     log(`Error finding matching users: ${error.message}`);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// Load everyone's active availability for a class type, other than
+// excludeUserId, as windows in the UTC week. A user with several availability
+// documents appears once, with the windows and ids of all of them, so a match
+// takes every one of them out of matching.
+async function listAvailabilityWindows(databases, classType, excludeUserId, databaseId, availabilityCollectionId) {
+  const availabilityDocs = await databases.listDocuments(
+    databaseId,
+    availabilityCollectionId,
+    [
+      Query.equal('classType', classType),
+      Query.equal('status', 'active'),
+      Query.limit(1000)
+    ]
+  );
+
+  const byUser = new Map();
+  for (const doc of availabilityDocs.documents) {
+    if (doc.userId === excludeUserId) continue;
+
+    // Windows are wall-clock times in the document's own zone
+    const docTimeZone = doc.timeZone || DEFAULT_TIME_ZONE;
+    const windows = (doc.availabilities || [])
+      .map(slot => {
+        const window = parseAvailabilityWindow(slot);
+        return window && toUtcWeekWindow(window, docTimeZone);
+      })
+      .filter(Boolean);
+
+    if (!byUser.has(doc.userId)) {
+      byUser.set(doc.userId, { userId: doc.userId, availabilityIds: [], windows: [] });
+    }
+    const userEntry = byUser.get(doc.userId);
+    userEntry.availabilityIds.push(doc.$id);
+    userEntry.windows.push(...windows);
+  }
+  return [...byUser.values()].filter(userEntry => userEntry.windows.length > 0);
+}
+
+// Pick the session start inside ownWindow that the most other users can make.
+// Sessions start at the window's start or where another user's window opens,
+// so only those starts need checking. Returns { start, users }.
+function findBestSessionStart(ownWindow, otherUsers, sessionMinutes) {
+  const candidateStarts = new Set([ownWindow.start]);
+  for (const otherUser of otherUsers) {
+    for (const window of otherUser.windows) {
+      for (const shift of [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK]) {
+        const start = window.start + shift;
+        if (start > ownWindow.start && start < ownWindow.end) {
+          candidateStarts.add(start);
+        }
+      }
+    }
+  }
+
+  let best = { start: ownWindow.start, users: [] };
+  for (const start of [...candidateStarts].sort((a, b) => a - b)) {
+    if (start + sessionMinutes > ownWindow.end) continue;
+    const weekMinute = start % MINUTES_PER_WEEK;
+    const available = otherUsers.filter(otherUser =>
+      otherUser.windows.some(window => windowCovers(window, weekMinute, sessionMinutes))
+    );
+    if (available.length > best.users.length) {
+      best = { start: weekMinute, users: available };
+    }
+  }
+  return best;
+}
+
+// Whether a UTC week window holds a whole session starting at startMinute,
+// checking the neighbouring weeks for windows that wrap past Saturday midnight
+function windowCovers(window, startMinute, sessionMinutes) {
+  return [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].some(shift =>
+    window.start + shift <= startMinute && startMinute + sessionMinutes <= window.end + shift
+  );
+}
+
+// The length of a class type's sessions, falling back to the default
+async function getSessionMinutes(databases, classTypeId, databaseId, classTypesCollectionId, logError) {
+  if (!classTypeId || !classTypesCollectionId) {
+    return DEFAULT_SESSION_MINUTES;
+  }
+  try {
+    const classTypeDoc = await databases.getDocument(databaseId, classTypesCollectionId, classTypeId);
+    return classTypeDoc.sessionDuration || DEFAULT_SESSION_MINUTES;
+  } catch (err) {
+    logError(`Could not load class type ${classTypeId}, using ${DEFAULT_SESSION_MINUTES} minute sessions: ${err.message}`);
+    return DEFAULT_SESSION_MINUTES;
+  }
+}
+
+// A user's preferred time zone from their prefs, falling back to the default
+async function getUserTimeZone(users, userId) {
+  try {
+    const prefs = await users.getPrefs(userId);
+    return prefs.timeZone && isValidTimeZone(prefs.timeZone) ? prefs.timeZone : DEFAULT_TIME_ZONE;
+  } catch (err) {
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+// --- Matching lock ---
+// A copy of withClassLock and its helpers in classManagement, which explains
+// them; keep the two the same. The lock documents share classManagement's
+// locks collection, keyed by a hash so the ID stays within 36 characters.
+const LOCK_TTL_MS = 30000;
+const LOCK_RENEW_MS = 10000;
+const LOCK_MAX_ATTEMPTS = 50;
+const LOCK_RETRY_DELAY_MS = 100;
+
+// Run a callback while holding a matching lock. The key is a class type
+// while grouping its users, or "match <id>" while deciding on a match.
+async function withMatchingLock(databases, databaseId, locksCollectionId, key, log, callback) {
+  const hashedKey = createHash('sha256').update(String(key)).digest('hex').slice(0, 30);
+  return withLock(databases, databaseId, locksCollectionId, `match-${hashedKey}`, log, callback);
+}
+
+async function withLock(databases, databaseId, locksCollectionId, lockId, log, callback) {
+  const lockToken = ID.unique();
+  let acquired = false;
+
+  for (let attempt = 1; attempt <= LOCK_MAX_ATTEMPTS && !acquired; attempt++) {
+    try {
+      await databases.createDocument(
+        databaseId,
+        locksCollectionId,
+        lockId,
+        {
+          token: lockToken,
+          expiresAt: new Date(Date.now() + LOCK_TTL_MS).toISOString()
+        }
+      );
+      acquired = true;
+    } catch (err) {
+      if (err.code !== 409) {
+        throw err;
+      }
+
+      await releaseStaleLock(databases, databaseId, locksCollectionId, lockId, log);
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY_MS * Math.min(attempt, 10)));
+    }
+  }
+
+  if (!acquired) {
+    throw new Error(`Lock ${lockId} is busy, please try again.`);
+  }
+
+  const renewal = setInterval(() => {
+    renewLock(databases, databaseId, locksCollectionId, lockId, lockToken)
+      .catch(err => log(`Could not renew lock ${lockId}: ${err.message}`));
+  }, LOCK_RENEW_MS);
+
+  try {
+    return await callback();
+  } finally {
+    clearInterval(renewal);
+    try {
+      const lock = await databases.getDocument(databaseId, locksCollectionId, lockId);
+      if (lock.token === lockToken) {
+        await databases.deleteDocument(databaseId, locksCollectionId, lockId);
+      }
+    } catch (err) {
+      log(`Could not release lock ${lockId}: ${err.message}`);
+    }
+  }
+}
+
+async function renewLock(databases, databaseId, locksCollectionId, lockId, lockToken) {
+  const lock = await databases.getDocument(databaseId, locksCollectionId, lockId);
+  if (lock.token === lockToken) {
+    await databases.updateDocument(databaseId, locksCollectionId, lockId, {
+      expiresAt: new Date(Date.now() + LOCK_TTL_MS).toISOString()
+    });
+  }
+}
+
+async function releaseStaleLock(databases, databaseId, locksCollectionId, lockId, log) {
+  let staleLock;
+  try {
+    staleLock = await databases.getDocument(databaseId, locksCollectionId, lockId);
+  } catch (err) {
+    if (err.code === 404) return;
+    throw err;
+  }
+  if (new Date(staleLock.expiresAt).getTime() >= Date.now()) {
+    return;
+  }
+
+  const claimId = `stale-${staleLock.token}`;
+  try {
+    await databases.createDocument(databaseId, locksCollectionId, claimId, {
+      token: staleLock.token,
+      expiresAt: staleLock.expiresAt
+    });
+  } catch (err) {
+    if (err.code === 409) return;
+    throw err;
+  }
+
+  try {
+    const lock = await databases.getDocument(databaseId, locksCollectionId, lockId);
+    if (lock.token === staleLock.token) {
+      log(`Releasing stale lock ${lockId} held since ${lock.$createdAt}`);
+      await databases.deleteDocument(databaseId, locksCollectionId, lockId);
+    }
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  } finally {
+    await databases.deleteDocument(databaseId, locksCollectionId, claimId).catch(() => {});
+  }
+}
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+// Length of a session when the class type doesn't give one; keep in sync
+// with classManagement
+const DEFAULT_SESSION_MINUTES = 60;
+
+// --- Availability windows ---
+// Availability is stored as normalized strings "Monday 18:30-20:00": a day
+// name and a start and end time (24 hour) in the document's timeZone.
+// Documents saved before windows existed hold a single start such as
+// "Monday-7:00 PM", read as one default-length session.
+
+// Match a day name in any case to its proper spelling, or null
+function normalizeDayName(day) {
+  return DAY_NAMES.find(name => name.toLowerCase() === String(day || '').toLowerCase().trim()) || null;
+}
+
+// Check and normalize the availabilities sent to submitAvailability. Each is
+// { day, start, end }, a "Monday 18:30-20:00" string or a legacy single start.
+// Returns { availabilities } or { error }.
+function normalizeAvailabilities(availabilities) {
+  if (!Array.isArray(availabilities) || availabilities.length === 0) {
+    return { error: 'availabilities must be a list of { day, start, end } windows' };
+  }
+
+  const normalized = [];
+  for (const [index, entry] of availabilities.entries()) {
+    const { day, start, end } = typeof entry === 'string' ? readWindowString(entry) : (entry || {});
+    const dayName = normalizeDayName(day);
+    const startMinutes = parseTimeOfDay(start);
+    const endMinutes = end === '24:00' ? 24 * 60 : parseTimeOfDay(end);
+
+    if (!dayName) {
+      return { error: `availabilities[${index}]: day must be one of ${DAY_NAMES.join(', ')}` };
+    }
+    if (startMinutes === null || endMinutes === null) {
+      return { error: `availabilities[${index}]: start and end must look like "7:00 PM" or "19:00"` };
+    }
+    if (endMinutes <= startMinutes) {
+      return { error: `availabilities[${index}]: end must be after start on the same day` };
+    }
+
+    const window = `${dayName} ${formatTimeOfDay(startMinutes)}-${formatTimeOfDay(endMinutes)}`;
+    if (!normalized.includes(window)) {
+      normalized.push(window);
+    }
+  }
+  return { availabilities: normalized };
+}
+
+// Split "Monday 6:30 PM-8:00 PM" into its parts
+function splitWindowString(windowStr) {
+  const match = /^\s*(\S+)\s+(.+?)\s*-\s*(.+?)\s*$/.exec(windowStr);
+  return match ? { day: match[1], start: match[2], end: match[3] } : {};
+}
+
+// Read a submitted window string into { day, start, end }
+function readWindowString(windowStr) {
+  const parts = splitWindowString(windowStr);
+  if (parts.day) {
+    return parts;
+  }
+  const legacyWindow = parseAvailabilityWindow(windowStr);
+  return legacyWindow
+    ? { day: legacyWindow.day, start: formatTimeOfDay(legacyWindow.startMinutes), end: formatTimeOfDay(legacyWindow.endMinutes) }
+    : {};
+}
+
+// Read a stored window as { day, startMinutes, endMinutes }, or null
+function parseAvailabilityWindow(slot) {
+  const { day, start, end } = splitWindowString(slot);
+  if (normalizeDayName(day) && parseTimeOfDay(start) !== null) {
+    const endMinutes = end === '24:00' ? 24 * 60 : parseTimeOfDay(end);
+    return endMinutes === null ? null : { day: normalizeDayName(day), startMinutes: parseTimeOfDay(start), endMinutes };
+  }
+
+  // Legacy "Monday-7:00 PM"
+  const [legacyDay, legacyTime] = String(slot || '').split('-');
+  const startMinutes = parseTimeOfDay(legacyTime);
+  if (!normalizeDayName(legacyDay) || startMinutes === null) {
+    return null;
+  }
+  return { day: normalizeDayName(legacyDay), startMinutes, endMinutes: startMinutes + DEFAULT_SESSION_MINUTES };
+}
+
+// Turn a window in a time zone into { start, end } minutes of the UTC week.
+// end may run past the end of the week.
+function toUtcWeekWindow(window, timeZone) {
+  const start = slotToUtcWeekMinute(window.day, formatTimeOfDay(window.startMinutes), timeZone);
+  return start === null ? null : { start, end: start + window.endMinutes - window.startMinutes };
+}
+
+// Turn minutes of the UTC week back into a day and "HH:MM" time in a time zone
+function utcWeekMinuteToSlot(weekMinute, timeZone) {
+  const localMinute = ((weekMinute + getTimeZoneOffsetMinutes(timeZone)) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+  return {
+    day: DAY_NAMES[Math.floor(localMinute / (24 * 60))],
+    time: formatTimeOfDay(localMinute % (24 * 60))
+  };
+}
+
+// Parse "7:00 PM" or "19:00" into minutes after midnight
+function parseTimeOfDay(timeStr) {
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec((timeStr || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = match[3]?.toUpperCase();
+
+  if (period === 'PM' && hours !== 12) hours += 12;
+  if (period === 'AM' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+// Format minutes after midnight as "HH:mm"
+function formatTimeOfDay(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Minutes the time zone is currently ahead of UTC
+function getTimeZoneOffsetMinutes(timeZone) {
+  const now = new Date();
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - now.getTime()) / 60000);
+}
+
+// Turn a weekly "Day" + "time" in a time zone into minutes since Sunday 00:00 UTC.
+// Uses the zone's current offset, which is right for the weeks we match against.
+function slotToUtcWeekMinute(day, time, timeZone) {
+  const dayIndex = DAY_NAMES.indexOf(normalizeDayName(day));
+  const minutes = parseTimeOfDay(time);
+  if (dayIndex === -1 || minutes === null) return null;
+  const localMinute = dayIndex * 24 * 60 + minutes;
+  return ((localMinute - getTimeZoneOffsetMinutes(timeZone)) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+}
+
+// The window and time zone arithmetic, exported for the tests
+export {
+  normalizeAvailabilities,
+  parseAvailabilityWindow,
+  parseTimeOfDay,
+  toUtcWeekWindow,
+  utcWeekMinuteToSlot,
+  slotToUtcWeekMinute,
+  windowCovers,
+  findBestSessionStart
+};
@@ -0,0 +1,113 @@
+// approveMatch and rejectMatch: a match is decided once, however many
+// decisions arrive at the same time
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { invoke, documents, seed, users, executions, setExecutionResponse, reset } from './helpers/memoryAppwrite.js';
+import handler from '../src/main.js';
+
+const MEMBERS = ['student-1', 'student-2', 'student-3'];
+
+function seedMatch(status = 'pendingApproval') {
+  for (const userId of MEMBERS) {
+    seed('availability', { $id: `availability-${userId}`, userId, classType: 'conversation', availabilities: ['Monday 18:00-20:00'], timeZone: 'UTC', status: 'pendingApproval', matchId: 'match-1' });
+  }
+  seed('availability_matches', {
+    $id: 'match-1',
+    classTypeId: 'conversation',
+    day: 'Monday',
+    time: '18:00',
+    timeZone: 'UTC',
+    userIds: MEMBERS,
+    availabilityIds: MEMBERS.map(userId => `availability-${userId}`),
+    status,
+    createdAt: '2026-01-01T00:00:00.000Z'
+  });
+}
+
+const decide = (action, adminId = 'admin-1') => invoke(handler, { action, matchId: 'match-1' }, adminId);
+const match = () => documents('availability_matches')[0];
+
+beforeEach(() => {
+  reset();
+  users.set('admin-1', { name: 'Admin 1', email: 'admin1@example.com', labels: ['admin'] });
+  users.set('admin-2', { name: 'Admin 2', email: 'admin2@example.com', labels: ['admin'] });
+  MEMBERS.forEach((userId, index) => users.set(userId, { name: `Student ${index + 1}`, email: `student${index + 1}@example.com` }));
+});
+
+test('two approvals at once create one class', async () => {
+  seedMatch();
+
+  const results = await Promise.all([decide('approveMatch', 'admin-1'), decide('approveMatch', 'admin-2')]);
+
+  assert.deepEqual(results.map(result => result.statusCode).sort(), [201, 400]);
+  assert.equal(executions.length, 1);
+  assert.equal(match().status, 'classCreated');
+  assert.ok(documents('availability').every(doc => doc.status === 'matched'));
+  assert.equal(documents('class_locks').length, 0);
+});
+
+test('an approval and a rejection at once leave one decision', async () => {
+  seedMatch();
+
+  const [approval, rejection] = await Promise.all([decide('approveMatch'), decide('rejectMatch', 'admin-2')]);
+
+  assert.equal([approval, rejection].filter(result => result.success).length, 1);
+  if (approval.success) {
+    assert.equal(match().status, 'classCreated');
+    assert.equal(executions.length, 1);
+  } else {
+    assert.equal(match().status, 'rejected');
+    assert.equal(executions.length, 0);
+    assert.ok(documents('availability').every(doc => doc.status === 'active'));
+  }
+});
+
+test('a match whose class is being created can not be approved', async () => {
+  seedMatch('creatingClass');
+
+  const result = await decide('approveMatch');
+
+  assert.equal(result.statusCode, 400);
+  assert.equal(result.message, 'This match is already creatingClass');
+  assert.equal(executions.length, 0);
+});
+
+test('a failed approval puts the match back on the list', async () => {
+  seedMatch();
+  setExecutionResponse(() => ({ success: false, message: 'Tutor missing' }));
+
+  const result = await decide('approveMatch');
+
+  assert.equal(result.statusCode, 400);
+  assert.equal(match().status, 'pendingApproval');
+  const pending = await invoke(handler, { action: 'getPendingMatches' }, 'admin-1');
+  assert.deepEqual(pending.matches.map(pendingMatch => pendingMatch.$id), ['match-1']);
+});
+
+test('an approval racing the automatic class creation is refused', async () => {
+  for (const userId of MEMBERS.slice(1)) {
+    seed('availability', { $id: `availability-${userId}`, userId, classType: 'conversation', availabilities: ['Monday 18:00-20:00'], timeZone: 'UTC', status: 'active' });
+  }
+  let approvalDuringCreation = null;
+  let approvalSent = false;
+  setExecutionResponse(async () => {
+    if (!approvalSent) {
+      approvalSent = true;
+      const [created] = documents('availability_matches');
+      approvalDuringCreation = await invoke(handler, { action: 'approveMatch', matchId: created.$id }, 'admin-1');
+    }
+    return { success: true, classId: 'class-1' };
+  });
+
+  const submitted = await invoke(handler, {
+    action: 'submitAvailability',
+    classType: 'conversation',
+    timeZone: 'UTC',
+    availabilities: ['Monday 18:00-20:00'],
+    checkForMatches: true
+  }, 'student-1');
+
+  assert.equal(submitted.match.status, 'classCreated');
+  assert.equal(approvalDuringCreation.statusCode, 400);
+  assert.equal(executions.length, 1);
+});
@@ -0,0 +1,94 @@
+// The availability window arithmetic: parsing and normalizing windows,
+// moving them onto the UTC week and finding a session start that fits.
+// Time zones without daylight saving are used, so the offsets are fixed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeAvailabilities,
+  parseAvailabilityWindow,
+  parseTimeOfDay,
+  toUtcWeekWindow,
+  utcWeekMinuteToSlot,
+  slotToUtcWeekMinute,
+  windowCovers,
+  findBestSessionStart
+} from '../src/main.js';
+
+const DAY = 24 * 60;
+const weekMinute = (dayIndex, hours, minutes = 0) => dayIndex * DAY + hours * 60 + minutes;
+const utcWindow = (slot, timeZone) => toUtcWeekWindow(parseAvailabilityWindow(slot), timeZone);
+
+test('"7:00 PM" and "19:00" are the same time', () => {
+  assert.equal(parseTimeOfDay('7:00 PM'), 19 * 60);
+  assert.equal(parseTimeOfDay('19:00'), 19 * 60);
+  assert.equal(parseTimeOfDay('12:00 AM'), 0);
+  assert.equal(parseTimeOfDay('12:30 pm'), 12 * 60 + 30);
+  assert.equal(parseTimeOfDay('25:00'), null);
+
+  const result = normalizeAvailabilities([
+    { day: 'monday', start: '7:00 PM', end: '8:30 PM' },
+    'Monday 19:00-20:30'
+  ]);
+  assert.deepEqual(result, { availabilities: ['Monday 19:00-20:30'] });
+});
+
+test('windows that are malformed or end before they start are refused', () => {
+  assert.match(normalizeAvailabilities([{ day: 'Moonday', start: '19:00', end: '20:00' }]).error, /day must be one of/);
+  assert.match(normalizeAvailabilities([{ day: 'Monday', start: '7 PM', end: '20:00' }]).error, /start and end must look like/);
+  assert.match(normalizeAvailabilities([{ day: 'Monday', start: '20:00', end: '19:00' }]).error, /end must be after start/);
+  assert.match(normalizeAvailabilities([]).error, /must be a list/);
+});
+
+test('a legacy single start is read as one default-length session', () => {
+  assert.deepEqual(parseAvailabilityWindow('Monday-7:00 PM'), { day: 'Monday', startMinutes: 19 * 60, endMinutes: 20 * 60 });
+  assert.deepEqual(normalizeAvailabilities(['Monday-7:00 PM']), { availabilities: ['Monday 19:00-20:00'] });
+});
+
+test('a 6:30-8:00 PM window holds a 60-minute session at 7:00 but not at 7:30', () => {
+  const window = utcWindow('Monday 18:30-20:00', 'UTC');
+  assert.deepEqual(window, { start: weekMinute(1, 18, 30), end: weekMinute(1, 20) });
+
+  assert.equal(windowCovers(window, weekMinute(1, 18, 30), 60), true);
+  assert.equal(windowCovers(window, weekMinute(1, 19), 60), true);
+  assert.equal(windowCovers(window, weekMinute(1, 19, 30), 60), false);
+
+  const others = [{ userId: 'student-2', windows: [utcWindow('Monday 19:00-20:00', 'UTC')] }];
+  const best = findBestSessionStart(window, others, 60);
+  assert.equal(best.start, weekMinute(1, 19));
+  assert.deepEqual(best.users.map(user => user.userId), ['student-2']);
+});
+
+test('a window crossing Saturday midnight UTC wraps into the next week', () => {
+  // Sunday 07:00-09:00 in Hong Kong is Saturday 23:00 to Sunday 01:00 UTC
+  const window = utcWindow('Sunday 07:00-09:00', 'Asia/Hong_Kong');
+  assert.deepEqual(window, { start: weekMinute(6, 23), end: weekMinute(7, 1) });
+  assert.equal(slotToUtcWeekMinute('Sunday', '07:00', 'Asia/Hong_Kong'), weekMinute(6, 23));
+
+  assert.equal(windowCovers(window, weekMinute(0, 0), 60), true);
+  assert.equal(windowCovers(window, weekMinute(6, 23, 30), 60), true);
+  assert.equal(windowCovers(window, weekMinute(0, 1), 60), false);
+
+  const others = [{ userId: 'student-2', windows: [utcWindow('Sunday 00:00-01:00', 'UTC')] }];
+  const best = findBestSessionStart(window, others, 60);
+  assert.equal(best.start, weekMinute(0, 0));
+  assert.deepEqual(best.users.map(user => user.userId), ['student-2']);
+  assert.deepEqual(utcWeekMinuteToSlot(best.start, 'Asia/Hong_Kong'), { day: 'Sunday', time: '08:00' });
+});
+
+test('users in different time zones meet at the same UTC minute', () => {
+  // Monday 11:00-12:00 UTC in each of them
+  const hongKong = utcWindow('Monday 19:00-21:00', 'Asia/Hong_Kong');
+  const others = [
+    { userId: 'student-tokyo', windows: [utcWindow('Monday 20:00-21:00', 'Asia/Tokyo')] },
+    { userId: 'student-kolkata', windows: [utcWindow('Monday 16:30-17:30', 'Asia/Kolkata')] },
+    { userId: 'student-late', windows: [utcWindow('Monday 21:00-22:00', 'Asia/Tokyo')] }
+  ];
+
+  const best = findBestSessionStart(hongKong, others, 60);
+  assert.equal(best.start, weekMinute(1, 11));
+  assert.deepEqual(best.users.map(user => user.userId), ['student-tokyo', 'student-kolkata']);
+
+  assert.deepEqual(utcWeekMinuteToSlot(best.start, 'Asia/Hong_Kong'), { day: 'Monday', time: '19:00' });
+  assert.deepEqual(utcWeekMinuteToSlot(best.start, 'Asia/Tokyo'), { day: 'Monday', time: '20:00' });
+  assert.deepEqual(utcWeekMinuteToSlot(best.start, 'Asia/Kolkata'), { day: 'Monday', time: '16:30' });
+});
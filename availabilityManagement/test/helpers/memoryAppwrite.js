@@ -0,0 +1,214 @@
+// In-memory stand-ins for the Appwrite services availabilityManagement calls,
+// for tests; a copy of classManagement's test helper as an ES module. The
+// node-appwrite classes stay the real ones; only the methods the function
+// uses are replaced with versions backed by Maps.
+// Every database call waits a random moment first, so parallel requests
+// interleave the way they would against a real server. Tests can hold calls
+// back with setBeforeCall to force a particular interleaving.
+import { Databases, Users, Functions, AppwriteException, ID } from 'node-appwrite';
+
+const collections = new Map();
+const users = new Map();
+const executions = [];
+const calls = {};
+let beforeCall = null;
+let executionResponse = null;
+
+const collection = (databaseId, collectionId) => {
+  const key = `${databaseId}/${collectionId}`;
+  if (!collections.has(key)) collections.set(key, new Map());
+  return collections.get(key);
+};
+const copy = value => JSON.parse(JSON.stringify(value));
+const count = method => { calls[method] = (calls[method] || 0) + 1; };
+const tick = async (method, collectionId, documentId) => {
+  await new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+  if (beforeCall) await beforeCall(method, collectionId, documentId);
+};
+
+// Check a document against one parsed query
+function matches(doc, query) {
+  const value = doc[query.attribute];
+  const values = query.values || [];
+  switch (query.method) {
+    case 'equal': return values.some(v => (Array.isArray(value) ? value.includes(v) : value === v));
+    case 'notEqual': return !values.includes(value);
+    case 'lessThan': return value < values[0];
+    case 'lessThanEqual': return value <= values[0];
+    case 'greaterThan': return value > values[0];
+    case 'greaterThanEqual': return value >= values[0];
+    case 'between': return value >= values[0] && value <= values[1];
+    case 'isNull': return value === null || value === undefined;
+    case 'isNotNull': return value !== null && value !== undefined;
+    case 'contains': return Array.isArray(value) ? values.some(v => value.includes(v)) : values.some(v => String(value ?? '').includes(v));
+    case 'search': return String(value ?? '').toLowerCase().includes(String(values[0]).toLowerCase());
+    case 'startsWith': return String(value ?? '').startsWith(values[0]);
+    case 'or': return values.some(inner => matches(doc, inner));
+    case 'and': return values.every(inner => matches(doc, inner));
+    default: return true;
+  }
+}
+
+Databases.prototype.createDocument = async function (databaseId, collectionId, documentId, data) {
+  count('createDocument');
+  await tick('createDocument', collectionId, documentId);
+  const docs = collection(databaseId, collectionId);
+  const id = documentId === 'unique()' ? ID.unique() : documentId;
+  if (id.length > 36) {
+    throw new AppwriteException('Invalid `documentId` param: UID must contain at most 36 chars.', 400);
+  }
+  if (docs.has(id)) {
+    throw new AppwriteException('Document with the requested ID already exists.', 409);
+  }
+  const now = new Date().toISOString();
+  const doc = { ...copy(data), $id: id, $createdAt: now, $updatedAt: now };
+  docs.set(id, doc);
+  return copy(doc);
+};
+
+Databases.prototype.getDocument = async function (databaseId, collectionId, documentId) {
+  count('getDocument');
+  await tick('getDocument', collectionId, documentId);
+  const doc = collection(databaseId, collectionId).get(documentId);
+  if (!doc) {
+    throw new AppwriteException('Document with the requested ID could not be found.', 404);
+  }
+  return copy(doc);
+};
+
+Databases.prototype.updateDocument = async function (databaseId, collectionId, documentId, data) {
+  count('updateDocument');
+  await tick('updateDocument', collectionId, documentId);
+  const doc = collection(databaseId, collectionId).get(documentId);
+  if (!doc) {
+    throw new AppwriteException('Document with the requested ID could not be found.', 404);
+  }
+  Object.assign(doc, copy(data || {}), { $updatedAt: new Date().toISOString() });
+  return copy(doc);
+};
+
+Databases.prototype.deleteDocument = async function (databaseId, collectionId, documentId) {
+  count('deleteDocument');
+  await tick('deleteDocument', collectionId, documentId);
+  if (!collection(databaseId, collectionId).delete(documentId)) {
+    throw new AppwriteException('Document with the requested ID could not be found.', 404);
+  }
+  return {};
+};
+
+Databases.prototype.listDocuments = async function (databaseId, collectionId, queries = []) {
+  count('listDocuments');
+  await tick('listDocuments', collectionId);
+  let docs = [...collection(databaseId, collectionId).values()];
+  let limit = 25;
+  let offset = 0;
+  let cursorAfter = null;
+
+  const parsed = queries.map(q => JSON.parse(q));
+  const tooManyValues = query => (query.values || []).length > 100 ||
+    ((query.method === 'or' || query.method === 'and') && query.values.some(tooManyValues));
+  if (parsed.some(tooManyValues)) {
+    throw new AppwriteException('Invalid query: Query on attribute has greater than 100 values', 400);
+  }
+
+  for (const query of parsed) {
+    if (query.method === 'limit') limit = query.values[0];
+    else if (query.method === 'offset') offset = query.values[0];
+    else if (query.method === 'cursorAfter') cursorAfter = query.values[0];
+    else if (query.method === 'orderAsc' || query.method === 'orderDesc') {
+      const direction = query.method === 'orderAsc' ? 1 : -1;
+      docs.sort((a, b) => (a[query.attribute] > b[query.attribute] ? direction : a[query.attribute] < b[query.attribute] ? -direction : 0));
+    } else if (query.method !== 'select') {
+      docs = docs.filter(doc => matches(doc, query));
+    }
+  }
+
+  const total = docs.length;
+  if (cursorAfter) {
+    docs = docs.slice(docs.findIndex(doc => doc.$id === cursorAfter) + 1);
+  }
+  return { total, documents: copy(docs.slice(offset, offset + limit)) };
+};
+
+Users.prototype.get = async function (userId) {
+  count('users.get');
+  const user = users.get(userId);
+  if (!user) {
+    throw new AppwriteException('User with the requested ID could not be found.', 404);
+  }
+  return { $id: userId, name: user.name, email: user.email, labels: user.labels || [] };
+};
+
+Users.prototype.getPrefs = async function (userId) {
+  count('users.getPrefs');
+  return copy((users.get(userId) || {}).prefs || {});
+};
+
+Functions.prototype.createExecution = async function (functionId, body) {
+  count('functions.createExecution');
+  const execution = { functionId, body: JSON.parse(body) };
+  executions.push(execution);
+  await tick('functions.createExecution');
+  const response = executionResponse ? await executionResponse(execution) : { success: true, classId: `class-${executions.length}` };
+  return { status: 'completed', responseStatusCode: 200, responseBody: JSON.stringify(response) };
+};
+
+process.env.APPWRITE_FUNCTION_PROJECT_ID = 'test-project';
+process.env.APPWRITE_API_KEY = 'test-key';
+process.env.DATABASE_ID = 'db';
+process.env.CLASSES_COLLECTION_ID = 'classes';
+process.env.AVAILABILITY_COLLECTION_ID = 'availability';
+process.env.CLASS_MANAGEMENT_FUNCTION_ID = 'class-management';
+process.env.CLASS_TYPES_COLLECTION_ID = 'class_types';
+process.env.INTERNAL_FUNCTION_TOKEN = 'test-internal-token';
+
+// Run the function's handler the way the Appwrite runtime does. `caller` is a
+// user id, 'internal' for a trusted call from another function, or null.
+async function invoke(handler, body, caller) {
+  const headers = caller === 'internal'
+    ? { 'x-internal-token': process.env.INTERNAL_FUNCTION_TOKEN }
+    : caller ? { 'x-appwrite-user-id': caller } : {};
+  let response;
+  await handler({
+    req: { method: 'POST', headers, body: JSON.stringify(body) },
+    res: { json: (data, statusCode = 200) => { response = { ...data, statusCode }; } },
+    log: () => {},
+    error: () => {}
+  });
+  return response;
+}
+
+// Documents of a collection in the test database
+const documents = collectionId => [...collection('db', collectionId).values()].map(copy);
+
+// Put a document straight into a collection, skipping call counting
+const seed = (collectionId, doc) => {
+  collection('db', collectionId).set(doc.$id, copy(doc));
+  return doc;
+};
+
+// Run fn(method, collectionId, documentId) before each database call; the call
+// waits for the promise it returns
+function setBeforeCall(fn) {
+  beforeCall = fn;
+}
+
+// Answer function executions with fn(execution) instead of a created class
+function setExecutionResponse(fn) {
+  executionResponse = fn;
+}
+
+function reset() {
+  beforeCall = null;
+  executionResponse = null;
+  collections.clear();
+  users.clear();
+  executions.length = 0;
+  resetCalls();
+}
+
+function resetCalls() {
+  Object.keys(calls).forEach(method => delete calls[method]);
+}
+
+export { invoke, documents, seed, users, executions, calls, setBeforeCall, setExecutionResponse, reset, resetCalls };
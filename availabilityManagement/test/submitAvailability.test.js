@@ -0,0 +1,49 @@
+// submitAvailability with checkForMatches: a match that can't be recorded in
+// full is undone
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { invoke, documents, seed, users, executions, setBeforeCall, reset } from './helpers/memoryAppwrite.js';
+import handler from '../src/main.js';
+
+const OTHERS = ['student-2', 'student-3'];
+
+beforeEach(() => {
+  reset();
+  ['student-1', ...OTHERS].forEach((userId, index) => users.set(userId, { name: `Student ${index + 1}`, email: `student${index + 1}@example.com` }));
+  for (const userId of OTHERS) {
+    seed('availability', { $id: `availability-${userId}`, userId, classType: 'conversation', availabilities: ['Monday 18:00-20:00'], timeZone: 'UTC', status: 'active' });
+  }
+});
+
+const submit = () => invoke(handler, {
+  action: 'submitAvailability',
+  classType: 'conversation',
+  timeZone: 'UTC',
+  availabilities: ['Monday 18:00-20:00', 'Monday 19:00-21:00'],
+  checkForMatches: true
+}, 'student-1');
+
+test('a match whose users can not all be marked is removed', async () => {
+  setBeforeCall(async (method, collectionId, documentId) => {
+    if (method === 'updateDocument' && documentId === 'availability-student-3' && documents('availability').find(doc => doc.$id === documentId).status === 'active') {
+      throw new Error('Server error');
+    }
+  });
+
+  const result = await submit();
+
+  assert.equal(result.success, true);
+  assert.equal(result.match, null);
+  assert.deepEqual(documents('availability_matches'), []);
+  assert.ok(documents('availability').every(doc => doc.status === 'active' && !doc.matchId));
+  assert.equal(executions.length, 0);
+  assert.equal(documents('class_locks').length, 0);
+});
+
+test('a complete match becomes a class', async () => {
+  const result = await submit();
+
+  assert.equal(result.match.status, 'classCreated');
+  assert.equal(documents('availability_matches').length, 1);
+  assert.ok(documents('availability').every(doc => doc.status === 'matched'));
+});
@@ -1,4 +1,5 @@
-const { Client, Databases, Query, ID, Functions } = require('node-appwrite');
+const { Client, Databases, Query, ID, Functions, Users } = require('node-appwrite');
+const crypto = require('crypto');
 
 // Helper function to log and send JSON response
 const sendJsonResponse = (res, statusCode, data, log, logError) => {
@@ -8,9 +9,69 @@ const sendJsonResponse = (res, statusCode, data, log, logError) => {
   } else {
     log ? log(responseLogMessage) : console.log(responseLogMessage);
   }
-  return res.json(data);
+  return res.json(data, statusCode);
 };
 
+// Identify the caller from the Appwrite execution headers. Scheduled runs and
+// executions started by our other functions (which send the shared internal
+// token) have no user and are trusted like an admin.
+// Each function is deployed on its own, so userAuth, notifications,
+// availabilityManagement and utilities carry copies of this; change them all
+// together.
+const resolveCaller = async (req, users) => {
+  const headers = req.headers || {};
+  const internalToken = process.env.INTERNAL_FUNCTION_TOKEN;
+  if (headers['x-appwrite-trigger'] === 'schedule' || (internalToken && headers['x-internal-token'] === internalToken)) {
+    return { userId: null, name: null, email: null, labels: [], isAdmin: true, isTutor: false, isInternal: true };
+  }
+
+  const userId = headers['x-appwrite-user-id'];
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    const user = await users.get(userId);
+    const labels = user.labels || [];
+    return {
+      userId,
+      name: user.name,
+      email: user.email,
+      labels,
+      isAdmin: labels.includes('admin'),
+      isTutor: labels.includes('tutor'),
+      isInternal: false
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Actions anyone may call, even without signing in
+const PUBLIC_ACTIONS = [
+  'getAvailableClasses', 'getClassDetails', 'getClassSessions', 'getClassTypes', 'getTaxonomy', 'getBookableSlots'
+];
+
+// Actions a student may call for their own account only
+const SELF_ACTIONS = [
+  'joinClass', 'leaveClass', 'joinWaitlist', 'getWaitlistPosition', 'leaveWaitlist', 'getMyClasses',
+  'getStudentAttendance', 'getCreditBalance', 'bookSlot', 'cancelBooking', 'confirmReEnrollment', 'declineReEnrollment'
+];
+
+// Actions that require the admin label
+const ADMIN_ACTIONS = [
+  'getAllClasses', 'getClassStats', 'getWaitlist', 'updateClass', 'cancelClass', 'reactivateClass',
+  'deleteClass', 'createClass', 'migrateMembersToEnrollments', 'getAllClassTypes', 'createClassType',
+  'updateClassType', 'deleteClassType', 'sendSessionReminders', 'grantCredits', 'getCreditLedger', 'expireCredits',
+  'reindexClasses', 'createTaxonomyNode', 'updateTaxonomyNode', 'deleteTaxonomyNode', 'migrateCategoriesToTaxonomy',
+  'setEligibilityOverride', 'restoreClass', 'restoreClassType', 'purgeArchived', 'getAuditLog',
+  'importClassesCsv', 'exportClassesCsv', 'checkMinimumEnrollment', 'getClassesAtRisk', 'transferMember',
+  'cloneClasses', 'releaseUnconfirmedSeats'
+];
+
+// Actions that require the tutor label (admins may call them too)
+const TUTOR_ACTIONS = ['getMyTeachingSchedule', 'markAttendance', 'getSessionAttendance', 'publishSlot', 'withdrawSlot'];
+
 module.exports = async ({ req, res, log, error: logError }) => {
   log("classManagement function invoked.");
   log(`Request Method: ${req.method}`);
@@ -27,6 +88,14 @@ module.exports = async ({ req, res, log, error: logError }) => {
     const databaseId = process.env.DATABASE_ID;
     const classesCollectionId = process.env.CLASSES_COLLECTION_ID;
     const classTypesCollectionId = process.env.CLASS_TYPES_COLLECTION_ID;
+    const enrollmentsCollectionId = process.env.ENROLLMENTS_COLLECTION_ID || 'enrollments';
+    const locksCollectionId = process.env.CLASS_LOCKS_COLLECTION_ID || 'class_locks';
+    const attendanceCollectionId = process.env.ATTENDANCE_COLLECTION_ID || 'attendance';
+    const creditLedgerCollectionId = process.env.CREDIT_LEDGER_COLLECTION_ID || 'credit_ledger';
+    const adminSettingsCollectionId = process.env.ADMIN_SETTINGS_COLLECTION_ID || 'admin_settings';
+    const taxonomyCollectionId = process.env.TAXONOMY_COLLECTION_ID || 'taxonomy';
+    const auditLogCollectionId = process.env.AUDIT_LOG_COLLECTION_ID || 'audit_log';
+    const bookableSlotsCollectionId = process.env.BOOKABLE_SLOTS_COLLECTION_ID || 'bookable_slots';
     const notificationsFunctionId = process.env.NOTIFICATIONS_FUNCTION_ID || '68274a3f0031c188ee43';
     const appwriteEndpoint = process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1';
 
@@ -59,6 +128,11 @@ module.exports = async ({ req, res, log, error: logError }) => {
 
     const databases = new Databases(client);
     const functions = new Functions(client);
+    const users = new Users(client);
+
+    // Class types looked up while handling this request, shared by every listing
+    const classTypeLoader = createClassTypeLoader(databases, databaseId, classTypesCollectionId, logError);
+    const taxonomyLoader = createTaxonomyLoader(databases, databaseId, taxonomyCollectionId);
     
     // --- Payload Parsing ---
     log("Attempting to parse request body...");
@@ -76,41 +150,118 @@ module.exports = async ({ req, res, log, error: logError }) => {
         action: 'unknown'
       }, log, logError);
     }
+
+    // --- Caller Authorization ---
+    const caller = await resolveCaller(req, users);
+    log(`Caller: ${caller ? (caller.isInternal ? 'internal' : caller.userId) : 'anonymous'}`);
+
+    if (!caller && !PUBLIC_ACTIONS.includes(action)) {
+      return sendJsonResponse(res, 401, {
+        success: false,
+        message: 'You must be signed in to do this',
+        action
+      }, log, logError);
+    }
+
+    if (ADMIN_ACTIONS.includes(action) && !caller.isAdmin) {
+      return sendJsonResponse(res, 403, {
+        success: false,
+        message: 'Admin access required',
+        action
+      }, log, logError);
+    }
+
+    if (TUTOR_ACTIONS.includes(action) && !caller.isAdmin && !caller.isTutor) {
+      return sendJsonResponse(res, 403, {
+        success: false,
+        message: 'Tutor access required',
+        action
+      }, log, logError);
+    }
+
+    if (SELF_ACTIONS.includes(action)) {
+      if (!data.userId) {
+        data.userId = caller.userId;
+      } else if (data.userId !== caller.userId && !caller.isAdmin) {
+        return sendJsonResponse(res, 403, {
+          success: false,
+          message: 'You can only do this for your own account',
+          action
+        }, log, logError);
+      }
+    }
+
+    // Mutating actions record who changed what through this
+    const audit = createAuditLogger(databases, databaseId, auditLogCollectionId, 'classManagement', caller, logError);
     
     switch (action) {
       case 'getAvailableClasses':
-        log(`Executing action: getAvailableClasses with type: ${data.classType}`);
+        log(`Executing action: getAvailableClasses with filters: ${JSON.stringify(data)}`);
+
+        const classFilters = buildClassFilterQueries(data);
+        if (classFilters.error) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: classFilters.error,
+            action: 'getAvailableClasses'
+          }, log, logError);
+        }
         
-        // Initialize the query array
-        let classesQuery = [Query.equal('status', 'active')];
+        // Private and trial lessons are booked through slots, not listed
+        let classesQuery = [Query.equal('status', 'active'), Query.isNull('archivedAt'), Query.isNull('bookingKind'), ...classFilters.queries];
         
-        // If classType is provided and not 'all', filter by it
-        if (data.classType && data.classType !== 'all') {
-          // Get all active class types
-          const allClassTypes = await databases.listDocuments(
-            databaseId,
-            classTypesCollectionId,
-            [Query.equal('isActive', true)]
-          );
-          
-          // Filter class types that contain the category (JavaScript filtering)
-          const matchingClassTypes = allClassTypes.documents.filter(ct => {
-            const categories = (ct.category || '').split(',').map(cat => cat.trim());
-            return categories.includes(data.classType);
-          });
-          
-          if (matchingClassTypes.length > 0) {
-            const classTypeIds = matchingClassTypes.map(ct => ct.$id);
-            classesQuery.push(Query.equal('classTypeId', classTypeIds));
-          } else {
-            // No matching class types found, return empty array
-            log(`No class types found for category: ${data.classType}`);
-            return sendJsonResponse(res, 200, {
-              success: true,
-              classes: [],
+        // Category, level and text filters narrow down the class types first
+        let availableClassTypeIds = await findMatchingClassTypeIds(
+          databases,
+          databaseId,
+          classTypesCollectionId,
+          classTypeLoader,
+          { category: data.classType, level: data.level, text: data.search, taxonomyId: data.taxonomyId, taxonomyLoader },
+          true
+        );
+        // Hide class types the caller does not meet the level or prerequisites for
+        if (data.eligibleOnly) {
+          if (!caller?.userId) {
+            return sendJsonResponse(res, 400, {
+              success: false,
+              message: 'Sign in to list only the classes you are eligible for',
               action: 'getAvailableClasses'
             }, log, logError);
           }
+          const eligibleClassTypeIds = await findEligibleClassTypeIds(
+            databases,
+            users,
+            caller.userId,
+            availableClassTypeIds,
+            classTypeLoader,
+            databaseId,
+            classTypesCollectionId,
+            classesCollectionId,
+            attendanceCollectionId
+          );
+          availableClassTypeIds = eligibleClassTypeIds;
+        }
+
+        if (availableClassTypeIds && availableClassTypeIds.length === 0) {
+          log(`No class types match category: ${data.classType}, level: ${data.level}, search: ${data.search}`);
+          return sendJsonResponse(res, 200, {
+            success: true,
+            classes: [],
+            total: 0,
+            nextCursor: null,
+            ...(data.groupByDepth !== undefined && { groups: [] }),
+            action: 'getAvailableClasses'
+          }, log, logError);
+        }
+        if (availableClassTypeIds) {
+          classesQuery.push(equalAnyOf('classTypeId', availableClassTypeIds));
+        }
+
+        // Fetch one extra class to know whether there is another page
+        const pageSize = Math.min(data.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        classesQuery.push(Query.limit(pageSize + 1));
+        if (data.cursor) {
+          classesQuery.push(Query.cursorAfter(data.cursor));
         }
         
         const classes = await databases.listDocuments(
@@ -119,37 +270,25 @@ module.exports = async ({ req, res, log, error: logError }) => {
           classesQuery
         );
         
+        const pageClasses = classes.documents.slice(0, pageSize);
+        const nextCursor = classes.documents.length > pageSize ? pageClasses[pageClasses.length - 1].$id : null;
+        
         // Enrich classes with class type information
-        const enrichedClasses = await Promise.all(
-          classes.documents.map(async (classDoc) => {
-            try {
-              const classType = await databases.getDocument(
-                databaseId,
-                classTypesCollectionId,
-                classDoc.classTypeId
-              );
-              return {
-                ...classDoc,
-                classTypeName: classType.name,
-                classTypeCategory: classType.category,
-                type: classType.category || 'general' // For frontend compatibility
-              };
-            } catch (err) {
-              logError(`Error fetching class type for class ${classDoc.$id}: ${err.message}`);
-              return {
-                ...classDoc,
-                classTypeName: 'Unknown Class Type',
-                classTypeCategory: 'general',
-                type: 'general'
-              };
-            }
-          })
+        const availableClassTypes = await classTypeLoader.loadMany(pageClasses.map(classDoc => classDoc.classTypeId));
+        const availableTaxonomy = await taxonomyLoader.load();
+        const enrichedClasses = pageClasses.map(classDoc =>
+          withClassTypeInfo(classDoc, availableClassTypes.get(classDoc.classTypeId), availableTaxonomy)
         );
         
-        log(`Found ${enrichedClasses.length} available classes.`);
+        log(`Found ${enrichedClasses.length} of ${classes.total} available classes.`);
         return sendJsonResponse(res, 200, {
           success: true,
           classes: enrichedClasses,
+          total: classes.total,
+          nextCursor,
+          ...(data.groupByDepth !== undefined && {
+            groups: groupClassesByTaxonomy(enrichedClasses, availableClassTypes, Number(data.groupByDepth), availableTaxonomy)
+          }),
           action: 'getAvailableClasses'
         }, log, logError);
 
@@ -159,24 +298,38 @@ module.exports = async ({ req, res, log, error: logError }) => {
         // Build query filters
         const queries = [];
         
-        // Filter by class type category if specified
-        if (data.classType && data.classType !== 'all') {
-          const matchingClassTypes = await databases.listDocuments(
-            databaseId,
-            classTypesCollectionId,
-            [Query.equal('category', data.classType)]
-          );
-          
-          if (matchingClassTypes.documents.length > 0) {
-            const classTypeIds = matchingClassTypes.documents.map(ct => ct.$id);
-            queries.push(Query.equal('classTypeId', classTypeIds));
-          }
+        // Filter by class type category if specified, matched the same way as getAvailableClasses
+        const adminClassTypeIds = await findMatchingClassTypeIds(
+          databases,
+          databaseId,
+          classTypesCollectionId,
+          classTypeLoader,
+          { category: data.classType, taxonomyId: data.taxonomyId, taxonomyLoader },
+          false
+        );
+        if (adminClassTypeIds && adminClassTypeIds.length === 0) {
+          log(`No class types found for category: ${data.classType}`);
+          return sendJsonResponse(res, 200, {
+            success: true,
+            classes: [],
+            total: 0,
+            ...(data.groupByDepth !== undefined && { groups: [] }),
+            action: 'getAllClasses'
+          }, log, logError);
+        }
+        if (adminClassTypeIds) {
+          queries.push(equalAnyOf('classTypeId', adminClassTypeIds));
         }
         
         // Filter by status if specified
         if (data.status && data.status !== 'all') {
           queries.push(Query.equal('status', data.status));
         }
+
+        // Deleted classes stay hidden unless asked for
+        if (!data.includeArchived) {
+          queries.push(Query.isNull('archivedAt'));
+        }
         
         // Add pagination
         const limit = data.limit || 25;
@@ -194,41 +347,38 @@ module.exports = async ({ req, res, log, error: logError }) => {
         );
         
         // Enrich classes with stats and class type info
-        const classesWithStats = await Promise.all(
-          allClasses.documents.map(async (classDoc) => {
-            const totalSpots = classDoc.totalSpots || 0;
-            const currentMembers = Array.isArray(classDoc.members) ? classDoc.members.length : 0;
-            const spotsLeft = totalSpots - currentMembers;
-            const fillRate = totalSpots > 0 ? (currentMembers / totalSpots) * 100 : 0;
-            
-            // Get class type info
-            let classTypeName = 'Unknown Class Type';
-            try {
-              const classType = await databases.getDocument(
-                databaseId,
-                classTypesCollectionId,
-                classDoc.classTypeId
-              );
-              classTypeName = classType.name;
-            } catch (err) {
-              logError(`Error fetching class type for class ${classDoc.$id}: ${err.message}`);
-            }
-            
-            return {
-              ...classDoc,
-              currentMembers,
-              spotsLeft,
-              fillRate: Math.round(fillRate),
-              classTypeName
-            };
-          })
-        );
+        const adminClassTypes = await classTypeLoader.loadMany(allClasses.documents.map(classDoc => classDoc.classTypeId));
+        const adminTaxonomy = await taxonomyLoader.load();
+        const classesWithStats = allClasses.documents.map((classDoc) => {
+          const totalSpots = classDoc.totalSpots || 0;
+          const currentMembers = classDoc.enrolledCount || 0;
+          const spotsLeft = totalSpots - currentMembers;
+          const fillRate = totalSpots > 0 ? (currentMembers / totalSpots) * 100 : 0;
+
+          // Term progress from the dated sessions
+          const today = getClassToday(classDoc);
+          const termSessions = classDoc.termEndDate ? expandClassSessions(classDoc) : [];
+          const upcomingSessions = termSessions.filter(session => session.date >= today);
+          
+          return {
+            ...withClassTypeInfo(classDoc, adminClassTypes.get(classDoc.classTypeId), adminTaxonomy),
+            currentMembers,
+            spotsLeft,
+            fillRate: Math.round(fillRate),
+            totalSessions: termSessions.length,
+            remainingSessions: upcomingSessions.length,
+            nextSessionDate: upcomingSessions[0]?.date || null
+          };
+        });
         
         log(`Found ${allClasses.documents.length} classes for admin view.`);
         return sendJsonResponse(res, 200, {
           success: true,
           classes: classesWithStats,
           total: allClasses.total,
+          ...(data.groupByDepth !== undefined && {
+            groups: groupClassesByTaxonomy(classesWithStats, adminClassTypes, Number(data.groupByDepth), adminTaxonomy)
+          }),
           action: 'getAllClasses'
         }, log, logError);
 
@@ -239,7 +389,10 @@ module.exports = async ({ req, res, log, error: logError }) => {
         const statsClasses = await databases.listDocuments(
           databaseId,
           classesCollectionId,
-          [Query.limit(1000)] // Get all classes
+          [
+            ...(data.includeArchived ? [] : [Query.isNull('archivedAt')]),
+            Query.limit(1000) // Get all classes
+          ]
         );
         
         const totalClasses = statsClasses.documents.length;
@@ -249,22 +402,86 @@ module.exports = async ({ req, res, log, error: logError }) => {
         let totalEnrolled = 0;
         let totalSpots = 0;
         
+        // Session counts only cover active classes with a term end date
+        let totalSessions = 0;
+        let completedSessions = 0;
+        let totalTeachingMinutes = 0;
+        let completedTeachingMinutes = 0;
+
+        // Every active class meets once a week for its session duration
+        let weeklyTeachingMinutes = 0;
+        let weeklySeatMinutes = 0;
+        
         statsClasses.documents.forEach(classDoc => {
-          const currentMembers = Array.isArray(classDoc.members) ? classDoc.members.length : 0;
+          const currentMembers = classDoc.enrolledCount || 0;
           const spots = classDoc.totalSpots || 0;
           
           totalEnrolled += currentMembers;
           totalSpots += spots;
+
+          if (classDoc.status === 'active') {
+            const duration = classDoc.sessionDuration || DEFAULT_SESSION_MINUTES;
+            weeklyTeachingMinutes += duration;
+            weeklySeatMinutes += spots * duration;
+          }
+
+          if (classDoc.status === 'active' && classDoc.termEndDate) {
+            const termSessions = expandClassSessions(classDoc);
+            totalSessions += termSessions.length;
+            const classToday = getClassToday(classDoc);
+            const pastSessions = termSessions.filter(session => session.date < classToday);
+            completedSessions += pastSessions.length;
+            totalTeachingMinutes += termSessions.reduce((total, session) => total + session.duration, 0);
+            completedTeachingMinutes += pastSessions.reduce((total, session) => total + session.duration, 0);
+          }
         });
         
         const overallFillRate = totalSpots > 0 ? Math.round((totalEnrolled / totalSpots) * 100) : 0;
+        const attendanceSummary = await countAttendance(databases, [], databaseId, attendanceCollectionId);
+
+        // Break the numbers down by one level of the category tree when asked
+        let statsGroups;
+        if (data.groupByDepth !== undefined) {
+          const statsClassTypes = await classTypeLoader.loadMany(statsClasses.documents.map(classDoc => classDoc.classTypeId));
+          statsGroups = groupClassesByTaxonomy(statsClasses.documents, statsClassTypes, Number(data.groupByDepth), await taxonomyLoader.load())
+            .map(group => {
+              const groupClasses = statsClasses.documents.filter(classDoc => group.classIds.includes(classDoc.$id));
+              const groupEnrolled = groupClasses.reduce((total, classDoc) => total + (classDoc.enrolledCount || 0), 0);
+              const groupSpots = groupClasses.reduce((total, classDoc) => total + (classDoc.totalSpots || 0), 0);
+              const groupTeachingMinutes = groupClasses
+                .filter(classDoc => classDoc.status === 'active')
+                .reduce((total, classDoc) => total + (classDoc.sessionDuration || DEFAULT_SESSION_MINUTES), 0);
+              return {
+                id: group.id,
+                name: group.name,
+                path: group.path,
+                totalClasses: groupClasses.length,
+                activeClasses: groupClasses.filter(classDoc => classDoc.status === 'active').length,
+                enrolledStudents: groupEnrolled,
+                totalCapacity: groupSpots,
+                fillRate: groupSpots > 0 ? Math.round((groupEnrolled / groupSpots) * 100) : 0,
+                weeklyTeachingHours: minutesToHours(groupTeachingMinutes)
+              };
+            });
+        }
         
         const stats = {
           totalClasses,
           activeClasses,
           enrolledStudents: totalEnrolled,
           fillRate: overallFillRate,
-          totalCapacity: totalSpots
+          totalCapacity: totalSpots,
+          totalSessions,
+          completedSessions,
+          upcomingSessions: totalSessions - completedSessions,
+          weeklyTeachingHours: minutesToHours(weeklyTeachingMinutes),
+          weeklyCapacityHours: minutesToHours(weeklySeatMinutes),
+          totalTeachingHours: minutesToHours(totalTeachingMinutes),
+          completedTeachingHours: minutesToHours(completedTeachingMinutes),
+          upcomingTeachingHours: minutesToHours(totalTeachingMinutes - completedTeachingMinutes),
+          attendanceRate: attendanceSummary.attendanceRate,
+          attendance: attendanceSummary,
+          ...(statsGroups && { groups: statsGroups })
         };
         
         log(`Generated stats: ${JSON.stringify(stats)}`);
@@ -281,466 +498,5537 @@ module.exports = async ({ req, res, log, error: logError }) => {
           classesCollectionId,
           data.classId
         );
+        if (classDetails.archivedAt && !caller?.isAdmin) {
+          return sendJsonResponse(res, 404, {
+            success: false,
+            message: 'Class not found',
+            action: 'getClassDetails'
+          }, log, logError);
+        }
         
         // Enrich with class type info
-        try {
-          const classType = await databases.getDocument(
-            databaseId,
-            classTypesCollectionId,
-            classDetails.classTypeId
-          );
-          classDetails.classTypeName = classType.name;
-          classDetails.classTypeCategory = classType.category;
-          classDetails.type = classType.category || 'general'; // For compatibility
-        } catch (err) {
-          logError(`Error fetching class type: ${err.message}`);
-          classDetails.classTypeName = 'Unknown Class Type';
-          classDetails.type = 'general';
-        }
+        const detailsClassType = await classTypeLoader.load(classDetails.classTypeId);
         
         log("Class details fetched successfully.");
         return sendJsonResponse(res, 200, {
           success: true,
-          class: classDetails,
+          class: withClassTypeInfo(classDetails, detailsClassType, await taxonomyLoader.load()),
           action: 'getClassDetails'
         }, log, logError);
         
-      case 'joinClass':
-        log(`Executing action: joinClass for classId: ${data.classId}, userId: ${data.userId}`);
-        const classDoc = await databases.getDocument(
+      case 'getClassSessions':
+        log(`Executing action: getClassSessions for classId: ${data.classId}`);
+        const sessionsClass = await databases.getDocument(
           databaseId,
           classesCollectionId,
           data.classId
         );
-        
-        log(`Class to join: ${classDoc.$id}, Members: ${classDoc.members?.length || 0}, Total Spots: ${classDoc.totalSpots}`);
-        const currentMembersCount = classDoc.members?.length || 0;
-
-        if (currentMembersCount >= (classDoc.totalSpots || 0)) {
-          log(`Warning: Class is full. Members: ${currentMembersCount}, Spots: ${classDoc.totalSpots || 0}`);
-          return sendJsonResponse(res, 400, {
+        if (sessionsClass.archivedAt && !caller?.isAdmin) {
+          return sendJsonResponse(res, 404, {
             success: false,
-            message: 'Class is full',
-            action: 'joinClass'
+            message: 'Class not found',
+            action: 'getClassSessions'
           }, log, logError);
         }
-        
-        // Check if user is already in the class
-        const existingMembers = Array.isArray(classDoc.members) ? classDoc.members : [];
-        const userAlreadyJoined = existingMembers.some(memberStr => {
-          try {
-            const member = JSON.parse(memberStr);
-            return member.userId === data.userId;
-          } catch (e) {
-            return false;
-          }
-        });
 
-        if (userAlreadyJoined) {
-          log(`Warning: User ${data.userId} already joined this class.`);
-          return sendJsonResponse(res, 400, {
-            success: false,
-            message: 'You have already joined this class',
-            action: 'joinClass'
-          }, log, logError);
+        let classSessions = expandClassSessions(sessionsClass, {
+          includeSkipped: data.includeSkipped,
+          maxSessions: data.limit
+        });
+        if (data.upcomingOnly) {
+          const sessionsToday = getClassToday(sessionsClass);
+          classSessions = classSessions.filter(session => session.date >= sessionsToday);
         }
-        
-        // Create member object with join timestamp
-        const newMember = { 
-          userId: data.userId, 
-          name: data.name,
-          joinedAt: new Date().toISOString()
-        };
-        
-        const memberString = JSON.stringify(newMember);
-        log(`Adding member string: ${memberString}`);
-        
-        const updatedMembers = [...existingMembers, memberString];
-        const newMembersCount = updatedMembers.length;
-        
-        await databases.updateDocument(
+
+        log(`Expanded class ${data.classId} into ${classSessions.length} sessions`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          sessions: classSessions,
+          termStartDate: sessionsClass.termStartDate || null,
+          termEndDate: sessionsClass.termEndDate || null,
+          sessionDuration: sessionsClass.sessionDuration || DEFAULT_SESSION_MINUTES,
+          timeZone: getClassTimeZone(sessionsClass),
+          action: 'getClassSessions'
+        }, log, logError);
+
+      case 'sendSessionReminders':
+        log(`Executing action: sendSessionReminders`);
+        // Meant to run daily on a schedule: remind members of every session
+        // taking place tomorrow in the class's own time zone
+        const reminderTomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        const reminderClasses = await databases.listDocuments(
           databaseId,
           classesCollectionId,
-          data.classId,
-          {
-            members: updatedMembers,
-            spotsLeft: (classDoc.totalSpots || 0) - newMembersCount
-          }
+          [
+            Query.equal('status', 'active'),
+            Query.isNull('archivedAt'),
+            Query.limit(1000)
+          ]
         );
-        
-        log("User successfully joined class. Sending email notifications...");
-        
-        // Get class type for email
-        let classTypeName = 'Class';
-        try {
-          const classType = await databases.getDocument(
+
+        const remindersSent = [];
+        for (const reminderClass of reminderClasses.documents) {
+          const reminderDate = data.date || formatDateInZone(reminderTomorrow, getClassTimeZone(reminderClass));
+          const session = expandClassSessions(reminderClass, { fromDate: reminderDate, maxSessions: 1 })
+            .find(candidate => candidate.date === reminderDate);
+          if (!session) {
+            continue;
+          }
+
+          const reminderMembers = await databases.listDocuments(
             databaseId,
-            classTypesCollectionId,
-            classDoc.classTypeId
+            enrollmentsCollectionId,
+            [
+              Query.equal('classId', reminderClass.$id),
+              Query.equal('status', 'enrolled'),
+              Query.limit(100)
+            ]
           );
-          classTypeName = classType.name;
-        } catch (err) {
-          logError(`Error fetching class type for notification: ${err.message}`);
+          if (reminderMembers.documents.length === 0) {
+            continue;
+          }
+
+          try {
+            const reminderExecution = await executeFunction(functions, notificationsFunctionId, {
+              action: 'classReminder',
+              classId: reminderClass.$id,
+              classDetails: {
+                type: (await classTypeLoader.load(reminderClass.classTypeId))?.name || 'Unknown Class Type',
+                day: reminderClass.day,
+                time: reminderClass.time,
+                timeZone: getClassTimeZone(reminderClass),
+                session,
+                members: reminderMembers.documents.map(member => ({ userId: member.userId, name: member.name }))
+              }
+            });
+            log(`Reminder execution for class ${reminderClass.$id}: ${reminderExecution.status}`);
+            remindersSent.push({ classId: reminderClass.$id, date: session.date, members: reminderMembers.documents.length });
+          } catch (reminderError) {
+            logError(`Error sending reminders for class ${reminderClass.$id}: ${reminderError.message}`);
+          }
         }
-        
-        // Send email notifications
-        try {
-          const emailData = {
-            action: 'sendClassJoinConfirmation',
-            userName: data.name,
-            userEmail: data.email,
-            userPhone: data.phone,
-            classType: classTypeName,
-            day: classDoc.day,
-            time: classDoc.time,
-            currentEnrollment: newMembersCount,
-            totalSpots: classDoc.totalSpots || 0
-          };
-          
-          log(`Calling notifications function with data: ${JSON.stringify(emailData)}`);
-          
-          const emailExecution = await functions.createExecution(
-            notificationsFunctionId,
-            JSON.stringify(emailData)
+
+        log(`Sent reminders for ${remindersSent.length} sessions`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          reminders: remindersSent,
+          action: 'sendSessionReminders'
+        }, log, logError);
+
+      case 'joinClass':
+        log(`Executing action: joinClass for classId: ${data.classId}, userId: ${data.userId}`);
+        const joinSettings = await getAdminSettings(databases, databaseId, adminSettingsCollectionId, logError);
+        const skipJoinPolicy = Boolean(data.overridePolicy && caller.isAdmin);
+
+        // Read, check and write the enrollment while holding the class lock so
+        // two students can never take the same last spot
+        const joinResult = await withClassLock(databases, databaseId, locksCollectionId, data.classId, log, async () => {
+          const classDoc = await databases.getDocument(
+            databaseId,
+            classesCollectionId,
+            data.classId
           );
-          
-          log(`Email notifications execution status: ${emailExecution.status}`);
-          if (emailExecution.status === 'failed') {
-            logError(`Email notifications failed: ${emailExecution.stderr}`);
+
+          if (classDoc.archivedAt) {
+            return { error: 'This class is no longer available' };
+          }
+          if (classDoc.bookingKind) {
+            return { error: 'Private and trial lessons are booked from a bookable slot' };
+          }
+
+          const currentMembersCount = await countTakenSeats(databases, data.classId, databaseId, enrollmentsCollectionId);
+          log(`Class to join: ${classDoc.$id}, Members: ${currentMembersCount}, Total Spots: ${classDoc.totalSpots}`);
+
+          // Check if user is already in the class or on its waitlist
+          const existingEnrollment = await findActiveEnrollment(databases, data.classId, data.userId, databaseId, enrollmentsCollectionId);
+
+          if (existingEnrollment?.status === 'enrolled') {
+            log(`Warning: User ${data.userId} already joined this class.`);
+            return { error: 'You have already joined this class' };
+          }
+          if (existingEnrollment?.status === 'pendingReEnrollment') {
+            return { error: 'A place is held for you in this class. Confirm it with confirmReEnrollment.' };
+          }
+
+          const joinEligibility = await checkEnrollmentEligibility(
+            databases,
+            users,
+            data.userId,
+            classDoc.classTypeId,
+            classTypeLoader,
+            databaseId,
+            classesCollectionId,
+            attendanceCollectionId
+          );
+          if (!joinEligibility.eligible) {
+            log(`Warning: User ${data.userId} is not eligible for class ${data.classId}: ${joinEligibility.reason}`);
+            return { error: joinEligibility.message, eligibility: joinEligibility };
+          }
+
+          // Enrollment policy of the class type, falling back to the global default
+          if (!skipJoinPolicy) {
+            const joinPolicy = getEnrollmentPolicy(await classTypeLoader.load(classDoc.classTypeId), joinSettings);
+            const studentClassCount = joinPolicy.maxClassesPerStudent
+              ? await countStudentActiveClasses(databases, data.userId, databaseId, classesCollectionId, enrollmentsCollectionId)
+              : 0;
+            const joinPolicyError = checkJoinPolicy(joinPolicy, classDoc, studentClassCount);
+            if (joinPolicyError) {
+              log(`Warning: Enrollment policy refuses user ${data.userId} joining class ${data.classId}: ${joinPolicyError.reason}`);
+              return { error: joinPolicyError.message, reason: joinPolicyError.reason };
+            }
+          }
+
+          if (currentMembersCount >= (classDoc.totalSpots || 0)) {
+            log(`Warning: Class is full. Members: ${currentMembersCount}, Spots: ${classDoc.totalSpots || 0}`);
+            return { error: 'Class is full', canJoinWaitlist: !existingEnrollment };
+          }
+
+          // Paid class types take credits from the student's balance
+          const creditCost = await getClassTypeCreditCost(databases, classDoc.classTypeId, databaseId, classTypesCollectionId);
+          if (creditCost > 0) {
+            const charge = await withCreditLock(databases, databaseId, locksCollectionId, data.userId, log, () =>
+              consumeCredits(databases, data.userId, creditCost, data.classId, databaseId, creditLedgerCollectionId)
+            );
+            if (charge.error) {
+              log(`Warning: User ${data.userId} has ${charge.creditBalance} credits, class costs ${creditCost}`);
+              return { error: charge.error, creditsRequired: creditCost, creditBalance: charge.creditBalance };
+            }
+          }
+
+          const joinedAt = new Date().toISOString();
+          try {
+            if (existingEnrollment) {
+              // A waitlisted student who finds an open spot joins directly
+              await databases.updateDocument(
+                databaseId,
+                enrollmentsCollectionId,
+                existingEnrollment.$id,
+                { status: 'enrolled', joinedAt }
+              );
+            } else {
+              await databases.createDocument(
+                databaseId,
+                enrollmentsCollectionId,
+                ID.unique(),
+                {
+                  classId: data.classId,
+                  userId: data.userId,
+                  name: data.name,
+                  email: data.email || null,
+                  phone: data.phone || null,
+                  status: 'enrolled',
+                  joinedAt
+                }
+              );
+            }
+          } catch (enrollError) {
+            // The student was charged but got no place, so give the credits back
+            if (creditCost > 0) {
+              await withCreditLock(databases, databaseId, locksCollectionId, data.userId, log, () =>
+                addCreditEntry(databases, { userId: data.userId, type: 'refund', amount: creditCost, classId: data.classId, note: 'Enrollment failed' }, databaseId, creditLedgerCollectionId)
+              );
+              log(`Refunded ${creditCost} credits to user ${data.userId} after the enrollment for class ${data.classId} failed`);
+            }
+            throw enrollError;
           }
-        } catch (emailError) {
-          logError(`Error sending email notifications: ${emailError.message}`);
-          // Don't fail the join operation if emails fail
+
+          const newMembersCount = await syncEnrollmentCounts(databases, classDoc, databaseId, classesCollectionId, enrollmentsCollectionId);
+          return { classDoc, newMembersCount, creditsCharged: creditCost, previousStatus: existingEnrollment?.status || null };
+        });
+
+        if (joinResult.error) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: joinResult.error,
+            ...(joinResult.reason && { reason: joinResult.reason }),
+            ...(joinResult.canJoinWaitlist && { canJoinWaitlist: true }),
+            ...(joinResult.creditsRequired && { creditsRequired: joinResult.creditsRequired, creditBalance: joinResult.creditBalance }),
+            ...(joinResult.eligibility && {
+              reason: joinResult.eligibility.reason,
+              requiredLevel: joinResult.eligibility.requiredLevel,
+              placementLevel: joinResult.eligibility.placementLevel,
+              missingPrerequisites: joinResult.eligibility.missingPrerequisites
+            }),
+            action: 'joinClass'
+          }, log, logError);
         }
-        
+
+        await audit('joinClass', 'class', data.classId,
+          { userId: data.userId, status: joinResult.previousStatus },
+          { userId: data.userId, status: 'enrolled', creditsCharged: joinResult.creditsCharged });
+
+        log("User successfully joined class. Sending email notifications...");
+
+        await sendJoinConfirmation(
+          databases,
+          functions,
+          joinResult.classDoc,
+          { userId: data.userId, name: data.name, email: data.email, phone: data.phone },
+          joinResult.newMembersCount,
+          databaseId,
+          classTypesCollectionId,
+          notificationsFunctionId,
+          log,
+          logError
+        );
+
         log("User successfully joined class.");
         return sendJsonResponse(res, 200, {
           success: true,
           message: 'Successfully joined class',
+          creditsCharged: joinResult.creditsCharged,
           action: 'joinClass'
         }, log, logError);
 
       case 'leaveClass':
         log(`Executing action: leaveClass for classId: ${data.classId}, userId: ${data.userId}`);
-        const classToLeave = await databases.getDocument(
-          databaseId,
-          classesCollectionId,
-          data.classId
-        );
-        
-        log(`Class to leave: ${classToLeave.$id}, Members: ${classToLeave.members?.length || 0}`);
-        
-        const currentMembers = Array.isArray(classToLeave.members) ? classToLeave.members : [];
-        
-        // Find and remove the user from members array
-        const updatedMembersAfterLeave = currentMembers.filter(memberStr => {
-          try {
-            const member = JSON.parse(memberStr);
-            return member.userId !== data.userId;
-          } catch (e) {
-            return true;
+
+        // Credits come back only when leaving far enough ahead of the next session
+        const leaveSettings = await getAdminSettings(databases, databaseId, adminSettingsCollectionId, logError);
+        const refundCutoffHours = leaveSettings.creditRefundCutoffHours ?? DEFAULT_REFUND_CUTOFF_HOURS;
+        const skipLeavePolicy = Boolean(data.overridePolicy && caller.isAdmin);
+
+        const leaveResult = await withClassLock(databases, databaseId, locksCollectionId, data.classId, log, async () => {
+          const classToLeave = await databases.getDocument(
+            databaseId,
+            classesCollectionId,
+            data.classId
+          );
+
+          if (classToLeave.bookingKind) {
+            return { error: 'Private and trial lessons are cancelled with cancelBooking' };
+          }
+
+          // Check if user was actually in the class
+          const enrollmentToLeave = await findActiveEnrollment(databases, data.classId, data.userId, databaseId, enrollmentsCollectionId);
+          if (enrollmentToLeave?.status !== 'enrolled') {
+            log(`Warning: User ${data.userId} was not found in class ${data.classId}`);
+            return { error: 'You are not enrolled in this class' };
+          }
+
+          if (!skipLeavePolicy) {
+            const leavePolicy = getEnrollmentPolicy(await classTypeLoader.load(classToLeave.classTypeId), leaveSettings);
+            const leavePolicyError = checkLeavePolicy(leavePolicy, classToLeave);
+            if (leavePolicyError) {
+              log(`Warning: Enrollment policy refuses user ${data.userId} leaving class ${data.classId}: ${leavePolicyError.reason}`);
+              return { error: leavePolicyError.message, reason: leavePolicyError.reason };
+            }
+          }
+
+          await databases.updateDocument(
+            databaseId,
+            enrollmentsCollectionId,
+            enrollmentToLeave.$id,
+            { status: 'left', leftAt: new Date().toISOString() }
+          );
+
+          const remainingMembers = await syncEnrollmentCounts(databases, classToLeave, databaseId, classesCollectionId, enrollmentsCollectionId);
+
+          const hoursUntilNextSession = getHoursUntilNextSession(classToLeave);
+          let creditsRefunded = 0;
+          if (hoursUntilNextSession !== null && hoursUntilNextSession >= refundCutoffHours) {
+            creditsRefunded = await withCreditLock(databases, databaseId, locksCollectionId, data.userId, log, () =>
+              refundClassCredits(databases, data.userId, data.classId, databaseId, creditLedgerCollectionId)
+            );
           }
+
+          return { remainingMembers, creditsRefunded };
         });
-        
-        // Check if user was actually in the class
-        if (updatedMembersAfterLeave.length === currentMembers.length) {
-          log(`Warning: User ${data.userId} was not found in class ${data.classId}`);
+
+        if (leaveResult.error) {
           return sendJsonResponse(res, 400, {
             success: false,
-            message: 'You are not enrolled in this class',
+            message: leaveResult.error,
+            ...(leaveResult.reason && { reason: leaveResult.reason }),
             action: 'leaveClass'
           }, log, logError);
         }
-        
-        // Update the class document
-        await databases.updateDocument(
+
+        await audit('leaveClass', 'class', data.classId,
+          { userId: data.userId, status: 'enrolled' },
+          { userId: data.userId, status: 'left', creditsRefunded: leaveResult.creditsRefunded });
+
+        log(`User successfully left class. Remaining members: ${leaveResult.remainingMembers}`);
+
+        // Hand the freed spot to the first person on the waitlist
+        const promotedOnLeave = await promoteFromWaitlist(
+          databases,
+          functions,
+          data.classId,
           databaseId,
           classesCollectionId,
-          data.classId,
-          {
-            members: updatedMembersAfterLeave,
-            spotsLeft: (classToLeave.totalSpots || 0) - updatedMembersAfterLeave.length
-          }
+          classTypesCollectionId,
+          enrollmentsCollectionId,
+          locksCollectionId,
+          creditLedgerCollectionId,
+          notificationsFunctionId,
+          log,
+          logError
         );
-        
-        log(`User successfully left class. Remaining members: ${updatedMembersAfterLeave.length}`);
+
         return sendJsonResponse(res, 200, {
           success: true,
           message: 'Successfully left class',
+          creditsRefunded: leaveResult.creditsRefunded,
+          promotedUserIds: promotedOnLeave.map(member => member.userId),
           action: 'leaveClass'
         }, log, logError);
 
-      case 'updateClass':
-        log(`Executing action: updateClass for classId: ${data.classId}`);
-        
-        // Build update object
-        const updateData = {};
-        
-        if (data.day) updateData.day = data.day;
-        if (data.time) updateData.time = data.time;
-        if (data.classTypeId) updateData.classTypeId = data.classTypeId;
-        if (data.totalSpots !== undefined) {
-          updateData.totalSpots = data.totalSpots;
-          // Recalculate spots left
-          const currentClass = await databases.getDocument(databaseId, classesCollectionId, data.classId);
-          const currentMembersCount = Array.isArray(currentClass.members) ? currentClass.members.length : 0;
-          updateData.spotsLeft = data.totalSpots - currentMembersCount;
+      case 'transferMember':
+        log(`Executing action: transferMember for userId: ${data.userId}, from: ${data.fromClassId}, to: ${data.toClassId}`);
+        if (!data.userId || !data.fromClassId || !data.toClassId || data.fromClassId === data.toClassId) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'transferMember needs a userId and two different classes, fromClassId and toClassId',
+            action: 'transferMember'
+          }, log, logError);
         }
-        
-        const updatedClass = await databases.updateDocument(
+
+        // Hold both class locks, always taken in the same order so two
+        // transfers in opposite directions can't wait on each other
+        const [firstTransferLock, secondTransferLock] = [data.fromClassId, data.toClassId].sort();
+        const transferResult = await withClassLock(databases, databaseId, locksCollectionId, firstTransferLock, log, () =>
+          withClassLock(databases, databaseId, locksCollectionId, secondTransferLock, log, async () => {
+            const fromClass = await databases.getDocument(databaseId, classesCollectionId, data.fromClassId);
+            const toClass = await databases.getDocument(databaseId, classesCollectionId, data.toClassId);
+            if (toClass.status !== 'active' || toClass.archivedAt) {
+              return { error: 'The class to move to is not open for enrollment' };
+            }
+            if (fromClass.bookingKind || toClass.bookingKind) {
+              return { error: 'Private and trial lessons can not be transferred' };
+            }
+
+            const fromEnrollment = await findActiveEnrollment(databases, data.fromClassId, data.userId, databaseId, enrollmentsCollectionId);
+            if (fromEnrollment?.status !== 'enrolled') {
+              return { error: 'The student is not enrolled in the class to move from' };
+            }
+            const toEnrollment = await findActiveEnrollment(databases, data.toClassId, data.userId, databaseId, enrollmentsCollectionId);
+            if (toEnrollment?.status === 'enrolled') {
+              return { error: 'The student is already enrolled in the class to move to' };
+            }
+
+            // Open spots already promised to people on the waitlist are not free
+            const toMembers = await countTakenSeats(databases, data.toClassId, databaseId, enrollmentsCollectionId);
+            const othersWaiting = (await listWaitlist(databases, data.toClassId, databaseId, enrollmentsCollectionId))
+              .filter(entry => entry.userId !== data.userId).length;
+            if ((toClass.totalSpots || 0) - toMembers - othersWaiting <= 0) {
+              log(`Warning: Class ${data.toClassId} has no spot free. Members: ${toMembers}, waiting: ${othersWaiting}`);
+              return { error: 'The class to move to is full', conflict: true };
+            }
+
+            // Credits paid for the old class pay towards the new one
+            const toCreditCost = await getClassTypeCreditCost(databases, toClass.classTypeId, databaseId, classTypesCollectionId);
+            const creditChange = await withCreditLock(databases, databaseId, locksCollectionId, data.userId, log, () =>
+              moveClassCredits(databases, data.userId, data.fromClassId, data.toClassId, toCreditCost, databaseId, creditLedgerCollectionId)
+            );
+            if (creditChange.error) {
+              return { error: creditChange.error, creditsRequired: toCreditCost, creditBalance: creditChange.creditBalance };
+            }
+
+            const transferredAt = new Date().toISOString();
+            await databases.updateDocument(databaseId, enrollmentsCollectionId, fromEnrollment.$id, {
+              status: 'left',
+              leftAt: transferredAt,
+              transferredTo: data.toClassId
+            });
+
+            // The student keeps the joinedAt of their original enrollment
+            const movedEnrollment = {
+              status: 'enrolled',
+              joinedAt: fromEnrollment.joinedAt,
+              transferredFrom: data.fromClassId,
+              transferredAt
+            };
+            if (toEnrollment) {
+              await databases.updateDocument(databaseId, enrollmentsCollectionId, toEnrollment.$id, movedEnrollment);
+            } else {
+              await databases.createDocument(databaseId, enrollmentsCollectionId, ID.unique(), {
+                classId: data.toClassId,
+                userId: data.userId,
+                name: fromEnrollment.name,
+                email: fromEnrollment.email || null,
+                phone: fromEnrollment.phone || null,
+                ...movedEnrollment
+              });
+            }
+
+            await syncEnrollmentCounts(databases, fromClass, databaseId, classesCollectionId, enrollmentsCollectionId);
+            await syncEnrollmentCounts(databases, toClass, databaseId, classesCollectionId, enrollmentsCollectionId);
+            return { fromClass, toClass, member: fromEnrollment, ...creditChange };
+          })
+        );
+
+        if (transferResult.error) {
+          return sendJsonResponse(res, transferResult.conflict ? 409 : 400, {
+            success: false,
+            message: transferResult.error,
+            ...(transferResult.creditsRequired && { creditsRequired: transferResult.creditsRequired, creditBalance: transferResult.creditBalance }),
+            action: 'transferMember'
+          }, log, logError);
+        }
+
+        await audit('transferMember', 'class', data.toClassId,
+          { userId: data.userId, classId: data.fromClassId, status: 'enrolled' },
+          {
+            userId: data.userId,
+            classId: data.toClassId,
+            status: 'enrolled',
+            creditsRefunded: transferResult.creditsRefunded,
+            creditsCharged: transferResult.creditsCharged
+          });
+
+        // The seat left behind goes to the old class's waitlist
+        const promotedOnTransfer = await promoteFromWaitlist(
+          databases,
+          functions,
+          data.fromClassId,
           databaseId,
           classesCollectionId,
-          data.classId,
-          updateData
+          classTypesCollectionId,
+          enrollmentsCollectionId,
+          locksCollectionId,
+          creditLedgerCollectionId,
+          notificationsFunctionId,
+          log,
+          logError
         );
-        
-        log(`Class ${data.classId} updated successfully`);
+
+        await sendClassChangedNotification(
+          functions,
+          transferResult.fromClass,
+          transferResult.toClass,
+          transferResult.member,
+          classTypeLoader,
+          notificationsFunctionId,
+          log,
+          logError
+        );
+
+        log(`User ${data.userId} moved from class ${data.fromClassId} to ${data.toClassId}`);
         return sendJsonResponse(res, 200, {
           success: true,
-          class: updatedClass,
-          action: 'updateClass'
+          message: 'Student moved to the new class',
+          creditsRefunded: transferResult.creditsRefunded,
+          creditsCharged: transferResult.creditsCharged,
+          promotedUserIds: promotedOnTransfer.map(member => member.userId),
+          action: 'transferMember'
         }, log, logError);
 
-      case 'cancelClass':
-        log(`Executing action: cancelClass for classId: ${data.classId}`);
-        
-        const cancelledClass = await databases.updateDocument(
+      case 'cloneClasses':
+        log(`Executing action: cloneClasses for ${data.classIds?.length || 0} classes into ${data.termStartDate} - ${data.termEndDate}`);
+        if (!Array.isArray(data.classIds) || data.classIds.length === 0 || !data.termStartDate || !data.termEndDate) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'cloneClasses needs classIds and the new termStartDate and termEndDate',
+            action: 'cloneClasses'
+          }, log, logError);
+        }
+        if ((data.dayShift !== undefined && !Number.isInteger(data.dayShift)) ||
+          (data.timeShiftMinutes !== undefined && !Number.isInteger(data.timeShiftMinutes))) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'dayShift and timeShiftMinutes must be whole numbers',
+            action: 'cloneClasses'
+          }, log, logError);
+        }
+        if (data.preEnroll && !data.reEnrollDeadline) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'A reEnrollDeadline is needed to pre-enroll members',
+            action: 'cloneClasses'
+          }, log, logError);
+        }
+
+        const clonePlan = await planClassClones(
+          databases,
+          users,
+          data,
+          classTypeLoader,
           databaseId,
           classesCollectionId,
-          data.classId,
-          {
-            status: 'cancelled',
-            cancelledAt: new Date().toISOString(),
-            cancelReason: data.reason || 'No reason provided'
-          }
+          enrollmentsCollectionId
         );
-        
-        log(`Class ${data.classId} cancelled successfully`);
-        return sendJsonResponse(res, 200, {
+
+        if (clonePlan.errors.length > 0 || data.dryRun) {
+          log(`Clone ${data.dryRun ? 'dry run' : 'refused'}: ${clonePlan.errors.length} classes with errors`);
+          return sendJsonResponse(res, clonePlan.errors.length > 0 && !data.dryRun ? 400 : 200, {
+            success: clonePlan.errors.length === 0,
+            dryRun: Boolean(data.dryRun),
+            ...(clonePlan.errors.length > 0 && { message: 'Some classes can not be copied, nothing was created' }),
+            errors: clonePlan.errors,
+            classes: clonePlan.clones.map(clone => ({
+              sourceClassId: clone.source.$id,
+              day: clone.data.day,
+              time: clone.data.time,
+              pendingMembers: clone.members.length
+            })),
+            action: 'cloneClasses'
+          }, log, logError);
+        }
+
+        // Every class can be copied, so create them and hold places for their members
+        const clonedClasses = [];
+        for (const clone of clonePlan.clones) {
+          const clonedClass = await databases.createDocument(
+            databaseId,
+            classesCollectionId,
+            ID.unique(),
+            {
+              ...buildNewClassData(clone.data, clone.data.totalSpots, 0, clone.classType),
+              clonedFromClassId: clone.source.$id
+            }
+          );
+
+          const invitedAt = new Date().toISOString();
+          for (const member of clone.members) {
+            await databases.createDocument(
+              databaseId,
+              enrollmentsCollectionId,
+              ID.unique(),
+              {
+                classId: clonedClass.$id,
+                userId: member.userId,
+                name: member.name,
+                email: member.email || null,
+                phone: member.phone || null,
+                status: 'pendingReEnrollment',
+                reEnrollDeadline: clone.reEnrollDeadline,
+                invitedAt
+              }
+            );
+          }
+          if (clone.members.length > 0) {
+            await syncEnrollmentCounts(databases, clonedClass, databaseId, classesCollectionId, enrollmentsCollectionId);
+          }
+
+          await audit('cloneClasses', 'class', clonedClass.$id, null, {
+            ...pickAuditFields(clonedClass, Object.keys(clonedClass)),
+            pendingMemberCount: clone.members.length
+          });
+
+          const inviteSummary = clone.members.length > 0
+            ? await sendReEnrollmentInvites(
+              functions,
+              clonedClass,
+              clone.source,
+              clone.classType,
+              clone.members,
+              clone.reEnrollDeadline,
+              notificationsFunctionId,
+              log,
+              logError
+            )
+            : null;
+
+          clonedClasses.push({
+            sourceClassId: clone.source.$id,
+            classId: clonedClass.$id,
+            pendingMembers: clone.members.length,
+            notificationSummary: inviteSummary
+          });
+        }
+
+        log(`Cloned ${clonedClasses.length} classes into the term starting ${data.termStartDate}`);
+        return sendJsonResponse(res, 201, {
           success: true,
-          class: cancelledClass,
-          action: 'cancelClass'
+          dryRun: false,
+          errors: [],
+          classes: clonedClasses,
+          action: 'cloneClasses'
         }, log, logError);
 
-      case 'reactivateClass':
-        log(`Executing action: reactivateClass for classId: ${data.classId}`);
-        
-        const reactivatedClass = await databases.updateDocument(
-          databaseId,
-          classesCollectionId,
-          data.classId,
-          {
-            status: 'active',
-            reactivatedAt: new Date().toISOString()
+      case 'confirmReEnrollment':
+      case 'declineReEnrollment':
+        log(`Executing action: ${action} for classId: ${data.classId}, userId: ${data.userId}`);
+        const isConfirming = action === 'confirmReEnrollment';
+
+        const reEnrollResult = await withClassLock(databases, databaseId, locksCollectionId, data.classId, log, async () => {
+          const reEnrollClass = await databases.getDocument(databaseId, classesCollectionId, data.classId);
+          const heldPlace = await findActiveEnrollment(databases, data.classId, data.userId, databaseId, enrollmentsCollectionId);
+          if (heldPlace?.status !== 'pendingReEnrollment') {
+            return { error: 'No place is being held for you in this class' };
           }
-        );
-        
-        log(`Class ${data.classId} reactivated successfully`);
+          if (isConfirming && (new Date(heldPlace.reEnrollDeadline) < new Date() || reEnrollClass.status !== 'active' || reEnrollClass.archivedAt)) {
+            return { error: 'The deadline to confirm this place has passed' };
+          }
+
+          let creditsCharged = 0;
+          if (isConfirming) {
+            const creditCost = await getClassTypeCreditCost(databases, reEnrollClass.classTypeId, databaseId, classTypesCollectionId);
+            if (creditCost > 0) {
+              const charge = await withCreditLock(databases, databaseId, locksCollectionId, data.userId, log, () =>
+                consumeCredits(databases, data.userId, creditCost, data.classId, databaseId, creditLedgerCollectionId)
+              );
+              if (charge.error) {
+                return { error: charge.error, creditsRequired: creditCost, creditBalance: charge.creditBalance };
+              }
+            }
+            creditsCharged = creditCost;
+          }
+
+          const respondedAt = new Date().toISOString();
+          try {
+            await databases.updateDocument(
+              databaseId,
+              enrollmentsCollectionId,
+              heldPlace.$id,
+              isConfirming
+                ? { status: 'enrolled', joinedAt: respondedAt, confirmedAt: respondedAt }
+                : { status: 'declined', declinedAt: respondedAt }
+            );
+          } catch (confirmError) {
+            // The student was charged but the place wasn't confirmed, so give the credits back
+            if (creditsCharged > 0) {
+              await withCreditLock(databases, databaseId, locksCollectionId, data.userId, log, () =>
+                addCreditEntry(databases, { userId: data.userId, type: 'refund', amount: creditsCharged, classId: data.classId, note: 'Re-enrollment failed' }, databaseId, creditLedgerCollectionId)
+              );
+              log(`Refunded ${creditsCharged} credits to user ${data.userId} after confirming class ${data.classId} failed`);
+            }
+            throw confirmError;
+          }
+
+          const newMembersCount = await syncEnrollmentCounts(databases, reEnrollClass, databaseId, classesCollectionId, enrollmentsCollectionId);
+          return { reEnrollClass, heldPlace, newMembersCount, creditsCharged };
+        });
+
+        if (reEnrollResult.error) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: reEnrollResult.error,
+            ...(reEnrollResult.creditsRequired && { creditsRequired: reEnrollResult.creditsRequired, creditBalance: reEnrollResult.creditBalance }),
+            action
+          }, log, logError);
+        }
+
+        await audit(action, 'class', data.classId,
+          { userId: data.userId, status: 'pendingReEnrollment' },
+          { userId: data.userId, status: isConfirming ? 'enrolled' : 'declined', creditsCharged: reEnrollResult.creditsCharged });
+
+        let promotedOnDecline = [];
+        if (isConfirming) {
+          await sendJoinConfirmation(
+            databases,
+            functions,
+            reEnrollResult.reEnrollClass,
+            {
+              userId: data.userId,
+              name: reEnrollResult.heldPlace.name,
+              email: reEnrollResult.heldPlace.email,
+              phone: reEnrollResult.heldPlace.phone
+            },
+            reEnrollResult.newMembersCount,
+            databaseId,
+            classTypesCollectionId,
+            notificationsFunctionId,
+            log,
+            logError
+          );
+        } else {
+          // A declined place goes to the waitlist
+          promotedOnDecline = await promoteFromWaitlist(
+            databases,
+            functions,
+            data.classId,
+            databaseId,
+            classesCollectionId,
+            classTypesCollectionId,
+            enrollmentsCollectionId,
+            locksCollectionId,
+            creditLedgerCollectionId,
+            notificationsFunctionId,
+            log,
+            logError
+          );
+        }
+
+        log(`User ${data.userId} ${isConfirming ? 'confirmed' : 'declined'} their place in class ${data.classId}`);
         return sendJsonResponse(res, 200, {
           success: true,
-          class: reactivatedClass,
-          action: 'reactivateClass'
+          message: isConfirming ? 'Your place is confirmed' : 'Your place has been released',
+          creditsCharged: reEnrollResult.creditsCharged,
+          ...(!isConfirming && { promotedUserIds: promotedOnDecline.map(member => member.userId) }),
+          action
         }, log, logError);
 
-      case 'deleteClass':
-        log(`Executing action: deleteClass for classId: ${data.classId}`);
-        
-        await databases.deleteDocument(
+      case 'releaseUnconfirmedSeats':
+        log(`Executing action: releaseUnconfirmedSeats`);
+        // Meant to run on a schedule: free places whose re-enrollment
+        // deadline passed without an answer and offer them to the waitlist
+        const expiredPlaces = await databases.listDocuments(
           databaseId,
-          classesCollectionId,
-          data.classId
+          enrollmentsCollectionId,
+          [
+            Query.equal('status', 'pendingReEnrollment'),
+            Query.lessThan('reEnrollDeadline', new Date().toISOString()),
+            Query.limit(1000)
+          ]
         );
-        
-        log(`Class ${data.classId} deleted successfully`);
-        return sendJsonResponse(res, 200, {
-          success: true,
-          message: 'Class deleted successfully',
-          action: 'deleteClass'
-        }, log, logError);
-        
-      case 'createClass':
-        log(`Executing action: createClass with data: ${JSON.stringify(data)}`);
-        const spots = data.totalSpots || 5;
-        const initialMembersCount = data.initialMembers?.length || 0;
 
-        if (!data.classTypeId) {
-            throw new Error("classTypeId is required for creating a class.");
+        const releasedByClass = new Map();
+        for (const place of expiredPlaces.documents) {
+          releasedByClass.set(place.classId, [...(releasedByClass.get(place.classId) || []), place]);
         }
 
-        // Verify the class type exists
-        try {
-          await databases.getDocument(
+        const releaseSummary = [];
+        for (const [releaseClassId, places] of releasedByClass) {
+          await withClassLock(databases, databaseId, locksCollectionId, releaseClassId, log, async () => {
+            const releaseClass = await databases.getDocument(databaseId, classesCollectionId, releaseClassId);
+            for (const place of places) {
+              await databases.updateDocument(databaseId, enrollmentsCollectionId, place.$id, {
+                status: 'expired',
+                expiredAt: new Date().toISOString()
+              });
+            }
+            await syncEnrollmentCounts(databases, releaseClass, databaseId, classesCollectionId, enrollmentsCollectionId);
+          });
+          await audit('releaseUnconfirmedSeats', 'class', releaseClassId,
+            { pendingUserIds: places.map(place => place.userId) },
+            { status: 'expired' });
+
+          const promotedOnRelease = await promoteFromWaitlist(
+            databases,
+            functions,
+            releaseClassId,
             databaseId,
+            classesCollectionId,
             classTypesCollectionId,
-            data.classTypeId
+            enrollmentsCollectionId,
+            locksCollectionId,
+            creditLedgerCollectionId,
+            notificationsFunctionId,
+            log,
+            logError
           );
-        } catch (err) {
-          throw new Error("Invalid classTypeId: Class type not found.");
+          releaseSummary.push({
+            classId: releaseClassId,
+            releasedUserIds: places.map(place => place.userId),
+            promotedUserIds: promotedOnRelease.map(member => member.userId)
+          });
         }
 
-        const newClass = await databases.createDocument(
-          databaseId,
-          classesCollectionId,
-          ID.unique(),
-          {
-            classTypeId: data.classTypeId,
-            day: data.day,
-            time: data.time,
-            members: data.initialMembers || [],
-            totalSpots: spots,
-            spotsLeft: spots - initialMembersCount,
-            status: 'active',
+        log(`Released ${expiredPlaces.documents.length} unconfirmed places in ${releaseSummary.length} classes`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          released: expiredPlaces.documents.length,
+          classes: releaseSummary,
+          action: 'releaseUnconfirmedSeats'
+        }, log, logError);
+
+      case 'joinWaitlist':
+        log(`Executing action: joinWaitlist for classId: ${data.classId}, userId: ${data.userId}`);
+
+        const joinWaitlistResult = await withClassLock(databases, databaseId, locksCollectionId, data.classId, log, async () => {
+          const waitlistClass = await databases.getDocument(
+            databaseId,
+            classesCollectionId,
+            data.classId
+          );
+
+          if (waitlistClass.archivedAt) {
+            return { error: 'This class is no longer available' };
           }
-        );
-        log(`New class created with ID: ${newClass.$id}`);
-        return sendJsonResponse(res, 201, {
+          if (waitlistClass.bookingKind) {
+            return { error: 'Private and trial lessons have no waitlist' };
+          }
+
+          const waitlistClassMembers = await countTakenSeats(databases, data.classId, databaseId, enrollmentsCollectionId);
+          if (waitlistClassMembers < (waitlistClass.totalSpots || 0)) {
+            log(`Warning: Class ${data.classId} still has open spots, no need to wait.`);
+            return { error: 'Class still has open spots, please join it directly' };
+          }
+
+          const existingEntry = await findActiveEnrollment(databases, data.classId, data.userId, databaseId, enrollmentsCollectionId);
+          if (existingEntry?.status === 'enrolled') {
+            log(`Warning: User ${data.userId} is already a member of class ${data.classId}.`);
+            return { error: 'You have already joined this class' };
+          }
+          if (existingEntry?.status === 'waitlisted') {
+            log(`Warning: User ${data.userId} is already on the waitlist for class ${data.classId}.`);
+            return { error: 'You are already on the waitlist for this class' };
+          }
+          if (existingEntry?.status === 'pendingReEnrollment') {
+            return { error: 'A place is held for you in this class. Confirm it with confirmReEnrollment.' };
+          }
+
+          const waitlistEligibility = await checkEnrollmentEligibility(
+            databases,
+            users,
+            data.userId,
+            waitlistClass.classTypeId,
+            classTypeLoader,
+            databaseId,
+            classesCollectionId,
+            attendanceCollectionId
+          );
+          if (!waitlistEligibility.eligible) {
+            log(`Warning: User ${data.userId} is not eligible for class ${data.classId}: ${waitlistEligibility.reason}`);
+            return { error: waitlistEligibility.message, eligibility: waitlistEligibility };
+          }
+
+          const currentWaitlist = await listWaitlist(databases, data.classId, databaseId, enrollmentsCollectionId);
+
+          await databases.createDocument(
+            databaseId,
+            enrollmentsCollectionId,
+            ID.unique(),
+            {
+              classId: data.classId,
+              userId: data.userId,
+              name: data.name,
+              email: data.email || null,
+              phone: data.phone || null,
+              status: 'waitlisted',
+              waitlistedAt: new Date().toISOString()
+            }
+          );
+
+          return { position: currentWaitlist.length + 1 };
+        });
+
+        if (joinWaitlistResult.error) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: joinWaitlistResult.error,
+            ...(joinWaitlistResult.eligibility && {
+              reason: joinWaitlistResult.eligibility.reason,
+              requiredLevel: joinWaitlistResult.eligibility.requiredLevel,
+              placementLevel: joinWaitlistResult.eligibility.placementLevel,
+              missingPrerequisites: joinWaitlistResult.eligibility.missingPrerequisites
+            }),
+            action: 'joinWaitlist'
+          }, log, logError);
+        }
+
+        await audit('joinWaitlist', 'class', data.classId,
+          { userId: data.userId, status: null },
+          { userId: data.userId, status: 'waitlisted', position: joinWaitlistResult.position });
+
+        log(`User ${data.userId} added to waitlist at position ${joinWaitlistResult.position}`);
+        return sendJsonResponse(res, 200, {
           success: true,
-          classId: newClass.$id,
-          action: 'createClass'
+          message: 'Added to waitlist',
+          position: joinWaitlistResult.position,
+          action: 'joinWaitlist'
         }, log, logError);
 
-      // Class type management actions
-      case 'getClassTypes':
-        log(`Executing action: getClassTypes`);
-        const classTypes = await databases.listDocuments(
-          databaseId,
-          classTypesCollectionId,
-          [
-            Query.equal('isActive', true),
-            Query.orderAsc('name')
-          ]
-        );
-        log(`Found ${classTypes.documents.length} active class types.`);
+      case 'getWaitlistPosition':
+        log(`Executing action: getWaitlistPosition for classId: ${data.classId}, userId: ${data.userId}`);
+        const positionWaitlist = await listWaitlist(databases, data.classId, databaseId, enrollmentsCollectionId);
+        const waitlistIndex = positionWaitlist.findIndex(entry => entry.userId === data.userId);
+
+        if (waitlistIndex === -1) {
+          log(`Warning: User ${data.userId} is not on the waitlist for class ${data.classId}`);
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'You are not on the waitlist for this class',
+            action: 'getWaitlistPosition'
+          }, log, logError);
+        }
+
         return sendJsonResponse(res, 200, {
           success: true,
-          classTypes: classTypes.documents,
-          action: 'getClassTypes'
+          position: waitlistIndex + 1,
+          waitlistLength: positionWaitlist.length,
+          waitlistedAt: positionWaitlist[waitlistIndex].waitlistedAt,
+          action: 'getWaitlistPosition'
         }, log, logError);
 
-      case 'getAllClassTypes':
-        log(`Executing action: getAllClassTypes for admin`);
-        const allClassTypes = await databases.listDocuments(
-          databaseId,
-          classTypesCollectionId,
-          [Query.orderAsc('name')]
-        );
-        
-        // Add usage count to each class type
-        const classTypesWithUsage = await Promise.all(
-          allClassTypes.documents.map(async (classType) => {
-            const usageCount = await databases.listDocuments(
-              databaseId,
-              classesCollectionId,
-              [Query.equal('classTypeId', classType.$id)]
-            );
-            return {
-              ...classType,
-              usageCount: usageCount.total
-            };
-          })
-        );
-        
-        log(`Found ${allClassTypes.documents.length} class types for admin view.`);
+      case 'getWaitlist':
+        log(`Executing action: getWaitlist for classId: ${data.classId}`);
+        const adminWaitlist = (await listWaitlist(databases, data.classId, databaseId, enrollmentsCollectionId)).map((entry, index) => ({
+          userId: entry.userId,
+          name: entry.name,
+          email: entry.email,
+          phone: entry.phone,
+          waitlistedAt: entry.waitlistedAt,
+          position: index + 1
+        }));
+
+        log(`Found ${adminWaitlist.length} waitlisted users for class ${data.classId}`);
         return sendJsonResponse(res, 200, {
           success: true,
-          classTypes: classTypesWithUsage,
-          action: 'getAllClassTypes'
+          waitlist: adminWaitlist,
+          action: 'getWaitlist'
         }, log, logError);
 
-      case 'createClassType':
-        log(`Executing action: createClassType with data: ${JSON.stringify(data)}`);
-        const newClassType = await databases.createDocument(
+      case 'leaveWaitlist':
+        log(`Executing action: leaveWaitlist for classId: ${data.classId}, userId: ${data.userId}`);
+
+        const leaveWaitlistResult = await withClassLock(databases, databaseId, locksCollectionId, data.classId, log, async () => {
+          const waitlistEnrollment = await findActiveEnrollment(databases, data.classId, data.userId, databaseId, enrollmentsCollectionId);
+
+          if (waitlistEnrollment?.status !== 'waitlisted') {
+            log(`Warning: User ${data.userId} was not found on the waitlist for class ${data.classId}`);
+            return { error: 'You are not on the waitlist for this class' };
+          }
+
+          await databases.updateDocument(
+            databaseId,
+            enrollmentsCollectionId,
+            waitlistEnrollment.$id,
+            { status: 'left', leftAt: new Date().toISOString() }
+          );
+
+          return {};
+        });
+
+        if (leaveWaitlistResult.error) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: leaveWaitlistResult.error,
+            action: 'leaveWaitlist'
+          }, log, logError);
+        }
+
+        await audit('leaveWaitlist', 'class', data.classId,
+          { userId: data.userId, status: 'waitlisted' },
+          { userId: data.userId, status: 'left' });
+
+        log(`User ${data.userId} removed from waitlist of class ${data.classId}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          message: 'Successfully left waitlist',
+          action: 'leaveWaitlist'
+        }, log, logError);
+
+      case 'getMyClasses':
+        log(`Executing action: getMyClasses for userId: ${data.userId}`);
+        // Places held in a new term are always shown so they can be confirmed
+        const myStatuses = data.includeWaitlisted
+          ? ['enrolled', 'pendingReEnrollment', 'waitlisted']
+          : ['enrolled', 'pendingReEnrollment'];
+        const myEnrollments = await databases.listDocuments(
           databaseId,
-          classTypesCollectionId,
+          enrollmentsCollectionId,
+          [
+            Query.equal('userId', data.userId),
+            Query.equal('status', myStatuses),
+            Query.limit(100)
+          ]
+        );
+
+        let myClasses = [];
+        if (myEnrollments.documents.length > 0) {
+          const myClassDocs = await databases.listDocuments(
+            databaseId,
+            classesCollectionId,
+            [
+              Query.equal('$id', myEnrollments.documents.map(enrollment => enrollment.classId)),
+              Query.isNull('archivedAt'),
+              Query.limit(100)
+            ]
+          );
+
+          const myClassTypes = await classTypeLoader.loadMany(myClassDocs.documents.map(myClass => myClass.classTypeId));
+          myClasses = myClassDocs.documents.map((myClass) => {
+            const enrollment = myEnrollments.documents.find(e => e.classId === myClass.$id);
+            return {
+              ...withClassTypeInfo(myClass, myClassTypes.get(myClass.classTypeId)),
+              enrollmentStatus: enrollment.status,
+              joinedAt: enrollment.joinedAt,
+              waitlistedAt: enrollment.waitlistedAt,
+              ...(enrollment.status === 'pendingReEnrollment' && { reEnrollDeadline: enrollment.reEnrollDeadline })
+            };
+          });
+        }
+
+        log(`Found ${myClasses.length} classes for user ${data.userId}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          classes: myClasses,
+          action: 'getMyClasses'
+        }, log, logError);
+
+      case 'publishSlot':
+        // Tutors publish their own slots; admins may publish for any tutor
+        const slotTutorId = data.tutorId || caller.userId;
+        log(`Executing action: publishSlot for tutorId: ${slotTutorId}, date: ${data.date}, time: ${data.time}`);
+        if (slotTutorId !== caller.userId && !caller.isAdmin) {
+          return sendJsonResponse(res, 403, {
+            success: false,
+            message: 'You can only publish your own slots',
+            action: 'publishSlot'
+          }, log, logError);
+        }
+
+        const slotClassType = data.classTypeId ? await classTypeLoader.load(data.classTypeId) : null;
+        const slotError = (!slotTutorId && 'tutorId is required') ||
+          (!slotClassType || slotClassType.archivedAt ? 'Class type not found' : null) ||
+          validateSlot(data) ||
+          await validateTutorIds(users, [slotTutorId]);
+        if (slotError) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: slotError,
+            action: 'publishSlot'
+          }, log, logError);
+        }
+
+        const newSlotData = {
+          tutorId: slotTutorId,
+          classTypeId: data.classTypeId,
+          kind: data.kind || 'private',
+          date: data.date,
+          time: data.time,
+          timeZone: data.timeZone || DEFAULT_TIME_ZONE,
+          sessionDuration: data.sessionDuration || slotClassType.sessionDuration || DEFAULT_SESSION_MINUTES,
+          status: 'open',
+          bookedBy: null,
+          classId: null
+        };
+        const [newSlotSession] = expandClassSessions(getSlotClassData(newSlotData), { maxSessions: 1 });
+        if (!newSlotSession || new Date(newSlotSession.startsAtUtc) <= new Date()) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'A slot must start in the future',
+            action: 'publishSlot'
+          }, log, logError);
+        }
+
+        // The tutor must be free from both their classes and their other slots
+        const slotConflict = await findTutorConflict(databases, getSlotClassData(newSlotData), databaseId, classesCollectionId);
+        if (slotConflict) {
+          return sendJsonResponse(res, 409, {
+            success: false,
+            message: describeTutorConflict(slotConflict),
+            tutorId: slotConflict.tutorId,
+            conflictingClass: slotConflict.class,
+            action: 'publishSlot'
+          }, log, logError);
+        }
+        const clashingSlot = await findOverlappingSlot(databases, newSlotData, databaseId, bookableSlotsCollectionId);
+        if (clashingSlot) {
+          return sendJsonResponse(res, 409, {
+            success: false,
+            message: `Tutor ${slotTutorId} already has a slot on ${clashingSlot.date} at ${clashingSlot.time}`,
+            conflictingSlotId: clashingSlot.$id,
+            action: 'publishSlot'
+          }, log, logError);
+        }
+
+        const newSlot = await databases.createDocument(
+          databaseId,
+          bookableSlotsCollectionId,
           ID.unique(),
-          {
-            name: data.name,
-            category: data.category || '',
-            description: data.description || '',
-            isActive: true
-          }
+          newSlotData
         );
-        log(`New class type created with ID: ${newClassType.$id}`);
+        await audit('publishSlot', 'slot', newSlot.$id, null, pickAuditFields(newSlot, Object.keys(newSlot)));
+
+        log(`Slot ${newSlot.$id} published for tutor ${slotTutorId}`);
         return sendJsonResponse(res, 201, {
           success: true,
-          classType: newClassType,
-          action: 'createClassType'
+          slot: newSlot,
+          action: 'publishSlot'
         }, log, logError);
 
-      case 'updateClassType':
-        log(`Executing action: updateClassType for classTypeId: ${data.classTypeId}`);
-        const updateClassTypeData = {};
-        if (data.name) updateClassTypeData.name = data.name;
-        if (data.category !== undefined) updateClassTypeData.category = data.category;
-        if (data.description !== undefined) updateClassTypeData.description = data.description;
-        if (data.isActive !== undefined) updateClassTypeData.isActive = data.isActive;
-        
-        const updatedClassType = await databases.updateDocument(
+      case 'withdrawSlot':
+        log(`Executing action: withdrawSlot for slotId: ${data.slotId}`);
+        const withdrawResult = await withClassLock(databases, databaseId, locksCollectionId, `slot-${data.slotId}`, log, async () => {
+          const slotToWithdraw = await databases.getDocument(databaseId, bookableSlotsCollectionId, data.slotId);
+          if (slotToWithdraw.tutorId !== caller.userId && !caller.isAdmin) {
+            return { error: 'You can only withdraw your own slots', status: 403 };
+          }
+          if (slotToWithdraw.status !== 'open') {
+            return { error: 'Only open slots can be withdrawn. Cancel the booking instead.' };
+          }
+          return {
+            slot: await databases.updateDocument(databaseId, bookableSlotsCollectionId, data.slotId, { status: 'withdrawn' })
+          };
+        });
+
+        if (withdrawResult.error) {
+          return sendJsonResponse(res, withdrawResult.status || 400, {
+            success: false,
+            message: withdrawResult.error,
+            action: 'withdrawSlot'
+          }, log, logError);
+        }
+
+        await audit('withdrawSlot', 'slot', data.slotId, { status: 'open' }, { status: 'withdrawn' });
+        log(`Slot ${data.slotId} withdrawn`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          slot: withdrawResult.slot,
+          action: 'withdrawSlot'
+        }, log, logError);
+
+      case 'getBookableSlots':
+        log(`Executing action: getBookableSlots with filters: ${JSON.stringify(data)}`);
+        const openSlots = await databases.listDocuments(
           databaseId,
-          classTypesCollectionId,
-          data.classTypeId,
-          updateClassTypeData
+          bookableSlotsCollectionId,
+          [
+            Query.equal('status', 'open'),
+            // A day of margin so slots in time zones ahead of ours are not missed
+            Query.greaterThanEqual('date', data.fromDate || formatDate(new Date(Date.now() - 24 * 60 * 60 * 1000))),
+            ...(data.toDate ? [Query.lessThanEqual('date', data.toDate)] : []),
+            ...(data.classTypeId ? [Query.equal('classTypeId', data.classTypeId)] : []),
+            ...(data.tutorId ? [Query.equal('tutorId', data.tutorId)] : []),
+            ...(data.kind ? [Query.equal('kind', data.kind)] : []),
+            Query.orderAsc('date'),
+            Query.limit(MAX_PAGE_SIZE)
+          ]
         );
-        
-        log(`Class type ${data.classTypeId} updated successfully`);
+
+        const slotClassTypes = await classTypeLoader.loadMany(openSlots.documents.map(slot => slot.classTypeId));
+        const bookableSlots = openSlots.documents
+          .map(slot => ({ slot, session: expandClassSessions(getSlotClassData(slot), { maxSessions: 1 })[0] }))
+          .filter(({ slot, session }) => session && new Date(session.startsAtUtc) > new Date() && slotClassTypes.get(slot.classTypeId))
+          .sort((a, b) => a.session.startsAtUtc.localeCompare(b.session.startsAtUtc))
+          .map(({ slot, session }) => ({
+            ...slot,
+            classTypeName: slotClassTypes.get(slot.classTypeId).name,
+            creditCost: slot.kind === 'trial' ? 0 : slotClassTypes.get(slot.classTypeId).creditCost || 0,
+            startsAtUtc: session.startsAtUtc,
+            endsAtUtc: session.endsAtUtc
+          }));
+
+        log(`Found ${bookableSlots.length} bookable slots`);
         return sendJsonResponse(res, 200, {
           success: true,
-          classType: updatedClassType,
-          action: 'updateClassType'
+          slots: bookableSlots,
+          action: 'getBookableSlots'
         }, log, logError);
 
-      case 'deleteClassType':
-        log(`Executing action: deleteClassType for classTypeId: ${data.classTypeId}`);
-        
-        // Check if any classes are using this class type
-        const classesUsingType = await databases.listDocuments(
+      case 'bookSlot':
+        log(`Executing action: bookSlot for slotId: ${data.slotId}, userId: ${data.userId}`);
+        const bookingStudent = await users.get(data.userId);
+
+        const bookResult = await withClassLock(databases, databaseId, locksCollectionId, `slot-${data.slotId}`, log, async () => {
+          const slot = await databases.getDocument(databaseId, bookableSlotsCollectionId, data.slotId);
+          const slotClass = getSlotClassData(slot);
+          const [slotSession] = expandClassSessions(slotClass, { maxSessions: 1 });
+          if (slot.status !== 'open' || !slotSession || new Date(slotSession.startsAtUtc) <= new Date()) {
+            return { error: 'This slot is no longer available', conflict: true };
+          }
+
+          const bookingClassType = await classTypeLoader.load(slot.classTypeId);
+          if (!bookingClassType || bookingClassType.archivedAt) {
+            return { error: 'This slot is no longer available', conflict: true };
+          }
+
+          // The rest runs under the student's credit lock as well, so two
+          // trial slots booked at once can't both pass the one-trial check
+          return withCreditLock(databases, databaseId, locksCollectionId, data.userId, log, async () => {
+            // One trial lesson per student and class type. Cancelled trials free
+            // their slot again, so they don't count.
+            if (slot.kind === 'trial') {
+              const previousTrials = await databases.listDocuments(
+                databaseId,
+                bookableSlotsCollectionId,
+                [
+                  Query.equal('bookedBy', data.userId),
+                  Query.equal('classTypeId', slot.classTypeId),
+                  Query.equal('kind', 'trial'),
+                  Query.equal('status', 'booked'),
+                  Query.limit(1)
+                ]
+              );
+              if (previousTrials.total > 0) {
+                return { error: `You have already had a trial lesson for ${bookingClassType.name}`, reason: 'trialUsed' };
+              }
+            }
+
+            // The tutor may have taken on a class since publishing the slot
+            const bookingConflict = await findTutorConflict(databases, slotClass, databaseId, classesCollectionId);
+            if (bookingConflict) {
+              return { error: 'The tutor is no longer free at this time', conflict: true };
+            }
+
+            // The class id is picked first so the credit charge can point at it
+            const bookingClassId = ID.unique();
+            const bookingCost = slot.kind === 'trial' ? 0 : bookingClassType.creditCost || 0;
+            if (bookingCost > 0) {
+              const charge = await consumeCredits(databases, data.userId, bookingCost, bookingClassId, databaseId, creditLedgerCollectionId);
+              if (charge.error) {
+                return { error: charge.error, creditsRequired: bookingCost, creditBalance: charge.creditBalance };
+              }
+            }
+
+            let bookingClass = null;
+            try {
+              bookingClass = await databases.createDocument(
+                databaseId,
+                classesCollectionId,
+                bookingClassId,
+                {
+                  ...buildNewClassData(slotClass, 1, 1, bookingClassType),
+                  bookingKind: slot.kind,
+                  slotId: slot.$id
+                }
+              );
+              await databases.createDocument(
+                databaseId,
+                enrollmentsCollectionId,
+                ID.unique(),
+                {
+                  classId: bookingClassId,
+                  userId: data.userId,
+                  name: data.name || bookingStudent.name,
+                  email: data.email || bookingStudent.email || null,
+                  phone: data.phone || null,
+                  status: 'enrolled',
+                  joinedAt: new Date().toISOString()
+                }
+              );
+              await databases.updateDocument(databaseId, bookableSlotsCollectionId, slot.$id, {
+                status: 'booked',
+                bookedBy: data.userId,
+                classId: bookingClassId,
+                bookedAt: new Date().toISOString()
+              });
+            } catch (bookingError) {
+              // The student was charged but got no booking: drop the half-made
+              // class so it doesn't hold the tutor's time, and give the credits back
+              if (bookingClass) {
+                await databases.deleteDocument(databaseId, classesCollectionId, bookingClassId)
+                  .catch(err => log(`Could not remove class ${bookingClassId} of a failed booking: ${err.message}`));
+              }
+              if (bookingCost > 0) {
+                await refundClassCredits(databases, data.userId, bookingClassId, databaseId, creditLedgerCollectionId);
+                log(`Refunded ${bookingCost} credits to user ${data.userId} after booking slot ${slot.$id} failed`);
+              }
+              throw bookingError;
+            }
+
+            return { slot, bookingClass, bookingClassType, creditsCharged: bookingCost };
+          });
+        });
+
+        if (bookResult.error) {
+          return sendJsonResponse(res, bookResult.conflict ? 409 : 400, {
+            success: false,
+            message: bookResult.error,
+            ...(bookResult.reason && { reason: bookResult.reason }),
+            ...(bookResult.creditsRequired && { creditsRequired: bookResult.creditsRequired, creditBalance: bookResult.creditBalance }),
+            action: 'bookSlot'
+          }, log, logError);
+        }
+
+        await audit('bookSlot', 'slot', data.slotId,
+          { status: 'open' },
+          { status: 'booked', bookedBy: data.userId, classId: bookResult.bookingClass.$id, creditsCharged: bookResult.creditsCharged });
+
+        await sendBookingNotification(
+          functions,
+          'lessonBooked',
+          bookResult.bookingClass,
+          bookResult.bookingClassType,
+          { userId: data.userId, name: data.name || bookingStudent.name, email: data.email || bookingStudent.email },
+          {},
+          notificationsFunctionId,
+          log,
+          logError
+        );
+
+        log(`User ${data.userId} booked slot ${data.slotId} as class ${bookResult.bookingClass.$id}`);
+        return sendJsonResponse(res, 201, {
+          success: true,
+          classId: bookResult.bookingClass.$id,
+          bookingKind: bookResult.slot.kind,
+          creditsCharged: bookResult.creditsCharged,
+          action: 'bookSlot'
+        }, log, logError);
+
+      case 'cancelBooking':
+        // The student who booked, the lesson's tutor or an admin may cancel.
+        // Students must cancel before the cancellation window; tutors and
+        // admins can cancel at any time and the student gets their credits back.
+        log(`Executing action: cancelBooking for classId: ${data.classId}, caller: ${caller.userId}`);
+        const bookingSettings = await getAdminSettings(databases, databaseId, adminSettingsCollectionId, logError);
+        const cancellationHours = bookingSettings.bookingCancellationHours ?? DEFAULT_BOOKING_CANCELLATION_HOURS;
+
+        const cancelBookingResult = await withClassLock(databases, databaseId, locksCollectionId, data.classId, log, async () => {
+          const bookingClass = await databases.getDocument(databaseId, classesCollectionId, data.classId);
+          if (!bookingClass.bookingKind || bookingClass.status !== 'active') {
+            return { error: 'This is not an active private or trial lesson' };
+          }
+
+          const bookingEnrollments = await databases.listDocuments(
+            databaseId,
+            enrollmentsCollectionId,
+            [Query.equal('classId', data.classId), Query.equal('status', 'enrolled'), Query.limit(1)]
+          );
+          const [booking] = bookingEnrollments.documents;
+          const cancelledByTutor = (bookingClass.tutorIds || []).includes(caller.userId);
+          const cancelledByStudent = booking?.userId === caller.userId;
+          if (!booking || (!cancelledByStudent && !cancelledByTutor && !caller.isAdmin)) {
+            return { error: 'You can only cancel your own bookings', status: 403 };
+          }
+
+          const hoursUntilLesson = getHoursUntilNextSession(bookingClass);
+          if (hoursUntilLesson === null) {
+            return { error: 'This lesson has already taken place' };
+          }
+          if (cancelledByStudent && !caller.isAdmin && hoursUntilLesson < cancellationHours) {
+            return {
+              error: `Bookings can only be cancelled up to ${cancellationHours} hours before the lesson`,
+              reason: 'cancellationWindowPassed'
+            };
+          }
+
+          const cancelledBy = cancelledByStudent ? 'student' : cancelledByTutor ? 'tutor' : 'admin';
+          const cancelledAt = new Date().toISOString();
+          await databases.updateDocument(databaseId, enrollmentsCollectionId, booking.$id, { status: 'left', leftAt: cancelledAt });
+          const cancelledBooking = await databases.updateDocument(databaseId, classesCollectionId, data.classId, {
+            status: 'cancelled',
+            cancelledAt,
+            cancelReason: data.reason || `Cancelled by the ${cancelledBy}`,
+            enrolledCount: 0,
+            spotsLeft: bookingClass.totalSpots || 1
+          });
+          const creditsRefunded = await withCreditLock(databases, databaseId, locksCollectionId, booking.userId, log, () =>
+            refundClassCredits(databases, booking.userId, data.classId, databaseId, creditLedgerCollectionId)
+          );
+
+          // A slot the student gave up can be booked by someone else
+          const slotReopened = cancelledByStudent;
+          if (bookingClass.slotId) {
+            await databases.updateDocument(databaseId, bookableSlotsCollectionId, bookingClass.slotId, slotReopened
+              ? { status: 'open', bookedBy: null, classId: null, bookedAt: null }
+              : { status: 'cancelled' });
+          }
+
+          return { cancelledBooking, booking, creditsRefunded, slotReopened, cancelledBy };
+        });
+
+        if (cancelBookingResult.error) {
+          return sendJsonResponse(res, cancelBookingResult.status || 400, {
+            success: false,
+            message: cancelBookingResult.error,
+            ...(cancelBookingResult.reason && { reason: cancelBookingResult.reason }),
+            action: 'cancelBooking'
+          }, log, logError);
+        }
+
+        await audit('cancelBooking', 'class', data.classId,
+          { userId: cancelBookingResult.booking.userId, status: 'active' },
+          {
+            userId: cancelBookingResult.booking.userId,
+            status: 'cancelled',
+            cancelReason: cancelBookingResult.cancelledBooking.cancelReason,
+            creditsRefunded: cancelBookingResult.creditsRefunded
+          });
+
+        await sendBookingNotification(
+          functions,
+          'lessonCancelled',
+          cancelBookingResult.cancelledBooking,
+          await classTypeLoader.load(cancelBookingResult.cancelledBooking.classTypeId),
+          {
+            userId: cancelBookingResult.booking.userId,
+            name: cancelBookingResult.booking.name,
+            email: cancelBookingResult.booking.email
+          },
+          {
+            cancelReason: cancelBookingResult.cancelledBooking.cancelReason,
+            cancelledBy: cancelBookingResult.cancelledBy
+          },
+          notificationsFunctionId,
+          log,
+          logError
+        );
+
+        log(`Booking ${data.classId} cancelled by the ${cancelBookingResult.cancelledBy}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          message: 'Booking cancelled',
+          creditsRefunded: cancelBookingResult.creditsRefunded,
+          slotReopened: cancelBookingResult.slotReopened,
+          action: 'cancelBooking'
+        }, log, logError);
+
+      case 'markAttendance':
+        log(`Executing action: markAttendance for classId: ${data.classId}, session: ${data.sessionDate}`);
+        // Accept a list of marks for the whole sheet or a single student's mark
+        const attendanceMarks = data.records || [{ userId: data.userId, status: data.status, note: data.note }];
+        if (attendanceMarks.length === 0 || attendanceMarks.some(mark => !mark.userId || !ATTENDANCE_STATUSES.includes(mark.status))) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: `Each record needs a userId and a status of ${ATTENDANCE_STATUSES.join(', ')}`,
+            action: 'markAttendance'
+          }, log, logError);
+        }
+
+        const markClass = await databases.getDocument(databaseId, classesCollectionId, data.classId);
+        if (!caller.isAdmin && !(markClass.tutorIds || []).includes(caller.userId)) {
+          return sendJsonResponse(res, 403, {
+            success: false,
+            message: 'You can only take attendance for classes you teach',
+            action: 'markAttendance'
+          }, log, logError);
+        }
+        const markSession = findClassSession(markClass, data.sessionDate);
+        if (!markSession) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: `The class has no session on ${data.sessionDate}`,
+            action: 'markAttendance'
+          }, log, logError);
+        }
+
+        // Only absences can be excused ahead of time
+        if (markSession.date > getClassToday(markClass) && attendanceMarks.some(mark => mark.status !== 'excused')) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'Only excused absences can be marked before the session takes place',
+            action: 'markAttendance'
+          }, log, logError);
+        }
+
+        // Students who have since left the class still get their past sessions marked
+        const markEnrollments = await databases.listDocuments(
           databaseId,
-          classesCollectionId,
-          [Query.equal('classTypeId', data.classTypeId)]
+          enrollmentsCollectionId,
+          [
+            Query.equal('classId', data.classId),
+            Query.equal('userId', attendanceMarks.map(mark => mark.userId)),
+            Query.equal('status', ['enrolled', 'left']),
+            Query.limit(100)
+          ]
         );
-        
-        if (classesUsingType.total > 0) {
-          log(`Cannot delete class type ${data.classTypeId}: ${classesUsingType.total} classes are using it`);
+        const existingMarks = await listSessionAttendance(databases, data.classId, markSession.date, databaseId, attendanceCollectionId);
+
+        const markedAttendance = [];
+        const skippedAttendance = [];
+        for (const mark of attendanceMarks) {
+          const markEnrollment = markEnrollments.documents.find(enrollment => enrollment.userId === mark.userId);
+          if (!markEnrollment) {
+            skippedAttendance.push({ userId: mark.userId, reason: 'Not a member of this class' });
+            continue;
+          }
+
+          const attendanceData = {
+            status: mark.status,
+            note: mark.note || '',
+            markedBy: caller.userId || 'system',
+            markedAt: new Date().toISOString()
+          };
+          const existingMark = existingMarks.find(record => record.userId === mark.userId);
+          await audit('markAttendance', 'class', data.classId,
+            existingMark ? { userId: mark.userId, sessionDate: markSession.date, status: existingMark.status, note: existingMark.note } : null,
+            { userId: mark.userId, sessionDate: markSession.date, status: mark.status, note: attendanceData.note });
+          if (existingMark) {
+            await databases.updateDocument(databaseId, attendanceCollectionId, existingMark.$id, attendanceData);
+          } else {
+            await databases.createDocument(databaseId, attendanceCollectionId, ID.unique(), {
+              classId: data.classId,
+              sessionDate: markSession.date,
+              userId: mark.userId,
+              name: markEnrollment.name,
+              ...attendanceData
+            });
+          }
+          markedAttendance.push({ userId: mark.userId, status: mark.status });
+        }
+
+        log(`Marked attendance for ${markedAttendance.length} students, skipped ${skippedAttendance.length}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          sessionDate: markSession.date,
+          marked: markedAttendance,
+          skipped: skippedAttendance,
+          action: 'markAttendance'
+        }, log, logError);
+
+      case 'getSessionAttendance':
+        log(`Executing action: getSessionAttendance for classId: ${data.classId}, session: ${data.sessionDate}`);
+        const sheetClass = await databases.getDocument(databaseId, classesCollectionId, data.classId);
+        if (!caller.isAdmin && !(sheetClass.tutorIds || []).includes(caller.userId)) {
+          return sendJsonResponse(res, 403, {
+            success: false,
+            message: 'You can only see attendance for classes you teach',
+            action: 'getSessionAttendance'
+          }, log, logError);
+        }
+        const sheetSession = findClassSession(sheetClass, data.sessionDate);
+        if (!sheetSession) {
           return sendJsonResponse(res, 400, {
             success: false,
-            message: `Cannot delete class type. ${classesUsingType.total} classes are still using it.`,
-            action: 'deleteClassType'
+            message: `The class has no session on ${data.sessionDate}`,
+            action: 'getSessionAttendance'
           }, log, logError);
         }
-        
-        await databases.deleteDocument(
+
+        const sheetMarks = await listSessionAttendance(databases, data.classId, sheetSession.date, databaseId, attendanceCollectionId);
+        const sheetMembers = await databases.listDocuments(
           databaseId,
-          classTypesCollectionId,
-          data.classTypeId
+          enrollmentsCollectionId,
+          [
+            Query.equal('classId', data.classId),
+            Query.equal('status', 'enrolled'),
+            Query.orderAsc('joinedAt'),
+            Query.limit(100)
+          ]
         );
-        
-        log(`Class type ${data.classTypeId} deleted successfully`);
+
+        // Current members first, then anyone marked who has since left
+        const attendanceSheet = sheetMembers.documents.map(member => {
+          const memberMark = sheetMarks.find(record => record.userId === member.userId);
+          return {
+            userId: member.userId,
+            name: member.name,
+            status: memberMark ? memberMark.status : 'unmarked',
+            note: memberMark ? memberMark.note : '',
+            markedAt: memberMark ? memberMark.markedAt : null
+          };
+        });
+        sheetMarks
+          .filter(record => !attendanceSheet.some(entry => entry.userId === record.userId))
+          .forEach(record => attendanceSheet.push({
+            userId: record.userId,
+            name: record.name,
+            status: record.status,
+            note: record.note,
+            markedAt: record.markedAt
+          }));
+
         return sendJsonResponse(res, 200, {
           success: true,
-          message: 'Class type deleted successfully',
-          action: 'deleteClassType'
+          session: sheetSession,
+          attendance: attendanceSheet,
+          summary: summarizeAttendance(sheetMarks),
+          action: 'getSessionAttendance'
         }, log, logError);
-      
-      default:
-        log(`Warning: Invalid action received: ${action}`);
-        return sendJsonResponse(res, 400, {
-          success: false,
-          message: 'Invalid action specified',
-          action: action || 'unknown'
+
+      case 'getStudentAttendance':
+        log(`Executing action: getStudentAttendance for userId: ${data.userId}`);
+        const studentQueries = [
+          Query.equal('userId', data.userId),
+          Query.orderDesc('sessionDate'),
+          Query.limit(data.limit || 100)
+        ];
+        if (data.classId) {
+          studentQueries.push(Query.equal('classId', data.classId));
+        }
+        const studentAttendance = await databases.listDocuments(databaseId, attendanceCollectionId, studentQueries);
+
+        return sendJsonResponse(res, 200, {
+          success: true,
+          records: studentAttendance.documents.map(record => ({
+            classId: record.classId,
+            sessionDate: record.sessionDate,
+            status: record.status,
+            note: record.note,
+            markedAt: record.markedAt
+          })),
+          summary: summarizeAttendance(studentAttendance.documents),
+          action: 'getStudentAttendance'
         }, log, logError);
-    }
-  } catch (e) {
-    logError("An error occurred in classManagement function execution:");
-    logError(`Error Message: ${e.message}`);
-    logError(`Error Stack: ${e.stack}`);
-    if (e.response) {
-        logError(`Appwrite SDK Error Response: ${JSON.stringify(e.response)}`);
-    }
-    
-    return sendJsonResponse(res, 500, {
-      success: false,
-      message: `Class operation failed: ${e.message}`,
-      errorDetails: e.toString()
-    }, log, logError);
-  }
-};
\ No newline at end of file
+
+      case 'grantCredits':
+        log(`Executing action: grantCredits for userId: ${data.userId}, amount: ${data.amount}`);
+        if (!data.userId || !Number.isInteger(data.amount) || data.amount <= 0) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'grantCredits needs a userId and a positive whole number of credits',
+            action: 'grantCredits'
+          }, log, logError);
+        }
+        if (data.expiresAt && isNaN(new Date(data.expiresAt).getTime())) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'expiresAt must be a date',
+            action: 'grantCredits'
+          }, log, logError);
+        }
+
+        const grantResult = await withCreditLock(databases, databaseId, locksCollectionId, data.userId, log, async () => {
+          const grantEntry = await addCreditEntry(databases, {
+            userId: data.userId,
+            type: 'grant',
+            amount: data.amount,
+            note: data.note || '',
+            expiresAt: data.expiresAt ? new Date(data.expiresAt).toISOString() : null,
+            expired: false,
+            createdBy: caller.userId || 'system'
+          }, databaseId, creditLedgerCollectionId);
+          const balanceAfterGrant = await getCreditBalance(databases, data.userId, databaseId, creditLedgerCollectionId);
+          return { grantEntry, balanceAfterGrant };
+        });
+
+        await audit('grantCredits', 'user', data.userId, null, {
+          entryId: grantResult.grantEntry.$id,
+          amount: data.amount,
+          expiresAt: grantResult.grantEntry.expiresAt,
+          balance: grantResult.balanceAfterGrant
+        });
+
+        log(`Granted ${data.amount} credits to user ${data.userId}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          entry: grantResult.grantEntry,
+          balance: grantResult.balanceAfterGrant,
+          action: 'grantCredits'
+        }, log, logError);
+
+      case 'getCreditLedger':
+        log(`Executing action: getCreditLedger for userId: ${data.userId}`);
+        const ledgerEntries = await listCreditEntries(databases, data.userId, databaseId, creditLedgerCollectionId);
+
+        return sendJsonResponse(res, 200, {
+          success: true,
+          entries: ledgerEntries,
+          balance: ledgerEntries.reduce((total, entry) => total + entry.amount, 0),
+          action: 'getCreditLedger'
+        }, log, logError);
+
+      case 'getCreditBalance':
+        log(`Executing action: getCreditBalance for userId: ${data.userId}`);
+        const balanceEntries = await listCreditEntries(databases, data.userId, databaseId, creditLedgerCollectionId);
+        const upcomingExpiries = balanceEntries
+          .filter(entry => entry.type === 'grant' && entry.expiresAt && !entry.expired)
+          .map(entry => ({ amount: entry.amount, expiresAt: entry.expiresAt }));
+
+        return sendJsonResponse(res, 200, {
+          success: true,
+          balance: balanceEntries.reduce((total, entry) => total + entry.amount, 0),
+          upcomingExpiries,
+          action: 'getCreditBalance'
+        }, log, logError);
+
+      case 'expireCredits':
+        // Meant to run daily on a schedule: write off unused credits from
+        // grants that have passed their expiry date
+        log(`Executing action: expireCredits`);
+        const expiredGrants = await databases.listDocuments(
+          databaseId,
+          creditLedgerCollectionId,
+          [
+            Query.equal('type', 'grant'),
+            Query.equal('expired', false),
+            Query.lessThanEqual('expiresAt', new Date().toISOString()),
+            Query.orderAsc('expiresAt'),
+            Query.limit(100)
+          ]
+        );
+
+        const expiryResults = [];
+        for (const grant of expiredGrants.documents) {
+          const expiredAmount = await withCreditLock(databases, databaseId, locksCollectionId, grant.userId, log, () =>
+            expireCreditGrant(databases, grant, databaseId, creditLedgerCollectionId)
+          );
+          expiryResults.push({ userId: grant.userId, grantId: grant.$id, expired: expiredAmount });
+          await audit('expireCredits', 'user', grant.userId, { grantId: grant.$id, expired: false }, { grantId: grant.$id, expired: true, amount: expiredAmount });
+        }
+
+        log(`Processed ${expiryResults.length} expired credit grants`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          expired: expiryResults,
+          action: 'expireCredits'
+        }, log, logError);
+
+      case 'getMyTeachingSchedule':
+        // Tutors see their own schedule; admins may look up any tutor
+        const scheduleTutorId = data.tutorId || caller.userId;
+        log(`Executing action: getMyTeachingSchedule for tutorId: ${scheduleTutorId}`);
+        if (scheduleTutorId !== caller.userId && !caller.isAdmin) {
+          return sendJsonResponse(res, 403, {
+            success: false,
+            message: 'You can only see your own teaching schedule',
+            action: 'getMyTeachingSchedule'
+          }, log, logError);
+        }
+
+        const teachingClasses = await databases.listDocuments(
+          databaseId,
+          classesCollectionId,
+          [
+            Query.contains('tutorIds', scheduleTutorId),
+            Query.equal('status', 'active'),
+            Query.isNull('archivedAt'),
+            Query.limit(100)
+          ]
+        );
+
+        const teachingClassTypes = await classTypeLoader.loadMany(teachingClasses.documents.map(teachingClass => teachingClass.classTypeId));
+        const teachingSchedule = [];
+        const teachingSessions = [];
+        for (const teachingClass of teachingClasses.documents) {
+          teachingSchedule.push(withClassTypeInfo(teachingClass, teachingClassTypes.get(teachingClass.classTypeId)));
+          expandClassSessions(teachingClass, { fromDate: getClassToday(teachingClass) })
+            .forEach(session => teachingSessions.push({ classId: teachingClass.$id, ...session }));
+        }
+        teachingSessions.sort((a, b) => a.startsAtUtc.localeCompare(b.startsAtUtc));
+
+        let workingHours = [];
+        try {
+          workingHours = (await users.getPrefs(scheduleTutorId)).workingHours || [];
+        } catch (err) {
+          logError(`Error fetching working hours for tutor ${scheduleTutorId}: ${err.message}`);
+        }
+
+        log(`Tutor ${scheduleTutorId} teaches ${teachingSchedule.length} classes`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          tutorId: scheduleTutorId,
+          classes: teachingSchedule,
+          upcomingSessions: teachingSessions.slice(0, data.limit || DEFAULT_SESSION_LIMIT),
+          weeklyTeachingHours: minutesToHours(teachingClasses.documents
+            .reduce((total, teachingClass) => total + (teachingClass.sessionDuration || DEFAULT_SESSION_MINUTES), 0)),
+          workingHours,
+          action: 'getMyTeachingSchedule'
+        }, log, logError);
+
+      case 'updateClass':
+        log(`Executing action: updateClass for classId: ${data.classId}`);
+        
+        // Build update object
+        const updateData = {};
+        
+        if (data.day) updateData.day = data.day;
+        if (data.time) updateData.time = data.time;
+        if (data.classTypeId) updateData.classTypeId = data.classTypeId;
+        if (data.termStartDate !== undefined) updateData.termStartDate = data.termStartDate;
+        if (data.termEndDate !== undefined) updateData.termEndDate = data.termEndDate;
+        if (data.skipDates !== undefined) updateData.skipDates = data.skipDates;
+        if (data.timeZone !== undefined) updateData.timeZone = data.timeZone;
+        if (data.tutorIds !== undefined) updateData.tutorIds = data.tutorIds;
+
+        // Keep the old schedule so students can be told what changed
+        const classBeforeUpdate = await databases.getDocument(databaseId, classesCollectionId, data.classId);
+
+        // A class without a duration of its own follows its class type, so
+        // moving it to another type can change its duration too
+        if (data.sessionDuration !== undefined || (updateData.classTypeId && updateData.classTypeId !== classBeforeUpdate.classTypeId)) {
+          Object.assign(updateData, getSessionDurationFields(
+            data.sessionDuration !== undefined ? data.sessionDuration : classBeforeUpdate.customSessionDuration,
+            await classTypeLoader.load(updateData.classTypeId || classBeforeUpdate.classTypeId)
+          ));
+        }
+
+        // A new threshold or deadline is checked again, unless the class is already confirmed
+        if (data.minMembers !== undefined || data.confirmationDeadline !== undefined) {
+          const thresholdError = validateEnrollmentThreshold({ ...classBeforeUpdate, ...updateData, ...data });
+          if (thresholdError) {
+            return sendJsonResponse(res, 400, {
+              success: false,
+              message: thresholdError,
+              action: 'updateClass'
+            }, log, logError);
+          }
+          const thresholdFields = getEnrollmentThresholdFields({
+            ...classBeforeUpdate,
+            ...updateData,
+            minMembers: data.minMembers !== undefined ? data.minMembers : classBeforeUpdate.minMembers,
+            confirmationDeadline: data.confirmationDeadline !== undefined ? data.confirmationDeadline : classBeforeUpdate.confirmationDeadline
+          });
+          if (classBeforeUpdate.confirmationStatus === 'confirmed' && thresholdFields.confirmationStatus === 'pending') {
+            delete thresholdFields.confirmationStatus;
+          }
+          Object.assign(updateData, thresholdFields);
+        }
+
+        if (updateData.day || updateData.time) {
+          Object.assign(updateData, getClassSearchFields({ ...classBeforeUpdate, ...updateData }));
+        }
+
+        const updateScheduleError = validateClassSchedule({ ...classBeforeUpdate, ...updateData });
+        if (updateScheduleError) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: updateScheduleError,
+            action: 'updateClass'
+          }, log, logError);
+        }
+
+        const updateTutorError = await validateTutorIds(users, updateData.tutorIds);
+        if (updateTutorError) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: updateTutorError,
+            action: 'updateClass'
+          }, log, logError);
+        }
+
+        // Cancelled classes don't hold a tutor's time, so only check active ones
+        const updateConflict = classBeforeUpdate.status === 'active'
+          ? await findTutorConflict(databases, { ...classBeforeUpdate, ...updateData }, databaseId, classesCollectionId)
+          : null;
+        if (updateConflict) {
+          return sendJsonResponse(res, 409, {
+            success: false,
+            message: describeTutorConflict(updateConflict),
+            tutorId: updateConflict.tutorId,
+            conflictingClass: updateConflict.class,
+            action: 'updateClass'
+          }, log, logError);
+        }
+
+        // Spots left depends on the current members, so recalculate it under the class lock
+        const updatedClass = await withClassLock(databases, databaseId, locksCollectionId, data.classId, log, async () => {
+          if (data.totalSpots !== undefined) {
+            updateData.totalSpots = data.totalSpots;
+            updateData.enrolledCount = await countEnrolled(databases, data.classId, databaseId, enrollmentsCollectionId);
+            updateData.spotsLeft = data.totalSpots - await countTakenSeats(databases, data.classId, databaseId, enrollmentsCollectionId);
+          }
+
+          return databases.updateDocument(
+            databaseId,
+            classesCollectionId,
+            data.classId,
+            updateData
+          );
+        });
+        
+        log(`Class ${data.classId} updated successfully`);
+        await audit('updateClass', 'class', data.classId,
+          pickAuditFields(classBeforeUpdate, Object.keys(updateData)),
+          pickAuditFields(updatedClass, Object.keys(updateData)));
+
+        // Members of a class that moved hear about the new day, time or length
+        let rescheduleSummary = null;
+        const isRescheduled = ['day', 'time', 'timeZone', 'termStartDate', 'termEndDate', 'sessionDuration']
+          .some(field => updateData[field] !== undefined && updateData[field] !== classBeforeUpdate[field]) ||
+          (updateData.skipDates !== undefined && JSON.stringify(updateData.skipDates) !== JSON.stringify(classBeforeUpdate.skipDates || []));
+        if (isRescheduled && updatedClass.status === 'active') {
+          rescheduleSummary = await notifyEnrolledMembers(
+            databases,
+            functions,
+            updatedClass,
+            'classRescheduled',
+            {
+              oldDay: classBeforeUpdate.day,
+              oldTime: classBeforeUpdate.time,
+              oldTimeZone: getClassTimeZone(classBeforeUpdate),
+              oldSessionDuration: classBeforeUpdate.sessionDuration || DEFAULT_SESSION_MINUTES
+            },
+            databaseId,
+            classTypesCollectionId,
+            enrollmentsCollectionId,
+            notificationsFunctionId,
+            log,
+            logError
+          );
+        }
+
+        // Extra spots go to the waitlist first
+        let promotedOnUpdate = [];
+        if (updateData.spotsLeft > 0) {
+          promotedOnUpdate = await promoteFromWaitlist(
+            databases,
+            functions,
+            data.classId,
+            databaseId,
+            classesCollectionId,
+            classTypesCollectionId,
+            enrollmentsCollectionId,
+            locksCollectionId,
+            creditLedgerCollectionId,
+            notificationsFunctionId,
+            log,
+            logError
+          );
+        }
+
+        return sendJsonResponse(res, 200, {
+          success: true,
+          class: updatedClass,
+          promotedUserIds: promotedOnUpdate.map(member => member.userId),
+          notificationSummary: rescheduleSummary,
+          action: 'updateClass'
+        }, log, logError);
+
+      case 'cancelClass':
+        log(`Executing action: cancelClass for classId: ${data.classId}`);
+        const classBeforeCancel = await databases.getDocument(databaseId, classesCollectionId, data.classId);
+        
+        const { cancelledClass, notificationSummary: cancelSummary, creditRefunds: cancelRefunds } = await cancelClassAndNotify(
+          databases,
+          functions,
+          data.classId,
+          data.reason,
+          databaseId,
+          classesCollectionId,
+          classTypesCollectionId,
+          enrollmentsCollectionId,
+          locksCollectionId,
+          creditLedgerCollectionId,
+          notificationsFunctionId,
+          log,
+          logError
+        );
+        
+        await audit('cancelClass', 'class', data.classId,
+          pickAuditFields(classBeforeCancel, ['status', 'cancelReason']),
+          pickAuditFields(cancelledClass, ['status', 'cancelReason']));
+
+        log(`Class ${data.classId} cancelled successfully`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          class: cancelledClass,
+          notificationSummary: cancelSummary,
+          creditRefunds: cancelRefunds,
+          action: 'cancelClass'
+        }, log, logError);
+
+      case 'reactivateClass':
+        log(`Executing action: reactivateClass for classId: ${data.classId}`);
+
+        // A tutor may have been booked into this slot while the class was cancelled
+        const classToReactivate = await databases.getDocument(databaseId, classesCollectionId, data.classId);
+        const reactivateConflict = await findTutorConflict(databases, classToReactivate, databaseId, classesCollectionId);
+        if (reactivateConflict) {
+          return sendJsonResponse(res, 409, {
+            success: false,
+            message: describeTutorConflict(reactivateConflict),
+            tutorId: reactivateConflict.tutorId,
+            conflictingClass: reactivateConflict.class,
+            action: 'reactivateClass'
+          }, log, logError);
+        }
+        
+        const reactivatedClass = await databases.updateDocument(
+          databaseId,
+          classesCollectionId,
+          data.classId,
+          {
+            status: 'active',
+            reactivatedAt: new Date().toISOString()
+          }
+        );
+
+        const reactivateSummary = await notifyEnrolledMembers(
+          databases,
+          functions,
+          reactivatedClass,
+          'classReactivated',
+          {},
+          databaseId,
+          classTypesCollectionId,
+          enrollmentsCollectionId,
+          notificationsFunctionId,
+          log,
+          logError
+        );
+        
+        await audit('reactivateClass', 'class', data.classId,
+          pickAuditFields(classToReactivate, ['status']),
+          pickAuditFields(reactivatedClass, ['status']));
+
+        log(`Class ${data.classId} reactivated successfully`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          class: reactivatedClass,
+          notificationSummary: reactivateSummary,
+          action: 'reactivateClass'
+        }, log, logError);
+
+      case 'deleteClass':
+        log(`Executing action: deleteClass for classId: ${data.classId}`);
+
+        // Deleting only archives the class; its members and history stay
+        // until purgeArchived removes it after the retention period
+        const classBeforeDelete = await databases.getDocument(databaseId, classesCollectionId, data.classId);
+        const archivedClass = await databases.updateDocument(
+          databaseId,
+          classesCollectionId,
+          data.classId,
+          {
+            archivedAt: new Date().toISOString(),
+            archivedBy: caller.userId || 'system'
+          }
+        );
+        
+        await audit('deleteClass', 'class', data.classId,
+          pickAuditFields(classBeforeDelete, ['archivedAt', 'archivedBy']),
+          pickAuditFields(archivedClass, ['archivedAt', 'archivedBy']));
+
+        log(`Class ${data.classId} archived successfully`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          message: 'Class deleted successfully',
+          archivedAt: archivedClass.archivedAt,
+          action: 'deleteClass'
+        }, log, logError);
+
+      case 'restoreClass':
+        log(`Executing action: restoreClass for classId: ${data.classId}`);
+        const classToRestore = await databases.getDocument(databaseId, classesCollectionId, data.classId);
+        if (!classToRestore.archivedAt) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'Class is not deleted',
+            action: 'restoreClass'
+          }, log, logError);
+        }
+
+        const restoreClassType = await classTypeLoader.load(classToRestore.classTypeId);
+        if (restoreClassType?.archivedAt) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'The class type of this class is deleted. Restore the class type first.',
+            action: 'restoreClass'
+          }, log, logError);
+        }
+
+        // A tutor may have been booked into this slot while the class was deleted
+        const restoreConflict = classToRestore.status === 'active'
+          ? await findTutorConflict(databases, classToRestore, databaseId, classesCollectionId)
+          : null;
+        if (restoreConflict) {
+          return sendJsonResponse(res, 409, {
+            success: false,
+            message: describeTutorConflict(restoreConflict),
+            tutorId: restoreConflict.tutorId,
+            conflictingClass: restoreConflict.class,
+            action: 'restoreClass'
+          }, log, logError);
+        }
+
+        const restoredClass = await databases.updateDocument(
+          databaseId,
+          classesCollectionId,
+          data.classId,
+          { archivedAt: null, archivedBy: null }
+        );
+
+        await audit('restoreClass', 'class', data.classId,
+          pickAuditFields(classToRestore, ['archivedAt', 'archivedBy']),
+          pickAuditFields(restoredClass, ['archivedAt', 'archivedBy']));
+
+        log(`Class ${data.classId} restored successfully`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          class: restoredClass,
+          action: 'restoreClass'
+        }, log, logError);
+
+      case 'purgeArchived':
+        log(`Executing action: purgeArchived`);
+        // Meant to run on a schedule: permanently remove classes and class
+        // types that were deleted longer ago than the retention period
+        const purgeSettings = await getAdminSettings(databases, databaseId, adminSettingsCollectionId, logError);
+        const retentionDays = purgeSettings.archiveRetentionDays ?? DEFAULT_ARCHIVE_RETENTION_DAYS;
+        const purgeBefore = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+        const classesToPurge = await databases.listDocuments(
+          databaseId,
+          classesCollectionId,
+          [Query.lessThan('archivedAt', purgeBefore), Query.limit(100)]
+        );
+        for (const classToPurge of classesToPurge.documents) {
+          await purgeClass(databases, classToPurge.$id, databaseId, classesCollectionId, enrollmentsCollectionId, attendanceCollectionId);
+          await audit('purgeArchived', 'class', classToPurge.$id, pickAuditFields(classToPurge, Object.keys(classToPurge)), null);
+          log(`Purged class ${classToPurge.$id}, deleted at ${classToPurge.archivedAt}`);
+        }
+
+        // Class types go only once no class, deleted or not, still uses them
+        const classTypesToPurge = await databases.listDocuments(
+          databaseId,
+          classTypesCollectionId,
+          [Query.lessThan('archivedAt', purgeBefore), Query.limit(100)]
+        );
+        const classTypesPurged = [];
+        for (const classTypeToPurge of classTypesToPurge.documents) {
+          const remainingClasses = await databases.listDocuments(
+            databaseId,
+            classesCollectionId,
+            [Query.equal('classTypeId', classTypeToPurge.$id), Query.limit(1)]
+          );
+          if (remainingClasses.total > 0) {
+            log(`Keeping class type ${classTypeToPurge.$id}: ${remainingClasses.total} classes still use it`);
+            continue;
+          }
+          await databases.deleteDocument(databaseId, classTypesCollectionId, classTypeToPurge.$id);
+          await audit('purgeArchived', 'classType', classTypeToPurge.$id, pickAuditFields(classTypeToPurge, Object.keys(classTypeToPurge)), null);
+          classTypesPurged.push(classTypeToPurge.$id);
+        }
+
+        log(`Purged ${classesToPurge.documents.length} classes and ${classTypesPurged.length} class types deleted before ${purgeBefore}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          retentionDays,
+          classesPurged: classesToPurge.documents.map(classDoc => classDoc.$id),
+          classTypesPurged,
+          action: 'purgeArchived'
+        }, log, logError);
+        
+      case 'createClass':
+        log(`Executing action: createClass with data: ${JSON.stringify(data)}`);
+        const spots = data.totalSpots || 5;
+        const initialMembersCount = data.initialMembers?.length || 0;
+
+        if (!data.classTypeId) {
+            throw new Error("classTypeId is required for creating a class.");
+        }
+
+        // Verify the class type exists
+        let createClassType;
+        try {
+          createClassType = await databases.getDocument(
+            databaseId,
+            classTypesCollectionId,
+            data.classTypeId
+          );
+        } catch (err) {
+          throw new Error("Invalid classTypeId: Class type not found.");
+        }
+        if (createClassType.archivedAt) {
+          throw new Error("Invalid classTypeId: Class type has been deleted.");
+        }
+
+        const createScheduleError = validateClassSchedule(data) || validateEnrollmentThreshold({ totalSpots: spots, ...data });
+        if (createScheduleError) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: createScheduleError,
+            action: 'createClass'
+          }, log, logError);
+        }
+
+        const createTutorError = await validateTutorIds(users, data.tutorIds);
+        if (createTutorError) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: createTutorError,
+            action: 'createClass'
+          }, log, logError);
+        }
+
+        const createConflict = await findTutorConflict(
+          databases,
+          { ...data, ...getSessionDurationFields(data.sessionDuration, createClassType) },
+          databaseId,
+          classesCollectionId
+        );
+        if (createConflict) {
+          return sendJsonResponse(res, 409, {
+            success: false,
+            message: describeTutorConflict(createConflict),
+            tutorId: createConflict.tutorId,
+            conflictingClass: createConflict.class,
+            action: 'createClass'
+          }, log, logError);
+        }
+
+        const newClass = await databases.createDocument(
+          databaseId,
+          classesCollectionId,
+          ID.unique(),
+          buildNewClassData(data, spots, initialMembersCount, createClassType)
+        );
+
+        // Initial members may be given as objects or as legacy member strings
+        const initialJoinedAt = new Date().toISOString();
+        for (const initialMember of data.initialMembers || []) {
+          const member = typeof initialMember === 'string' ? JSON.parse(initialMember) : initialMember;
+          await databases.createDocument(
+            databaseId,
+            enrollmentsCollectionId,
+            ID.unique(),
+            {
+              classId: newClass.$id,
+              userId: member.userId,
+              name: member.name,
+              email: member.email || null,
+              phone: member.phone || null,
+              status: 'enrolled',
+              joinedAt: member.joinedAt || initialJoinedAt
+            }
+          );
+        }
+        await audit('createClass', 'class', newClass.$id, null, {
+          ...pickAuditFields(newClass, Object.keys(newClass)),
+          initialMemberCount: initialMembersCount
+        });
+
+        // Classes made from availability matches tell their members they're in
+        if (data.notifyInitialMembers) {
+          for (const [index, initialMember] of (data.initialMembers || []).entries()) {
+            const member = typeof initialMember === 'string' ? JSON.parse(initialMember) : initialMember;
+            await sendJoinConfirmation(
+              databases,
+              functions,
+              newClass,
+              member,
+              index + 1,
+              databaseId,
+              classTypesCollectionId,
+              notificationsFunctionId,
+              log,
+              logError
+            );
+          }
+        }
+
+        log(`New class created with ID: ${newClass.$id}`);
+        return sendJsonResponse(res, 201, {
+          success: true,
+          classId: newClass.$id,
+          action: 'createClass'
+        }, log, logError);
+
+      case 'migrateMembersToEnrollments':
+        log(`Executing action: migrateMembersToEnrollments`);
+        // One-off conversion of the legacy members/waitlist strings on each
+        // class into enrollment documents. Safe to run again: users who already
+        // have an enrollment are skipped, and entries that can't be parsed stay
+        // on the class and are reported instead of being dropped.
+        const migrationReport = {
+          classesMigrated: 0,
+          enrollmentsCreated: 0,
+          unparseableEntries: []
+        };
+        let migrationCursor = null;
+
+        do {
+          const migrationPage = await databases.listDocuments(
+            databaseId,
+            classesCollectionId,
+            [
+              Query.limit(100),
+              ...(migrationCursor ? [Query.cursorAfter(migrationCursor)] : [])
+            ]
+          );
+
+          for (const legacyClass of migrationPage.documents) {
+            const legacyEntries = [
+              ...(legacyClass.members || []).map(entry => ({ entry, status: 'enrolled' })),
+              ...(legacyClass.waitlist || []).map(entry => ({ entry, status: 'waitlisted' }))
+            ];
+
+            if (legacyEntries.length === 0) {
+              continue;
+            }
+
+            await withClassLock(databases, databaseId, locksCollectionId, legacyClass.$id, log, async () => {
+              const keptMembers = [];
+
+              for (const { entry, status } of legacyEntries) {
+                let member;
+                try {
+                  member = JSON.parse(entry);
+                } catch (e) {
+                  member = null;
+                }
+
+                if (!member?.userId) {
+                  migrationReport.unparseableEntries.push({ classId: legacyClass.$id, entry });
+                  if (status === 'enrolled') keptMembers.push(entry);
+                  continue;
+                }
+
+                const existing = await findActiveEnrollment(databases, legacyClass.$id, member.userId, databaseId, enrollmentsCollectionId);
+                if (existing) {
+                  continue;
+                }
+
+                await databases.createDocument(
+                  databaseId,
+                  enrollmentsCollectionId,
+                  ID.unique(),
+                  {
+                    classId: legacyClass.$id,
+                    userId: member.userId,
+                    name: member.name || null,
+                    email: member.email || null,
+                    phone: member.phone || null,
+                    status,
+                    ...(status === 'enrolled'
+                      ? { joinedAt: member.joinedAt || legacyClass.$createdAt }
+                      : { waitlistedAt: member.waitlistedAt || legacyClass.$createdAt })
+                  }
+                );
+                migrationReport.enrollmentsCreated++;
+              }
+
+              await databases.updateDocument(
+                databaseId,
+                classesCollectionId,
+                legacyClass.$id,
+                { members: keptMembers, waitlist: [] }
+              );
+              await syncEnrollmentCounts(databases, legacyClass, databaseId, classesCollectionId, enrollmentsCollectionId);
+            });
+
+            migrationReport.classesMigrated++;
+          }
+
+          migrationCursor = migrationPage.documents.length === 100
+            ? migrationPage.documents[migrationPage.documents.length - 1].$id
+            : null;
+        } while (migrationCursor);
+
+        await audit('migrateMembersToEnrollments', 'system', null, null, migrationReport);
+
+        log(`Migration finished: ${JSON.stringify(migrationReport)}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          report: migrationReport,
+          action: 'migrateMembersToEnrollments'
+        }, log, logError);
+
+      case 'reindexClasses':
+        log(`Executing action: reindexClasses`);
+        // Fill in the search fields on classes created before they existed
+        let reindexCursor = null;
+        let classesReindexed = 0;
+
+        do {
+          const reindexPage = await databases.listDocuments(
+            databaseId,
+            classesCollectionId,
+            [
+              Query.limit(100),
+              ...(reindexCursor ? [Query.cursorAfter(reindexCursor)] : [])
+            ]
+          );
+
+          for (const reindexClass of reindexPage.documents) {
+            const searchFields = getClassSearchFields(reindexClass);
+            if (searchFields.dayOfWeek !== reindexClass.dayOfWeek || searchFields.startMinutes !== reindexClass.startMinutes) {
+              await databases.updateDocument(databaseId, classesCollectionId, reindexClass.$id, searchFields);
+              classesReindexed++;
+            }
+          }
+
+          reindexCursor = reindexPage.documents.length === 100
+            ? reindexPage.documents[reindexPage.documents.length - 1].$id
+            : null;
+        } while (reindexCursor);
+
+        await audit('reindexClasses', 'system', null, null, { classesReindexed });
+
+        log(`Reindexed ${classesReindexed} classes`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          classesReindexed,
+          action: 'reindexClasses'
+        }, log, logError);
+
+      // Class type management actions
+      case 'getClassTypes':
+        log(`Executing action: getClassTypes`);
+        const classTypes = await databases.listDocuments(
+          databaseId,
+          classTypesCollectionId,
+          [
+            Query.equal('isActive', true),
+            Query.isNull('archivedAt'),
+            Query.orderAsc('name')
+          ]
+        );
+        log(`Found ${classTypes.documents.length} active class types.`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          classTypes: classTypes.documents,
+          action: 'getClassTypes'
+        }, log, logError);
+
+      case 'getAllClassTypes':
+        log(`Executing action: getAllClassTypes for admin`);
+        const allClassTypes = await databases.listDocuments(
+          databaseId,
+          classTypesCollectionId,
+          [
+            ...(data.includeArchived ? [] : [Query.isNull('archivedAt')]),
+            Query.orderAsc('name'),
+            Query.limit(CLASS_TYPE_BATCH_SIZE)
+          ]
+        );
+        
+        // Add usage count to each class type, counted from one paged pass over the classes
+        const usageByClassType = await countClassesByType(databases, databaseId, classesCollectionId);
+        const classTypesWithUsage = allClassTypes.documents.map(classType => ({
+          ...classType,
+          usageCount: usageByClassType.get(classType.$id) || 0
+        }));
+        
+        log(`Found ${allClassTypes.documents.length} class types for admin view.`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          classTypes: classTypesWithUsage,
+          action: 'getAllClassTypes'
+        }, log, logError);
+
+      case 'createClassType':
+        log(`Executing action: createClassType with data: ${JSON.stringify(data)}`);
+        const createTaxonomyError = validateTaxonomyIds(data.taxonomyIds, await taxonomyLoader.load());
+        const createRequirementsError = await validateClassTypeRequirements(data.requiredLevel, data.prerequisiteClassTypeIds, null, classTypeLoader);
+        const createPolicyError = data.enrollmentPolicy ? validateEnrollmentPolicy(data.enrollmentPolicy) : null;
+        const createDurationError = validateSessionDuration(data.sessionDuration);
+        if (createTaxonomyError || createRequirementsError || createPolicyError || createDurationError) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: createTaxonomyError || createRequirementsError || createPolicyError || createDurationError,
+            action: 'createClassType'
+          }, log, logError);
+        }
+
+        const newClassType = await databases.createDocument(
+          databaseId,
+          classTypesCollectionId,
+          ID.unique(),
+          {
+            name: data.name,
+            category: data.category || '',
+            description: data.description || '',
+            creditCost: data.creditCost || 0,
+            level: data.level || null,
+            taxonomyIds: data.taxonomyIds || [],
+            requiredLevel: data.requiredLevel || null,
+            prerequisiteClassTypeIds: data.prerequisiteClassTypeIds || [],
+            enrollmentPolicy: data.enrollmentPolicy ? JSON.stringify(data.enrollmentPolicy) : null,
+            sessionDuration: data.sessionDuration || null,
+            isActive: true
+          }
+        );
+        await audit('createClassType', 'classType', newClassType.$id, null, pickAuditFields(newClassType, Object.keys(newClassType)));
+
+        log(`New class type created with ID: ${newClassType.$id}`);
+        return sendJsonResponse(res, 201, {
+          success: true,
+          classType: newClassType,
+          action: 'createClassType'
+        }, log, logError);
+
+      case 'updateClassType':
+        log(`Executing action: updateClassType for classTypeId: ${data.classTypeId}`);
+        const updateClassTypeData = {};
+        if (data.name) updateClassTypeData.name = data.name;
+        if (data.category !== undefined) updateClassTypeData.category = data.category;
+        if (data.description !== undefined) updateClassTypeData.description = data.description;
+        if (data.isActive !== undefined) updateClassTypeData.isActive = data.isActive;
+        if (data.creditCost !== undefined) updateClassTypeData.creditCost = data.creditCost;
+        if (data.level !== undefined) updateClassTypeData.level = data.level;
+        if (data.taxonomyIds !== undefined) {
+          const updateTaxonomyError = validateTaxonomyIds(data.taxonomyIds, await taxonomyLoader.load());
+          if (updateTaxonomyError) {
+            return sendJsonResponse(res, 400, {
+              success: false,
+              message: updateTaxonomyError,
+              action: 'updateClassType'
+            }, log, logError);
+          }
+          updateClassTypeData.taxonomyIds = data.taxonomyIds;
+        }
+        if (data.requiredLevel !== undefined || data.prerequisiteClassTypeIds !== undefined) {
+          const updateRequirementsError = await validateClassTypeRequirements(
+            data.requiredLevel,
+            data.prerequisiteClassTypeIds,
+            data.classTypeId,
+            classTypeLoader
+          );
+          if (updateRequirementsError) {
+            return sendJsonResponse(res, 400, {
+              success: false,
+              message: updateRequirementsError,
+              action: 'updateClassType'
+            }, log, logError);
+          }
+          if (data.requiredLevel !== undefined) updateClassTypeData.requiredLevel = data.requiredLevel || null;
+          if (data.prerequisiteClassTypeIds !== undefined) updateClassTypeData.prerequisiteClassTypeIds = data.prerequisiteClassTypeIds;
+        }
+        if (data.enrollmentPolicy !== undefined) {
+          // null removes the class type's own policy so the global default applies
+          const updatePolicyError = data.enrollmentPolicy ? validateEnrollmentPolicy(data.enrollmentPolicy) : null;
+          if (updatePolicyError) {
+            return sendJsonResponse(res, 400, {
+              success: false,
+              message: updatePolicyError,
+              action: 'updateClassType'
+            }, log, logError);
+          }
+          updateClassTypeData.enrollmentPolicy = data.enrollmentPolicy ? JSON.stringify(data.enrollmentPolicy) : null;
+        }
+        if (data.sessionDuration !== undefined) {
+          // null removes the class type's own duration so the default applies
+          const updateDurationError = validateSessionDuration(data.sessionDuration);
+          if (updateDurationError) {
+            return sendJsonResponse(res, 400, {
+              success: false,
+              message: updateDurationError,
+              action: 'updateClassType'
+            }, log, logError);
+          }
+          updateClassTypeData.sessionDuration = data.sessionDuration || null;
+        }
+        
+        const classTypeBeforeUpdate = await databases.getDocument(databaseId, classTypesCollectionId, data.classTypeId);
+
+        // Classes without a duration of their own change with the class type,
+        // so their tutors must be free for the new session length first
+        const oldTypeDuration = classTypeBeforeUpdate.sessionDuration || DEFAULT_SESSION_MINUTES;
+        const newTypeDuration = updateClassTypeData.sessionDuration !== undefined
+          ? updateClassTypeData.sessionDuration || DEFAULT_SESSION_MINUTES
+          : oldTypeDuration;
+        let resizedClasses = [];
+        if (newTypeDuration !== oldTypeDuration) {
+          const classesOfType = await databases.listDocuments(
+            databaseId,
+            classesCollectionId,
+            [Query.equal('classTypeId', data.classTypeId), Query.isNull('archivedAt'), Query.limit(1000)]
+          );
+          resizedClasses = classesOfType.documents.filter(classDoc =>
+            !classDoc.customSessionDuration && (classDoc.sessionDuration || DEFAULT_SESSION_MINUTES) === oldTypeDuration
+          );
+
+          for (const classDoc of resizedClasses.filter(classDoc => classDoc.status === 'active')) {
+            const resizeConflict = await findTutorConflict(databases, { ...classDoc, sessionDuration: newTypeDuration }, databaseId, classesCollectionId);
+            if (resizeConflict) {
+              return sendJsonResponse(res, 409, {
+                success: false,
+                message: `Class ${classDoc.$id}: ${describeTutorConflict(resizeConflict)}`,
+                classId: classDoc.$id,
+                tutorId: resizeConflict.tutorId,
+                conflictingClass: resizeConflict.class,
+                action: 'updateClassType'
+              }, log, logError);
+            }
+          }
+        }
+
+        const updatedClassType = await databases.updateDocument(
+          databaseId,
+          classTypesCollectionId,
+          data.classTypeId,
+          updateClassTypeData
+        );
+        
+        await audit('updateClassType', 'classType', data.classTypeId,
+          pickAuditFields(classTypeBeforeUpdate, Object.keys(updateClassTypeData)),
+          pickAuditFields(updatedClassType, Object.keys(updateClassTypeData)));
+
+        // Students get an updated calendar entry with the new end time
+        for (const classDoc of resizedClasses) {
+          const resizedClass = await databases.updateDocument(
+            databaseId,
+            classesCollectionId,
+            classDoc.$id,
+            { sessionDuration: newTypeDuration }
+          );
+          await audit('updateClassType', 'class', classDoc.$id,
+            { sessionDuration: classDoc.sessionDuration || DEFAULT_SESSION_MINUTES },
+            { sessionDuration: newTypeDuration });
+
+          if (resizedClass.status === 'active') {
+            await notifyEnrolledMembers(
+              databases,
+              functions,
+              resizedClass,
+              'classRescheduled',
+              {
+                oldDay: classDoc.day,
+                oldTime: classDoc.time,
+                oldTimeZone: getClassTimeZone(classDoc),
+                oldSessionDuration: oldTypeDuration
+              },
+              databaseId,
+              classTypesCollectionId,
+              enrollmentsCollectionId,
+              notificationsFunctionId,
+              log,
+              logError
+            );
+          }
+        }
+
+        log(`Class type ${data.classTypeId} updated successfully`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          classType: updatedClassType,
+          resizedClassIds: resizedClasses.map(classDoc => classDoc.$id),
+          action: 'updateClassType'
+        }, log, logError);
+
+      case 'deleteClassType':
+        log(`Executing action: deleteClassType for classTypeId: ${data.classTypeId}`);
+        
+        // Check if any classes that are not deleted are using this class type
+        const classesUsingType = await databases.listDocuments(
+          databaseId,
+          classesCollectionId,
+          [Query.equal('classTypeId', data.classTypeId), Query.isNull('archivedAt')]
+        );
+        
+        if (classesUsingType.total > 0) {
+          log(`Cannot delete class type ${data.classTypeId}: ${classesUsingType.total} classes are using it`);
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: `Cannot delete class type. ${classesUsingType.total} classes are still using it.`,
+            action: 'deleteClassType'
+          }, log, logError);
+        }
+        
+        const archivedClassType = await databases.updateDocument(
+          databaseId,
+          classTypesCollectionId,
+          data.classTypeId,
+          {
+            archivedAt: new Date().toISOString(),
+            archivedBy: caller.userId || 'system'
+          }
+        );
+        
+        await audit('deleteClassType', 'classType', data.classTypeId,
+          { archivedAt: null },
+          pickAuditFields(archivedClassType, ['archivedAt', 'archivedBy']));
+
+        log(`Class type ${data.classTypeId} archived successfully`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          message: 'Class type deleted successfully',
+          archivedAt: archivedClassType.archivedAt,
+          action: 'deleteClassType'
+        }, log, logError);
+
+      case 'restoreClassType':
+        log(`Executing action: restoreClassType for classTypeId: ${data.classTypeId}`);
+        const classTypeToRestore = await databases.getDocument(databaseId, classTypesCollectionId, data.classTypeId);
+        if (!classTypeToRestore.archivedAt) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'Class type is not deleted',
+            action: 'restoreClassType'
+          }, log, logError);
+        }
+
+        const restoredClassType = await databases.updateDocument(
+          databaseId,
+          classTypesCollectionId,
+          data.classTypeId,
+          { archivedAt: null, archivedBy: null }
+        );
+
+        await audit('restoreClassType', 'classType', data.classTypeId,
+          pickAuditFields(classTypeToRestore, ['archivedAt', 'archivedBy']),
+          pickAuditFields(restoredClassType, ['archivedAt', 'archivedBy']));
+
+        log(`Class type ${data.classTypeId} restored successfully`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          classType: restoredClassType,
+          action: 'restoreClassType'
+        }, log, logError);
+      
+      case 'setEligibilityOverride':
+        log(`Executing action: setEligibilityOverride for userId: ${data.userId}, classTypeId: ${data.classTypeId}, allowed: ${data.allowed}`);
+        if (!data.userId || !data.classTypeId || typeof data.allowed !== 'boolean') {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'setEligibilityOverride needs a userId, a classTypeId and allowed set to true or false',
+            action: 'setEligibilityOverride'
+          }, log, logError);
+        }
+        if (!(await classTypeLoader.load(data.classTypeId))) {
+          return sendJsonResponse(res, 404, {
+            success: false,
+            message: 'Class type not found',
+            action: 'setEligibilityOverride'
+          }, log, logError);
+        }
+
+        // Overrides live in the student's preferences next to their placement level
+        const overridePrefs = await users.getPrefs(data.userId);
+        const eligibilityOverrides = new Set(overridePrefs.eligibilityOverrides || []);
+        const overridesBefore = [...eligibilityOverrides];
+        if (data.allowed) {
+          eligibilityOverrides.add(data.classTypeId);
+        } else {
+          eligibilityOverrides.delete(data.classTypeId);
+        }
+        await users.updatePrefs(data.userId, { ...overridePrefs, eligibilityOverrides: [...eligibilityOverrides] });
+
+        await audit('setEligibilityOverride', 'user', data.userId,
+          { eligibilityOverrides: overridesBefore },
+          { eligibilityOverrides: [...eligibilityOverrides] });
+
+        log(`Eligibility overrides for user ${data.userId}: ${[...eligibilityOverrides].join(', ')}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          eligibilityOverrides: [...eligibilityOverrides],
+          action: 'setEligibilityOverride'
+        }, log, logError);
+
+      // Category and level tree actions
+      case 'getTaxonomy':
+        log(`Executing action: getTaxonomy`);
+        const taxonomyNodes = [...(await taxonomyLoader.load()).values()]
+          .sort((a, b) => a.path.localeCompare(b.path));
+
+        return sendJsonResponse(res, 200, {
+          success: true,
+          nodes: taxonomyNodes,
+          action: 'getTaxonomy'
+        }, log, logError);
+
+      case 'createTaxonomyNode':
+        log(`Executing action: createTaxonomyNode with name: ${data.name}, parentId: ${data.parentId}`);
+        const createTaxonomy = await taxonomyLoader.load();
+        const createNodeError = validateTaxonomyNode(data.name, data.parentId || null, null, createTaxonomy);
+        if (createNodeError) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: createNodeError,
+            action: 'createTaxonomyNode'
+          }, log, logError);
+        }
+
+        const newTaxonomyNode = await createTaxonomyNode(databases, data.name, data.parentId || null, createTaxonomy, databaseId, taxonomyCollectionId);
+        await audit('createTaxonomyNode', 'taxonomyNode', newTaxonomyNode.$id, null, pickAuditFields(newTaxonomyNode, ['name', 'parentId', 'path']));
+
+        log(`Taxonomy node created with ID: ${newTaxonomyNode.$id}`);
+        return sendJsonResponse(res, 201, {
+          success: true,
+          node: newTaxonomyNode,
+          action: 'createTaxonomyNode'
+        }, log, logError);
+
+      case 'updateTaxonomyNode':
+        log(`Executing action: updateTaxonomyNode for nodeId: ${data.nodeId}`);
+        const updateTaxonomy = await taxonomyLoader.load();
+        const nodeToUpdate = updateTaxonomy.get(data.nodeId);
+        if (!nodeToUpdate) {
+          return sendJsonResponse(res, 404, {
+            success: false,
+            message: 'Taxonomy node not found',
+            action: 'updateTaxonomyNode'
+          }, log, logError);
+        }
+
+        const newNodeName = data.name || nodeToUpdate.name;
+        const newParentId = data.parentId !== undefined ? data.parentId || null : nodeToUpdate.parentId;
+        const updateNodeError = validateTaxonomyNode(newNodeName, newParentId, nodeToUpdate.$id, updateTaxonomy);
+        if (updateNodeError) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: updateNodeError,
+            action: 'updateTaxonomyNode'
+          }, log, logError);
+        }
+
+        // Renaming or moving a node changes the path of everything below it
+        const nodeBeforeUpdate = pickAuditFields(nodeToUpdate, ['name', 'parentId', 'path']);
+        nodeToUpdate.name = newNodeName;
+        nodeToUpdate.parentId = newParentId;
+        const nodesRebuilt = await rebuildTaxonomySubtree(databases, nodeToUpdate.$id, updateTaxonomy, databaseId, taxonomyCollectionId);
+
+        await audit('updateTaxonomyNode', 'taxonomyNode', data.nodeId,
+          nodeBeforeUpdate,
+          pickAuditFields(updateTaxonomy.get(data.nodeId), ['name', 'parentId', 'path']));
+
+        log(`Taxonomy node ${data.nodeId} updated, ${nodesRebuilt} nodes rebuilt`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          node: updateTaxonomy.get(data.nodeId),
+          nodesUpdated: nodesRebuilt,
+          action: 'updateTaxonomyNode'
+        }, log, logError);
+
+      case 'deleteTaxonomyNode':
+        log(`Executing action: deleteTaxonomyNode for nodeId: ${data.nodeId}`);
+        const deleteTaxonomy = await taxonomyLoader.load();
+        if ([...deleteTaxonomy.values()].some(node => node.parentId === data.nodeId)) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'Cannot delete a node that still has children',
+            action: 'deleteTaxonomyNode'
+          }, log, logError);
+        }
+
+        const classTypesUsingNode = await databases.listDocuments(
+          databaseId,
+          classTypesCollectionId,
+          [Query.contains('taxonomyIds', data.nodeId), Query.limit(1)]
+        );
+        if (classTypesUsingNode.total > 0) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: `Cannot delete node. ${classTypesUsingNode.total} class types are still using it.`,
+            action: 'deleteTaxonomyNode'
+          }, log, logError);
+        }
+
+        await databases.deleteDocument(databaseId, taxonomyCollectionId, data.nodeId);
+        await audit('deleteTaxonomyNode', 'taxonomyNode', data.nodeId,
+          pickAuditFields(deleteTaxonomy.get(data.nodeId) || {}, ['name', 'parentId', 'path']),
+          null);
+        log(`Taxonomy node ${data.nodeId} deleted successfully`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          message: 'Taxonomy node deleted successfully',
+          action: 'deleteTaxonomyNode'
+        }, log, logError);
+
+      case 'migrateCategoriesToTaxonomy':
+        log(`Executing action: migrateCategoriesToTaxonomy`);
+        // Turn each class type's comma-separated category string, where each
+        // entry may be a path like "Mandarin > Conversational > HSK 3", into
+        // taxonomy nodes. Safe to run again: existing nodes and tags are reused.
+        const migrationTaxonomy = await taxonomyLoader.load();
+        const taxonomyReport = { classTypesTagged: 0, nodesCreated: 0 };
+        let taxonomyCursor = null;
+
+        do {
+          const classTypePage = await databases.listDocuments(
+            databaseId,
+            classTypesCollectionId,
+            [
+              Query.limit(100),
+              ...(taxonomyCursor ? [Query.cursorAfter(taxonomyCursor)] : [])
+            ]
+          );
+
+          for (const classType of classTypePage.documents) {
+            const taxonomyIds = new Set(classType.taxonomyIds || []);
+            for (const categoryPath of getClassTypeCategories(classType)) {
+              let parentId = null;
+              for (const name of categoryPath.split('>').map(part => part.trim()).filter(Boolean)) {
+                let node = [...migrationTaxonomy.values()].find(existing =>
+                  existing.parentId === parentId && existing.name.toLowerCase() === name.toLowerCase()
+                );
+                if (!node) {
+                  node = await createTaxonomyNode(databases, name, parentId, migrationTaxonomy, databaseId, taxonomyCollectionId);
+                  taxonomyReport.nodesCreated++;
+                }
+                parentId = node.$id;
+              }
+              if (parentId) taxonomyIds.add(parentId);
+            }
+
+            if (taxonomyIds.size !== (classType.taxonomyIds || []).length) {
+              await databases.updateDocument(databaseId, classTypesCollectionId, classType.$id, { taxonomyIds: [...taxonomyIds] });
+              taxonomyReport.classTypesTagged++;
+            }
+          }
+
+          taxonomyCursor = classTypePage.documents.length === 100
+            ? classTypePage.documents[classTypePage.documents.length - 1].$id
+            : null;
+        } while (taxonomyCursor);
+
+        await audit('migrateCategoriesToTaxonomy', 'system', null, null, taxonomyReport);
+
+        log(`Taxonomy migration finished: ${JSON.stringify(taxonomyReport)}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          report: taxonomyReport,
+          action: 'migrateCategoriesToTaxonomy'
+        }, log, logError);
+
+      case 'importClassesCsv':
+        log(`Executing action: importClassesCsv, dryRun: ${Boolean(data.dryRun)}`);
+        // Rows of type "classType" add class types, rows of type "class" add
+        // classes of a class type that exists or is added earlier in the file.
+        // Nothing is written unless every row is valid.
+        const importRecords = parseCsv(data.csv || '');
+        if (importRecords.length < 2 || !importRecords[0].includes('type')) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: `csv needs a header row with at least a "type" column (${CSV_COLUMNS.join(', ')}) and one data row`,
+            action: 'importClassesCsv'
+          }, log, logError);
+        }
+        if (importRecords.length - 1 > MAX_IMPORT_ROWS) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: `Import at most ${MAX_IMPORT_ROWS} rows at a time`,
+            action: 'importClassesCsv'
+          }, log, logError);
+        }
+
+        const importHeader = importRecords[0].map(column => column.trim());
+        const importRows = importRecords.slice(1)
+          .map((record, index) => ({
+            row: index + 2,
+            fields: Object.fromEntries(importHeader.map((column, columnIndex) => [column, (record[columnIndex] || '').trim()]))
+          }))
+          .filter(importRow => Object.values(importRow.fields).some(Boolean));
+
+        const importPlan = await validateImportRows(
+          databases,
+          users,
+          importRows,
+          databaseId,
+          classTypesCollectionId,
+          classesCollectionId
+        );
+
+        if (importPlan.errors.length > 0 || data.dryRun) {
+          log(`Import ${data.dryRun ? 'dry run' : 'refused'}: ${importPlan.errors.length} rows with errors`);
+          return sendJsonResponse(res, importPlan.errors.length > 0 && !data.dryRun ? 400 : 200, {
+            success: importPlan.errors.length === 0,
+            dryRun: Boolean(data.dryRun),
+            ...(importPlan.errors.length > 0 && { message: 'Some rows are invalid, nothing was imported' }),
+            errors: importPlan.errors,
+            classTypesToCreate: importPlan.classTypes.filter(plan => !plan.existingId).length,
+            classesToCreate: importPlan.classes.length,
+            action: 'importClassesCsv'
+          }, log, logError);
+        }
+
+        // Every row is valid, so write the new class types and then the classes
+        const importedClassTypeIds = new Map();
+        for (const classTypePlan of importPlan.classTypes) {
+          if (classTypePlan.existingId) {
+            importedClassTypeIds.set(classTypePlan.key, classTypePlan.existingId);
+            continue;
+          }
+          const importedClassType = await databases.createDocument(
+            databaseId,
+            classTypesCollectionId,
+            ID.unique(),
+            {
+              category: '',
+              description: '',
+              creditCost: 0,
+              level: null,
+              taxonomyIds: [],
+              requiredLevel: null,
+              prerequisiteClassTypeIds: [],
+              sessionDuration: null,
+              ...classTypePlan.data,
+              isActive: true
+            }
+          );
+          importedClassTypeIds.set(classTypePlan.key, importedClassType.$id);
+          await audit('importClassesCsv', 'classType', importedClassType.$id, null, pickAuditFields(importedClassType, Object.keys(importedClassType)));
+        }
+
+        const importedClassIds = [];
+        for (const classPlan of importPlan.classes) {
+          const classData = {
+            ...classPlan.data,
+            classTypeId: classPlan.data.classTypeId || importedClassTypeIds.get(classPlan.classTypeKey)
+          };
+          const importedClass = await databases.createDocument(
+            databaseId,
+            classesCollectionId,
+            ID.unique(),
+            buildNewClassData(classData, classData.totalSpots, 0, classPlan.classType)
+          );
+          importedClassIds.push(importedClass.$id);
+          await audit('importClassesCsv', 'class', importedClass.$id, null, pickAuditFields(importedClass, Object.keys(importedClass)));
+        }
+
+        log(`Imported ${importedClassTypeIds.size} class types and ${importedClassIds.length} classes`);
+        return sendJsonResponse(res, 201, {
+          success: true,
+          dryRun: false,
+          errors: [],
+          classTypesCreated: importPlan.classTypes.filter(plan => !plan.existingId).length,
+          classIds: importedClassIds,
+          action: 'importClassesCsv'
+        }, log, logError);
+
+      case 'exportClassesCsv':
+        log(`Executing action: exportClassesCsv with filters: ${JSON.stringify(data)}`);
+        const exportQueries = [
+          ...(data.status && data.status !== 'all' ? [Query.equal('status', data.status)] : []),
+          ...(data.includeArchived ? [] : [Query.isNull('archivedAt')]),
+          ...(data.classTypeId ? [Query.equal('classTypeId', data.classTypeId)] : [])
+        ];
+        const exportClasses = [];
+        let exportCursor = null;
+        do {
+          const exportPage = await databases.listDocuments(
+            databaseId,
+            classesCollectionId,
+            [
+              ...exportQueries,
+              Query.limit(100),
+              ...(exportCursor ? [Query.cursorAfter(exportCursor)] : [])
+            ]
+          );
+          exportClasses.push(...exportPage.documents);
+          exportCursor = exportPage.documents.length === 100 ? exportPage.documents[exportPage.documents.length - 1].$id : null;
+        } while (exportCursor);
+
+        const exportClassTypes = await classTypeLoader.loadMany(exportClasses.map(classDoc => classDoc.classTypeId));
+        const exportCsv = buildClassesCsv(exportClasses, exportClassTypes);
+
+        log(`Exported ${exportClasses.length} classes`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          csv: exportCsv,
+          classCount: exportClasses.length,
+          classTypeCount: [...exportClassTypes.values()].filter(Boolean).length,
+          action: 'exportClassesCsv'
+        }, log, logError);
+
+      case 'checkMinimumEnrollment':
+        log(`Executing action: checkMinimumEnrollment`);
+        // Meant to run on a schedule, e.g. hourly: confirm classes that have
+        // reached their minimum size and cancel those still short of it once
+        // their confirmation deadline has passed
+        const pendingClasses = await databases.listDocuments(
+          databaseId,
+          classesCollectionId,
+          [
+            Query.equal('status', 'active'),
+            Query.equal('confirmationStatus', 'pending'),
+            Query.isNull('archivedAt'),
+            Query.limit(1000)
+          ]
+        );
+
+        const confirmedClassIds = [];
+        const thresholdCancellations = [];
+        for (const pendingClass of pendingClasses.documents) {
+          const pendingEnrolled = await countEnrolled(databases, pendingClass.$id, databaseId, enrollmentsCollectionId);
+
+          if (pendingEnrolled >= pendingClass.minMembers) {
+            await databases.updateDocument(databaseId, classesCollectionId, pendingClass.$id, {
+              confirmationStatus: 'confirmed',
+              confirmedAt: new Date().toISOString()
+            });
+            await audit('checkMinimumEnrollment', 'class', pendingClass.$id,
+              { confirmationStatus: 'pending' },
+              { confirmationStatus: 'confirmed', enrolled: pendingEnrolled, minMembers: pendingClass.minMembers });
+            confirmedClassIds.push(pendingClass.$id);
+            continue;
+          }
+
+          if (new Date(pendingClass.confirmationDeadline) > new Date()) {
+            continue;
+          }
+
+          await databases.updateDocument(databaseId, classesCollectionId, pendingClass.$id, { confirmationStatus: 'notMet' });
+          const { notificationSummary: thresholdSummary, creditRefunds: thresholdRefunds } = await cancelClassAndNotify(
+            databases,
+            functions,
+            pendingClass.$id,
+            `Not enough students enrolled (${pendingEnrolled} of the ${pendingClass.minMembers} needed)`,
+            databaseId,
+            classesCollectionId,
+            classTypesCollectionId,
+            enrollmentsCollectionId,
+            locksCollectionId,
+            creditLedgerCollectionId,
+            notificationsFunctionId,
+            log,
+            logError
+          );
+          await audit('checkMinimumEnrollment', 'class', pendingClass.$id,
+            { status: 'active', confirmationStatus: 'pending' },
+            { status: 'cancelled', confirmationStatus: 'notMet', enrolled: pendingEnrolled, minMembers: pendingClass.minMembers });
+          thresholdCancellations.push({ classId: pendingClass.$id, enrolled: pendingEnrolled, minMembers: pendingClass.minMembers, notificationSummary: thresholdSummary, creditRefunds: thresholdRefunds });
+        }
+
+        log(`Minimum enrollment check: ${confirmedClassIds.length} confirmed, ${thresholdCancellations.length} cancelled`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          confirmedClassIds,
+          cancelled: thresholdCancellations,
+          action: 'checkMinimumEnrollment'
+        }, log, logError);
+
+      case 'getClassesAtRisk':
+        log(`Executing action: getClassesAtRisk`);
+        const riskClasses = await databases.listDocuments(
+          databaseId,
+          classesCollectionId,
+          [
+            Query.equal('status', 'active'),
+            Query.equal('confirmationStatus', 'pending'),
+            Query.isNull('archivedAt'),
+            Query.orderAsc('confirmationDeadline'),
+            Query.limit(1000)
+          ]
+        );
+        const riskClassTypes = await classTypeLoader.loadMany(riskClasses.documents.map(classDoc => classDoc.classTypeId));
+
+        const classesAtRisk = riskClasses.documents
+          .map(classDoc => {
+            const enrolled = classDoc.enrolledCount || 0;
+            return {
+              ...withClassTypeInfo(classDoc, riskClassTypes.get(classDoc.classTypeId)),
+              enrolled,
+              minMembers: classDoc.minMembers,
+              studentsNeeded: Math.max(classDoc.minMembers - enrolled, 0),
+              confirmationDeadline: classDoc.confirmationDeadline,
+              hoursUntilDeadline: Math.round((new Date(classDoc.confirmationDeadline) - Date.now()) / (60 * 60 * 1000))
+            };
+          })
+          .filter(classAtRisk => classAtRisk.studentsNeeded > 0)
+          .filter(classAtRisk => data.withinDays === undefined || classAtRisk.hoursUntilDeadline <= data.withinDays * 24);
+
+        log(`Found ${classesAtRisk.length} classes below their minimum size`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          classes: classesAtRisk,
+          totalStudentsNeeded: classesAtRisk.reduce((total, classAtRisk) => total + classAtRisk.studentsNeeded, 0),
+          action: 'getClassesAtRisk'
+        }, log, logError);
+
+      case 'getAuditLog':
+        log(`Executing action: getAuditLog with filters: ${JSON.stringify(data)}`);
+        const auditFrom = data.from ? new Date(data.from) : null;
+        const auditTo = data.to ? new Date(data.to) : null;
+        if ((auditFrom && isNaN(auditFrom.getTime())) || (auditTo && isNaN(auditTo.getTime()))) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'from and to must be dates',
+            action: 'getAuditLog'
+          }, log, logError);
+        }
+
+        const auditPageSize = Math.min(data.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const auditQueries = [
+          ...(data.actorId ? [Query.equal('actorId', data.actorId)] : []),
+          ...(data.targetId ? [Query.equal('targetId', data.targetId)] : []),
+          ...(data.targetType ? [Query.equal('targetType', data.targetType)] : []),
+          ...(data.auditAction ? [Query.equal('action', data.auditAction)] : []),
+          ...(data.functionName ? [Query.equal('functionName', data.functionName)] : []),
+          ...(auditFrom ? [Query.greaterThanEqual('createdAt', auditFrom.toISOString())] : []),
+          ...(auditTo ? [Query.lessThanEqual('createdAt', auditTo.toISOString())] : []),
+          Query.orderDesc('createdAt'),
+          Query.limit(auditPageSize + 1),
+          ...(data.cursor ? [Query.cursorAfter(data.cursor)] : [])
+        ];
+        const auditEntries = await databases.listDocuments(databaseId, auditLogCollectionId, auditQueries);
+        const auditPage = auditEntries.documents.slice(0, auditPageSize);
+
+        return sendJsonResponse(res, 200, {
+          success: true,
+          entries: auditPage.map(entry => ({
+            ...entry,
+            before: entry.before ? JSON.parse(entry.before) : null,
+            after: entry.after ? JSON.parse(entry.after) : null
+          })),
+          total: auditEntries.total,
+          nextCursor: auditEntries.documents.length > auditPageSize ? auditPage[auditPage.length - 1].$id : null,
+          action: 'getAuditLog'
+        }, log, logError);
+
+      default:
+        log(`Warning: Invalid action received: ${action}`);
+        return sendJsonResponse(res, 400, {
+          success: false,
+          message: 'Invalid action specified',
+          action: action || 'unknown'
+        }, log, logError);
+    }
+  } catch (e) {
+    logError("An error occurred in classManagement function execution:");
+    logError(`Error Message: ${e.message}`);
+    logError(`Error Stack: ${e.stack}`);
+    if (e.response) {
+        logError(`Appwrite SDK Error Response: ${JSON.stringify(e.response)}`);
+    }
+    
+    return sendJsonResponse(res, 500, {
+      success: false,
+      message: `Class operation failed: ${e.message}`,
+      errorDetails: e.toString()
+    }, log, logError);
+  }
+};
+// Find a user's current enrollment, waitlist entry or held place for a class
+async function findActiveEnrollment(databases, classId, userId, databaseId, enrollmentsCollectionId) {
+  const enrollments = await databases.listDocuments(
+    databaseId,
+    enrollmentsCollectionId,
+    [
+      Query.equal('classId', classId),
+      Query.equal('userId', userId),
+      Query.equal('status', ['enrolled', 'waitlisted', 'pendingReEnrollment']),
+      Query.limit(1)
+    ]
+  );
+
+  return enrollments.documents[0] || null;
+}
+
+// Count the students currently enrolled in a class
+async function countEnrolled(databases, classId, databaseId, enrollmentsCollectionId) {
+  const enrolled = await databases.listDocuments(
+    databaseId,
+    enrollmentsCollectionId,
+    [
+      Query.equal('classId', classId),
+      Query.equal('status', 'enrolled'),
+      Query.limit(1)
+    ]
+  );
+
+  return enrolled.total;
+}
+
+// Count the seats taken in a class: enrolled students plus places held for
+// students who have yet to confirm their re-enrollment
+async function countTakenSeats(databases, classId, databaseId, enrollmentsCollectionId) {
+  const taken = await databases.listDocuments(
+    databaseId,
+    enrollmentsCollectionId,
+    [
+      Query.equal('classId', classId),
+      Query.equal('status', ['enrolled', 'pendingReEnrollment']),
+      Query.limit(1)
+    ]
+  );
+
+  return taken.total;
+}
+
+// Get the waitlist of a class in queue order
+async function listWaitlist(databases, classId, databaseId, enrollmentsCollectionId) {
+  const waitlisted = await databases.listDocuments(
+    databaseId,
+    enrollmentsCollectionId,
+    [
+      Query.equal('classId', classId),
+      Query.equal('status', 'waitlisted'),
+      Query.orderAsc('waitlistedAt'),
+      Query.limit(100)
+    ]
+  );
+
+  return waitlisted.documents;
+}
+
+// Store the enrolled count and spots left on the class so listings don't
+// have to count enrollments. Must be called while holding the class lock.
+async function syncEnrollmentCounts(databases, classDoc, databaseId, classesCollectionId, enrollmentsCollectionId) {
+  const enrolledCount = await countEnrolled(databases, classDoc.$id, databaseId, enrollmentsCollectionId);
+  const takenSeats = await countTakenSeats(databases, classDoc.$id, databaseId, enrollmentsCollectionId);
+
+  await databases.updateDocument(
+    databaseId,
+    classesCollectionId,
+    classDoc.$id,
+    {
+      enrolledCount,
+      spotsLeft: (classDoc.totalSpots || 0) - takenSeats
+    }
+  );
+
+  return enrolledCount;
+}
+
+// --- Credit helpers ---
+// Every change to a student's credits is a ledger entry: grants and refunds
+// add credits, consume and expire entries take them away, so the balance is
+// the sum of all entries. Changes to one student's credits are made while
+// holding that student's credit lock.
+
+const DEFAULT_REFUND_CUTOFF_HOURS = 24;
+
+// Run a callback while holding a student's credit lock. Reuses the class lock
+// documents with a key of its own; take it after any class lock, never before.
+// A user ID can be 36 characters, the most a document ID allows, so the key
+// uses a hash of it instead.
+async function withCreditLock(databases, databaseId, locksCollectionId, userId, log, callback) {
+  const userKey = crypto.createHash('sha256').update(userId).digest('hex').slice(0, 28);
+  return withClassLock(databases, databaseId, locksCollectionId, `credits-${userKey}`, log, callback);
+}
+
+// Get every ledger entry of a student, oldest first
+async function listCreditEntries(databases, userId, databaseId, creditLedgerCollectionId) {
+  const entries = [];
+  let cursor = null;
+
+  do {
+    const page = await databases.listDocuments(
+      databaseId,
+      creditLedgerCollectionId,
+      [
+        Query.equal('userId', userId),
+        Query.orderAsc('createdAt'),
+        Query.limit(100),
+        ...(cursor ? [Query.cursorAfter(cursor)] : [])
+      ]
+    );
+    entries.push(...page.documents);
+    cursor = page.documents.length === 100 ? page.documents[page.documents.length - 1].$id : null;
+  } while (cursor);
+
+  return entries;
+}
+
+// A student's current credit balance
+async function getCreditBalance(databases, userId, databaseId, creditLedgerCollectionId) {
+  const entries = await listCreditEntries(databases, userId, databaseId, creditLedgerCollectionId);
+  return entries.reduce((total, entry) => total + entry.amount, 0);
+}
+
+// Write a ledger entry
+async function addCreditEntry(databases, entry, databaseId, creditLedgerCollectionId) {
+  return databases.createDocument(
+    databaseId,
+    creditLedgerCollectionId,
+    ID.unique(),
+    {
+      classId: null,
+      note: '',
+      createdBy: 'system',
+      ...entry,
+      createdAt: new Date().toISOString()
+    }
+  );
+}
+
+// Get how many credits enrolling in a class of this type costs. Class types
+// without a creditCost are free.
+async function getClassTypeCreditCost(databases, classTypeId, databaseId, classTypesCollectionId) {
+  try {
+    const classType = await databases.getDocument(databaseId, classTypesCollectionId, classTypeId);
+    return classType.creditCost || 0;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Take credits for a class, or return an error if the balance is too low.
+// Must be called while holding the student's credit lock.
+async function consumeCredits(databases, userId, amount, classId, databaseId, creditLedgerCollectionId) {
+  const creditBalance = await getCreditBalance(databases, userId, databaseId, creditLedgerCollectionId);
+  if (creditBalance < amount) {
+    return { error: 'Not enough credits to join this class', creditBalance };
+  }
+
+  await addCreditEntry(databases, { userId, type: 'consume', amount: -amount, classId }, databaseId, creditLedgerCollectionId);
+  return { creditBalance: creditBalance - amount };
+}
+
+// Give back what a student still has paid for a class. Returns the number of
+// credits refunded. Must be called while holding the student's credit lock.
+async function refundClassCredits(databases, userId, classId, databaseId, creditLedgerCollectionId) {
+  const entries = await listCreditEntries(databases, userId, databaseId, creditLedgerCollectionId);
+  const paid = getPaidCredits(entries, classId);
+  if (paid <= 0) {
+    return 0;
+  }
+
+  await addCreditEntry(databases, { userId, type: 'refund', amount: paid, classId }, databaseId, creditLedgerCollectionId);
+  return paid;
+}
+
+// Refund every enrolled student of a class what they paid for it. Returns
+// { userId, creditsRefunded } for the students who got credits back.
+async function refundEnrolledMembers(databases, classId, databaseId, enrollmentsCollectionId, locksCollectionId, creditLedgerCollectionId, log) {
+  const enrolled = await databases.listDocuments(
+    databaseId,
+    enrollmentsCollectionId,
+    [
+      Query.equal('classId', classId),
+      Query.equal('status', 'enrolled'),
+      Query.limit(100)
+    ]
+  );
+
+  const refunds = [];
+  for (const enrollment of enrolled.documents) {
+    const creditsRefunded = await withCreditLock(databases, databaseId, locksCollectionId, enrollment.userId, log, () =>
+      refundClassCredits(databases, enrollment.userId, classId, databaseId, creditLedgerCollectionId)
+    );
+    if (creditsRefunded > 0) {
+      refunds.push({ userId: enrollment.userId, creditsRefunded });
+    }
+  }
+  return refunds;
+}
+
+// How many credits a student's ledger entries still have paid for a class
+function getPaidCredits(entries, classId) {
+  return -entries
+    .filter(entry => entry.classId === classId && (entry.type === 'consume' || entry.type === 'refund'))
+    .reduce((total, entry) => total + entry.amount, 0);
+}
+
+// Refund what was paid for one class and charge for another, or return an
+// error if the balance with the refund can't cover the new class. Must be
+// called while holding the student's credit lock.
+async function moveClassCredits(databases, userId, fromClassId, toClassId, toCreditCost, databaseId, creditLedgerCollectionId) {
+  const entries = await listCreditEntries(databases, userId, databaseId, creditLedgerCollectionId);
+  const balance = entries.reduce((total, entry) => total + entry.amount, 0);
+  const paid = Math.max(getPaidCredits(entries, fromClassId), 0);
+  if (balance + paid < toCreditCost) {
+    return { error: 'Not enough credits to move to this class', creditBalance: balance + paid };
+  }
+
+  if (paid > 0) {
+    await addCreditEntry(databases, { userId, type: 'refund', amount: paid, classId: fromClassId, note: `Moved to class ${toClassId}` }, databaseId, creditLedgerCollectionId);
+  }
+  if (toCreditCost > 0) {
+    await addCreditEntry(databases, { userId, type: 'consume', amount: -toCreditCost, classId: toClassId, note: `Moved from class ${fromClassId}` }, databaseId, creditLedgerCollectionId);
+  }
+  return { creditsRefunded: paid, creditsCharged: toCreditCost };
+}
+
+// Write off what is left of an expired grant. Credits that expire soonest are
+// treated as spent first, so whatever the balance can't cover from grants that
+// are still valid comes from this one. Must be called while holding the
+// student's credit lock.
+async function expireCreditGrant(databases, grant, databaseId, creditLedgerCollectionId) {
+  const entries = await listCreditEntries(databases, grant.userId, databaseId, creditLedgerCollectionId);
+  const balance = entries.reduce((total, entry) => total + entry.amount, 0);
+  const stillValid = entries
+    .filter(entry => entry.type === 'grant' && entry.$id !== grant.$id && !entry.expired &&
+      (!entry.expiresAt || entry.expiresAt > grant.expiresAt))
+    .reduce((total, entry) => total + entry.amount, 0);
+  const unused = Math.max(0, Math.min(grant.amount, balance - stillValid));
+
+  if (unused > 0) {
+    await addCreditEntry(databases, {
+      userId: grant.userId,
+      type: 'expire',
+      amount: -unused,
+      note: `Expired from grant ${grant.$id}`
+    }, databaseId, creditLedgerCollectionId);
+  }
+  await databases.updateDocument(databaseId, creditLedgerCollectionId, grant.$id, { expired: true });
+
+  return unused;
+}
+
+// Read the admin settings document, which stores its settings as JSON
+async function getAdminSettings(databases, databaseId, adminSettingsCollectionId, logError) {
+  try {
+    const settingsDocs = await databases.listDocuments(databaseId, adminSettingsCollectionId, [Query.limit(1)]);
+    return settingsDocs.documents.length > 0 ? JSON.parse(settingsDocs.documents[0].settings) || {} : {};
+  } catch (err) {
+    logError(`Error reading admin settings, using defaults: ${err.message}`);
+    return {};
+  }
+}
+
+// --- CSV import and export ---
+// One CSV format is used both ways. A "classType" row describes a class type
+// by name; a "class" row describes a class and names its class type by
+// classTypeId or classTypeName. Lists (skipDates, tutorIds) are separated
+// with ";". classId, enrolledCount and status are written on export and
+// ignored on import, so an exported term can be imported again as new classes.
+
+const CSV_COLUMNS = [
+  'type', 'classId', 'classTypeId', 'classTypeName', 'category', 'level', 'description', 'creditCost',
+  'day', 'time', 'timeZone', 'totalSpots', 'enrolledCount', 'termStartDate', 'termEndDate',
+  'sessionDuration', 'skipDates', 'tutorIds', 'minMembers', 'confirmationDeadline', 'status'
+];
+const MAX_IMPORT_ROWS = 500;
+
+// Split CSV text into records of fields, handling quoted fields with commas,
+// doubled quotes and line breaks
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+// Quote a CSV field when it needs it
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Split a ";" separated list field
+function parseCsvList(value) {
+  return value ? value.split(';').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Parse a whole number field, returning undefined when empty and NaN when invalid
+function parseCsvInteger(value) {
+  if (!value) {
+    return undefined;
+  }
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+// Check every import row and work out what to create. Returns
+// { classTypes: [{ key, existingId, data }], classes: [{ classTypeKey, classType, data }], errors: [{ row, message }] }.
+// A class's classType is the existing or planned class type it belongs to.
+async function validateImportRows(databases, users, importRows, databaseId, classTypesCollectionId, classesCollectionId) {
+  const existingClassTypes = await listClassTypes(databases, databaseId, classTypesCollectionId, [Query.isNull('archivedAt')]);
+  const classTypesByName = new Map(existingClassTypes.map(classType => [classType.name.toLowerCase(), classType]));
+  const classTypesById = new Map(existingClassTypes.map(classType => [classType.$id, classType]));
+
+  const plan = { classTypes: [], classes: [], errors: [] };
+  const plannedClassTypeKeys = new Set();
+  const tutorChecks = new Map();
+
+  for (const { row, fields } of importRows) {
+    const rowError = message => plan.errors.push({ row, message });
+
+    if (fields.type === 'classType') {
+      const name = fields.classTypeName;
+      const creditCost = parseCsvInteger(fields.creditCost);
+      const typeDuration = parseCsvInteger(fields.sessionDuration);
+      if (!name) {
+        rowError('classTypeName is required');
+      } else if (plannedClassTypeKeys.has(name.toLowerCase())) {
+        rowError(`Class type "${name}" appears more than once`);
+      } else if (Number.isNaN(creditCost)) {
+        rowError('creditCost must be a whole number, 0 or more');
+      } else if (validateSessionDuration(typeDuration)) {
+        rowError(validateSessionDuration(typeDuration));
+      } else {
+        // Class types already in the database are reused as they are
+        const existing = classTypesByName.get(name.toLowerCase());
+        plannedClassTypeKeys.add(name.toLowerCase());
+        plan.classTypes.push({
+          key: name.toLowerCase(),
+          existingId: existing ? existing.$id : null,
+          data: {
+            name,
+            category: fields.category || '',
+            level: fields.level || null,
+            description: fields.description || '',
+            creditCost: creditCost || 0,
+            sessionDuration: typeDuration || null
+          }
+        });
+      }
+      continue;
+    }
+
+    if (fields.type !== 'class') {
+      rowError('type must be "classType" or "class"');
+      continue;
+    }
+
+    // The class type may be given by id or by name
+    let classTypeId = null;
+    let classTypeKey = null;
+    if (fields.classTypeId) {
+      if (!classTypesById.has(fields.classTypeId)) {
+        rowError(`Class type ${fields.classTypeId} not found`);
+        continue;
+      }
+      classTypeId = fields.classTypeId;
+    } else if (fields.classTypeName) {
+      classTypeKey = fields.classTypeName.toLowerCase();
+      if (!plannedClassTypeKeys.has(classTypeKey)) {
+        const existing = classTypesByName.get(classTypeKey);
+        if (!existing) {
+          rowError(`Class type "${fields.classTypeName}" not found and not defined by an earlier classType row`);
+          continue;
+        }
+        classTypeId = existing.$id;
+      }
+    } else {
+      rowError('classTypeId or classTypeName is required');
+      continue;
+    }
+
+    const classData = {
+      classTypeId,
+      day: fields.day,
+      time: fields.time,
+      timeZone: fields.timeZone || undefined,
+      totalSpots: parseCsvInteger(fields.totalSpots),
+      termStartDate: fields.termStartDate || undefined,
+      termEndDate: fields.termEndDate || undefined,
+      sessionDuration: parseCsvInteger(fields.sessionDuration),
+      skipDates: parseCsvList(fields.skipDates),
+      tutorIds: parseCsvList(fields.tutorIds),
+      minMembers: parseCsvInteger(fields.minMembers),
+      confirmationDeadline: fields.confirmationDeadline || undefined
+    };
+
+    if (!classData.day || !classData.time) {
+      rowError('day and time are required');
+      continue;
+    }
+    if (!classData.totalSpots) {
+      rowError('totalSpots must be a whole number, 1 or more');
+      continue;
+    }
+    const scheduleError = validateClassSchedule(classData) || validateEnrollmentThreshold(classData) ||
+      validateSessionDuration(classData.sessionDuration);
+    if (scheduleError) {
+      rowError(scheduleError);
+      continue;
+    }
+
+    // Look each tutor up once however many rows they teach
+    const tutorKey = classData.tutorIds.join(';');
+    if (!tutorChecks.has(tutorKey)) {
+      tutorChecks.set(tutorKey, await validateTutorIds(users, classData.tutorIds));
+    }
+    if (tutorChecks.get(tutorKey)) {
+      rowError(tutorChecks.get(tutorKey));
+      continue;
+    }
+
+    // Tutors must be free both against existing classes and earlier rows,
+    // for as long as the class runs
+    const classType = classTypeId
+      ? classTypesById.get(classTypeId)
+      : classTypesByName.get(classTypeKey) || plan.classTypes.find(planned => planned.key === classTypeKey).data;
+    const timedClass = { ...classData, ...getSessionDurationFields(classData.sessionDuration, classType) };
+    const conflict = await findTutorConflict(databases, timedClass, databaseId, classesCollectionId);
+    if (conflict) {
+      rowError(describeTutorConflict(conflict));
+      continue;
+    }
+    const clashingPlan = plan.classes.find(planned =>
+      planned.data.tutorIds.some(tutorId => classData.tutorIds.includes(tutorId)) &&
+      classTimesOverlap({ ...planned.data, ...getSessionDurationFields(planned.data.sessionDuration, planned.classType) }, timedClass)
+    );
+    if (clashingPlan) {
+      rowError(`A tutor is already teaching the class on row ${clashingPlan.row} at that time`);
+      continue;
+    }
+
+    plan.classes.push({ row, classTypeKey: classTypeId ? null : classTypeKey, classType, data: classData });
+  }
+
+  return plan;
+}
+
+// Write classes as CSV: a classType row for each class type used, then a
+// class row per class
+function buildClassesCsv(classDocs, classTypes) {
+  const lines = [CSV_COLUMNS.join(',')];
+  const toLine = values => CSV_COLUMNS.map(column => toCsvField(values[column])).join(',');
+
+  for (const classType of classTypes.values()) {
+    if (classType) {
+      lines.push(toLine({
+        type: 'classType',
+        classTypeId: classType.$id,
+        classTypeName: classType.name,
+        category: classType.category,
+        level: classType.level,
+        description: classType.description,
+        creditCost: classType.creditCost || 0,
+        sessionDuration: classType.sessionDuration
+      }));
+    }
+  }
+
+  for (const classDoc of classDocs) {
+    const classType = classTypes.get(classDoc.classTypeId);
+    lines.push(toLine({
+      type: 'class',
+      classId: classDoc.$id,
+      classTypeName: classType ? classType.name : '',
+      day: classDoc.day,
+      time: classDoc.time,
+      timeZone: getClassTimeZone(classDoc),
+      totalSpots: classDoc.totalSpots,
+      enrolledCount: classDoc.enrolledCount || 0,
+      termStartDate: classDoc.termStartDate,
+      termEndDate: classDoc.termEndDate,
+      sessionDuration: classDoc.customSessionDuration,
+      skipDates: (classDoc.skipDates || []).join(';'),
+      tutorIds: (classDoc.tutorIds || []).join(';'),
+      minMembers: classDoc.minMembers || '',
+      confirmationDeadline: classDoc.confirmationDeadline,
+      status: classDoc.status
+    }));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// --- Audit log ---
+// Mutating actions append an entry to the audit log collection with the
+// actor, the action, the target and the changed fields before and after.
+// Entries are only ever created. A failed write is logged and does not fail
+// the action itself.
+
+// Longest before/after value stored, in characters of JSON
+const AUDIT_VALUE_MAX_LENGTH = 10000;
+
+// Create the audit writer for one request, bound to its caller
+function createAuditLogger(databases, databaseId, auditLogCollectionId, functionName, caller, logError) {
+  return async (action, targetType, targetId, before, after) => {
+    try {
+      await databases.createDocument(
+        databaseId,
+        auditLogCollectionId,
+        ID.unique(),
+        {
+          functionName,
+          action,
+          actorId: caller?.userId || null,
+          actorType: caller ? (caller.isInternal ? 'internal' : 'user') : 'anonymous',
+          targetType,
+          targetId: targetId || null,
+          before: serializeAuditValue(before),
+          after: serializeAuditValue(after),
+          createdAt: new Date().toISOString()
+        }
+      );
+    } catch (err) {
+      logError(`Failed to write audit entry for ${action} on ${targetId}: ${err.message}`);
+    }
+  };
+}
+
+// Copy the given fields of a document, leaving out Appwrite's own $ fields
+function pickAuditFields(doc, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (!field.startsWith('$')) {
+      picked[field] = doc[field] ?? null;
+    }
+  }
+  return picked;
+}
+
+// Store a before/after value as JSON, cut short if it is too long
+function serializeAuditValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const json = JSON.stringify(value);
+  return json.length > AUDIT_VALUE_MAX_LENGTH
+    ? JSON.stringify({ truncated: true, preview: json.slice(0, AUDIT_VALUE_MAX_LENGTH - 100) })
+    : json;
+}
+
+// --- Archive helpers ---
+// Deleted classes and class types are archived by setting archivedAt, and
+// purged for good once they are older than the archiveRetentionDays admin
+// setting.
+
+const DEFAULT_ARCHIVE_RETENTION_DAYS = 30;
+
+// Delete every document of a collection that belongs to a class
+async function deleteClassDocuments(databases, classId, databaseId, collectionId) {
+  let page;
+  do {
+    page = await databases.listDocuments(databaseId, collectionId, [Query.equal('classId', classId), Query.limit(100)]);
+    for (const doc of page.documents) {
+      await databases.deleteDocument(databaseId, collectionId, doc.$id);
+    }
+  } while (page.documents.length === 100);
+}
+
+// Permanently remove an archived class with its enrollments and attendance.
+// Credit ledger entries are kept so balances stay correct.
+async function purgeClass(databases, classId, databaseId, classesCollectionId, enrollmentsCollectionId, attendanceCollectionId) {
+  await deleteClassDocuments(databases, classId, databaseId, enrollmentsCollectionId);
+  await deleteClassDocuments(databases, classId, databaseId, attendanceCollectionId);
+  await databases.deleteDocument(databaseId, classesCollectionId, classId);
+}
+
+// --- Term cloning helpers ---
+// cloneClasses copies classes into a new term. Members of the old class can
+// be given a held place (status 'pendingReEnrollment') that they confirm or
+// decline before reEnrollDeadline; releaseUnconfirmedSeats frees the rest.
+
+// Move a weekly slot by whole days and minutes, carrying minutes past
+// midnight over into the day
+function shiftClassSlot(day, time, dayShift, timeShiftMinutes) {
+  if (!dayShift && !timeShiftMinutes) {
+    return { day, time };
+  }
+  const minutesPerDay = 24 * 60;
+  const shiftedMinutes = parseTimeOfDay(time) + (timeShiftMinutes || 0);
+  const dayOffset = (dayShift || 0) + Math.floor(shiftedMinutes / minutesPerDay);
+  return {
+    day: DAY_NAMES[(((DAY_NAMES.indexOf(day) + dayOffset) % 7) + 7) % 7],
+    time: timeShiftMinutes ? formatTimeOfDay(((shiftedMinutes % minutesPerDay) + minutesPerDay) % minutesPerDay) : time
+  };
+}
+
+// Work out the class copies for cloneClasses. Returns
+// { clones: [{ source, classType, data, members, reEnrollDeadline }], errors: [{ classId, message }] }.
+// data.changes may give a class its own { day, time, tutorIds }.
+async function planClassClones(databases, users, data, classTypeLoader, databaseId, classesCollectionId, enrollmentsCollectionId) {
+  const plan = { clones: [], errors: [] };
+
+  for (const classId of [...new Set(data.classIds)]) {
+    const cloneError = message => plan.errors.push({ classId, message });
+
+    let source;
+    try {
+      source = await databases.getDocument(databaseId, classesCollectionId, classId);
+    } catch (err) {
+      cloneError('Class not found');
+      continue;
+    }
+    const classType = await classTypeLoader.load(source.classTypeId);
+    if (source.archivedAt || source.bookingKind || !classType || classType.archivedAt) {
+      cloneError('Only current group classes can be copied');
+      continue;
+    }
+
+    const changes = (data.changes || {})[classId] || {};
+    const slot = parseTimeOfDay(source.time) === null
+      ? { day: source.day, time: source.time }
+      : shiftClassSlot(source.day, source.time, data.dayShift, data.timeShiftMinutes);
+    const cloneData = {
+      classTypeId: source.classTypeId,
+      day: changes.day || slot.day,
+      time: changes.time || slot.time,
+      timeZone: getClassTimeZone(source),
+      termStartDate: data.termStartDate,
+      termEndDate: data.termEndDate,
+      sessionDuration: source.customSessionDuration || undefined,
+      skipDates: data.skipDates || [],
+      tutorIds: changes.tutorIds || source.tutorIds || [],
+      totalSpots: source.totalSpots || 5
+    };
+
+    const scheduleError = validateClassSchedule(cloneData) || await validateTutorIds(users, changes.tutorIds);
+    if (scheduleError) {
+      cloneError(scheduleError);
+      continue;
+    }
+
+    // Tutors must be free both against existing classes and the other copies
+    const timedClone = { ...cloneData, ...getSessionDurationFields(cloneData.sessionDuration, classType) };
+    const conflict = await findTutorConflict(databases, timedClone, databaseId, classesCollectionId);
+    if (conflict) {
+      cloneError(describeTutorConflict(conflict));
+      continue;
+    }
+    const clashingClone = plan.clones.find(planned =>
+      planned.data.tutorIds.some(tutorId => cloneData.tutorIds.includes(tutorId)) &&
+      classTimesOverlap({ ...planned.data, ...getSessionDurationFields(planned.data.sessionDuration, planned.classType) }, timedClone)
+    );
+    if (clashingClone) {
+      cloneError(`A tutor is already teaching the copy of class ${clashingClone.source.$id} at that time`);
+      continue;
+    }
+
+    let members = [];
+    let reEnrollDeadline = null;
+    if (data.preEnroll) {
+      const deadline = parseConfirmationDeadline(data.reEnrollDeadline, cloneData.timeZone);
+      if (!deadline || deadline <= new Date()) {
+        cloneError('reEnrollDeadline must be a future date (YYYY-MM-DD) or date and time');
+        continue;
+      }
+      reEnrollDeadline = deadline.toISOString();
+
+      const enrolled = await databases.listDocuments(
+        databaseId,
+        enrollmentsCollectionId,
+        [Query.equal('classId', classId), Query.equal('status', 'enrolled'), Query.limit(100)]
+      );
+      members = enrolled.documents;
+      if (members.length > cloneData.totalSpots) {
+        cloneError(`The class has ${members.length} members but only ${cloneData.totalSpots} spots`);
+        continue;
+      }
+    }
+
+    plan.clones.push({ source, classType, data: cloneData, members, reEnrollDeadline });
+  }
+
+  return plan;
+}
+
+// Ask the members of an old class to confirm their held place in its copy
+async function sendReEnrollmentInvites(functions, clonedClass, sourceClass, classType, members, reEnrollDeadline, notificationsFunctionId, log, logError) {
+  const recipients = members.map(member => ({ userId: member.userId, name: member.name, email: member.email }));
+  try {
+    const execution = await executeFunction(functions, notificationsFunctionId, {
+      action: 'reEnrollmentInvite',
+      classId: clonedClass.$id,
+      classType: classType?.name || 'Unknown Class Type',
+      day: clonedClass.day,
+      time: clonedClass.time,
+      schedule: getClassSchedule(clonedClass),
+      oldDay: sourceClass.day,
+      oldTime: sourceClass.time,
+      oldTimeZone: getClassTimeZone(sourceClass),
+      reEnrollDeadline,
+      recipients
+    });
+    log(`Re-enrollment invite status for class ${clonedClass.$id}: ${execution.status}`);
+
+    const response = JSON.parse(execution.responseBody || '{}');
+    if (!response.success) {
+      throw new Error(response.message || `Notifications execution ${execution.status}`);
+    }
+
+    const results = response.results || [];
+    return {
+      notified: results.filter(result => result.status === 'success').map(result => result.userId),
+      failed: results
+        .filter(result => result.status !== 'success')
+        .map(result => ({ userId: result.userId, error: result.error }))
+    };
+  } catch (err) {
+    logError(`Error sending re-enrollment invites for class ${clonedClass.$id}: ${err.message}`);
+    return {
+      notified: [],
+      failed: recipients.map(recipient => ({ userId: recipient.userId, error: err.message }))
+    };
+  }
+}
+
+// --- Booking helpers ---
+// Tutors publish bookable slots for private and trial lessons: one dated
+// session of a class type. Booking a slot creates a single-seat class with
+// bookingKind set, so the lesson shows up in schedules, reminders and
+// attendance like any other class. Slots are 'open', 'booked', 'withdrawn'
+// by the tutor or 'cancelled' when the tutor cancels a booking.
+
+const BOOKING_KINDS = ['private', 'trial'];
+
+// Hours before a lesson after which students can no longer cancel, unless the
+// bookingCancellationHours admin setting says otherwise
+const DEFAULT_BOOKING_CANCELLATION_HOURS = 24;
+
+// Check the fields of a new slot, returning an error message or null
+function validateSlot(slotData) {
+  if (slotData.kind !== undefined && !BOOKING_KINDS.includes(slotData.kind)) {
+    return `kind must be one of ${BOOKING_KINDS.join(', ')}`;
+  }
+  if (!parseDate(slotData.date)) {
+    return 'date must be a date in YYYY-MM-DD format';
+  }
+  if (parseTimeOfDay(slotData.time) === null) {
+    return 'time must look like "7:00 PM" or "19:00"';
+  }
+  if (slotData.timeZone && !isValidTimeZone(slotData.timeZone)) {
+    return 'timeZone must be an IANA time zone such as "Asia/Hong_Kong"';
+  }
+  return validateSessionDuration(slotData.sessionDuration);
+}
+
+// A slot as the fields of a class that meets once, on the slot's date
+function getSlotClassData(slot) {
+  return {
+    classTypeId: slot.classTypeId,
+    day: DAY_NAMES[parseDate(slot.date).getUTCDay()],
+    time: slot.time,
+    timeZone: slot.timeZone,
+    termStartDate: slot.date,
+    termEndDate: slot.date,
+    sessionDuration: slot.sessionDuration,
+    tutorIds: [slot.tutorId]
+  };
+}
+
+// Find another open slot of the same tutor that overlaps this one
+async function findOverlappingSlot(databases, slot, databaseId, bookableSlotsCollectionId) {
+  // Neighbouring dates too, for slots in other time zones or past midnight
+  const date = parseDate(slot.date);
+  const nearbyDates = [-1, 0, 1].map(offset => formatDate(new Date(date.getTime() + offset * 24 * 60 * 60 * 1000)));
+  const tutorSlots = await databases.listDocuments(
+    databaseId,
+    bookableSlotsCollectionId,
+    [
+      Query.equal('tutorId', slot.tutorId),
+      Query.equal('status', 'open'),
+      Query.equal('date', nearbyDates),
+      Query.limit(100)
+    ]
+  );
+  return tutorSlots.documents.find(otherSlot =>
+    classTimesOverlap(getSlotClassData(slot), getSlotClassData(otherSlot))
+  ) || null;
+}
+
+// Tell the student and the tutor about a booked or cancelled lesson
+async function sendBookingNotification(functions, notificationAction, bookingClass, classType, student, details, notificationsFunctionId, log, logError) {
+  try {
+    const execution = await executeFunction(functions, notificationsFunctionId, {
+      action: notificationAction,
+      classId: bookingClass.$id,
+      bookingKind: bookingClass.bookingKind,
+      classType: classType?.name || 'Unknown Class Type',
+      day: bookingClass.day,
+      time: bookingClass.time,
+      date: bookingClass.termStartDate,
+      schedule: getClassSchedule(bookingClass),
+      student,
+      tutorIds: bookingClass.tutorIds || [],
+      ...details
+    });
+    log(`Booking notification status: ${execution.status}`);
+  } catch (err) {
+    logError(`Error sending ${notificationAction} notification: ${err.message}`);
+    // Don't fail the booking if the email fails
+  }
+}
+
+// --- Enrollment policy helpers ---
+// A policy limits when students may join and leave:
+//   joinCutoffHours       joining closes this many hours before each session
+//   leaveCutoffHours      leaving closes this many hours before each session
+//   maxClassesPerStudent  how many active classes one student may be in
+//   allowLateJoin         whether students may join once a term has started
+// A class type's enrollmentPolicy (stored as JSON) overrides the
+// enrollmentPolicy in admin settings field by field. Unset fields don't limit.
+
+const DEFAULT_ENROLLMENT_POLICY = {
+  joinCutoffHours: null,
+  leaveCutoffHours: null,
+  maxClassesPerStudent: null,
+  allowLateJoin: true
+};
+
+// Check an enrollment policy object, returning an error message or null
+function validateEnrollmentPolicy(policy) {
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'enrollmentPolicy must be an object';
+  }
+  const unknownField = Object.keys(policy).find(field => !(field in DEFAULT_ENROLLMENT_POLICY));
+  if (unknownField) {
+    return `Unknown enrollment policy field: ${unknownField}`;
+  }
+  for (const field of ['joinCutoffHours', 'leaveCutoffHours']) {
+    if (policy[field] !== undefined && policy[field] !== null && !(typeof policy[field] === 'number' && policy[field] >= 0)) {
+      return `${field} must be a number of hours, 0 or more`;
+    }
+  }
+  if (policy.maxClassesPerStudent !== undefined && policy.maxClassesPerStudent !== null &&
+      !(Number.isInteger(policy.maxClassesPerStudent) && policy.maxClassesPerStudent >= 1)) {
+    return 'maxClassesPerStudent must be a whole number, 1 or more';
+  }
+  if (policy.allowLateJoin !== undefined && typeof policy.allowLateJoin !== 'boolean') {
+    return 'allowLateJoin must be true or false';
+  }
+  return null;
+}
+
+// The policy that applies to a class type
+function getEnrollmentPolicy(classType, settings) {
+  const classTypePolicy = classType?.enrollmentPolicy ? JSON.parse(classType.enrollmentPolicy) : {};
+  const policy = { ...DEFAULT_ENROLLMENT_POLICY };
+  for (const source of [settings.enrollmentPolicy || {}, classTypePolicy]) {
+    for (const [field, value] of Object.entries(source)) {
+      if (value !== undefined && value !== null) {
+        policy[field] = value;
+      }
+    }
+  }
+  return policy;
+}
+
+// Hours until the next session of a class that has not started yet, or null
+// when it has no more sessions
+function getHoursUntilNextSession(classDoc) {
+  const now = Date.now();
+  const nextSession = expandClassSessions(classDoc, { fromDate: getClassToday(classDoc), maxSessions: 2 })
+    .find(session => new Date(session.startsAtUtc).getTime() > now);
+  return nextSession ? (new Date(nextSession.startsAtUtc).getTime() - now) / (60 * 60 * 1000) : null;
+}
+
+// How many active group classes a student is enrolled in. Private and trial
+// bookings don't count toward maxClassesPerStudent.
+async function countStudentActiveClasses(databases, userId, databaseId, classesCollectionId, enrollmentsCollectionId) {
+  const studentEnrollments = await databases.listDocuments(
+    databaseId,
+    enrollmentsCollectionId,
+    [Query.equal('userId', userId), Query.equal('status', 'enrolled'), Query.select(['classId']), Query.limit(100)]
+  );
+  if (studentEnrollments.documents.length === 0) {
+    return 0;
+  }
+  const activeClasses = await databases.listDocuments(
+    databaseId,
+    classesCollectionId,
+    [
+      Query.equal('$id', studentEnrollments.documents.map(enrollment => enrollment.classId)),
+      Query.equal('status', 'active'),
+      Query.isNull('archivedAt'),
+      Query.isNull('bookingKind'),
+      Query.select(['$id']),
+      Query.limit(100)
+    ]
+  );
+  return activeClasses.total;
+}
+
+// Check a join against the policy, returning { reason, message } or null
+function checkJoinPolicy(policy, classDoc, studentClassCount) {
+  if (!policy.allowLateJoin && classDoc.termStartDate) {
+    const [firstSession] = expandClassSessions(classDoc, { maxSessions: 1 });
+    if (firstSession && new Date(firstSession.startsAtUtc) <= new Date()) {
+      return { reason: 'termStarted', message: 'This class has already started its term and does not accept new students' };
+    }
+  }
+
+  if (policy.joinCutoffHours !== null) {
+    const hoursUntilNext = getHoursUntilNextSession(classDoc);
+    if (hoursUntilNext !== null && hoursUntilNext < policy.joinCutoffHours) {
+      return {
+        reason: 'joinCutoffPassed',
+        message: `Joining closes ${policy.joinCutoffHours} hours before a session starts`
+      };
+    }
+  }
+
+  if (policy.maxClassesPerStudent !== null && studentClassCount >= policy.maxClassesPerStudent) {
+    return {
+      reason: 'maxClassesReached',
+      message: `You have reached the limit of ${policy.maxClassesPerStudent} active classes per student`
+    };
+  }
+
+  return null;
+}
+
+// Check a leave against the policy, returning { reason, message } or null
+function checkLeavePolicy(policy, classDoc) {
+  if (policy.leaveCutoffHours !== null) {
+    const hoursUntilNext = getHoursUntilNextSession(classDoc);
+    if (hoursUntilNext !== null && hoursUntilNext < policy.leaveCutoffHours) {
+      return {
+        reason: 'leaveCutoffPassed',
+        message: `Leaving closes ${policy.leaveCutoffHours} hours before a session starts`
+      };
+    }
+  }
+  return null;
+}
+
+// --- Eligibility helpers ---
+// A class type may require a placement level and prerequisite class types. A
+// prerequisite counts as done once the student has attended (present or
+// late) a session of a class of that type. Admins can let a student into a
+// class type regardless, through the eligibilityOverrides list in the
+// student's preferences.
+
+// Placement levels from lowest to highest; keep in sync with userAuth
+const STUDENT_LEVELS = ['beginner', 'elementary', 'intermediate', 'upper-intermediate', 'advanced'];
+
+// Check a class type's requiredLevel and prerequisiteClassTypeIds, returning
+// an error message or null. classTypeId is set when updating a class type.
+async function validateClassTypeRequirements(requiredLevel, prerequisiteClassTypeIds, classTypeId, classTypeLoader) {
+  if (requiredLevel && !STUDENT_LEVELS.includes(requiredLevel)) {
+    return `requiredLevel must be one of: ${STUDENT_LEVELS.join(', ')}`;
+  }
+  if (prerequisiteClassTypeIds === undefined) {
+    return null;
+  }
+  if (!Array.isArray(prerequisiteClassTypeIds)) {
+    return 'prerequisiteClassTypeIds must be a list of class type ids';
+  }
+  if (classTypeId && prerequisiteClassTypeIds.includes(classTypeId)) {
+    return 'A class type cannot be its own prerequisite';
+  }
+  const prerequisites = await classTypeLoader.loadMany(prerequisiteClassTypeIds);
+  const missingId = prerequisiteClassTypeIds.find(id => !prerequisites.get(id));
+  return missingId ? `Prerequisite class type ${missingId} not found` : null;
+}
+
+// Gather what eligibility depends on for one student: their placement level,
+// their overrides and the class types they have attended
+async function getStudentEligibilityProfile(databases, users, userId, databaseId, classesCollectionId, attendanceCollectionId) {
+  const prefs = await users.getPrefs(userId);
+
+  const attended = await databases.listDocuments(
+    databaseId,
+    attendanceCollectionId,
+    [
+      Query.equal('userId', userId),
+      Query.equal('status', ['present', 'late']),
+      Query.select(['classId']),
+      Query.limit(CLASS_SCAN_PAGE_SIZE)
+    ]
+  );
+  const attendedClassIds = [...new Set(attended.documents.map(record => record.classId))];
+
+  const completedClassTypeIds = new Set();
+  for (let i = 0; i < attendedClassIds.length; i += CLASS_TYPE_BATCH_SIZE) {
+    const batch = attendedClassIds.slice(i, i + CLASS_TYPE_BATCH_SIZE);
+    const attendedClasses = await databases.listDocuments(
+      databaseId,
+      classesCollectionId,
+      [Query.equal('$id', batch), Query.select(['$id', 'classTypeId']), Query.limit(batch.length)]
+    );
+    attendedClasses.documents.forEach(classDoc => completedClassTypeIds.add(classDoc.classTypeId));
+  }
+
+  return {
+    placementLevel: STUDENT_LEVELS.includes(prefs.placementLevel) ? prefs.placementLevel : null,
+    eligibilityOverrides: new Set(prefs.eligibilityOverrides || []),
+    completedClassTypeIds
+  };
+}
+
+// Decide whether a student may enroll in a class type. Ineligible results
+// carry a reason code and a message to show the student.
+function getClassTypeEligibility(classType, profile, prerequisiteNames) {
+  if (!classType || profile.eligibilityOverrides.has(classType.$id)) {
+    return { eligible: true };
+  }
+
+  const requiredLevel = classType.requiredLevel || null;
+  if (requiredLevel && STUDENT_LEVELS.indexOf(requiredLevel) > 0) {
+    if (!profile.placementLevel) {
+      return {
+        eligible: false,
+        reason: 'placementRequired',
+        message: `This class requires a placement level of ${requiredLevel}. Please take a placement test first.`,
+        requiredLevel,
+        placementLevel: null
+      };
+    }
+    if (STUDENT_LEVELS.indexOf(profile.placementLevel) < STUDENT_LEVELS.indexOf(requiredLevel)) {
+      return {
+        eligible: false,
+        reason: 'levelTooLow',
+        message: `This class requires level ${requiredLevel}, your placement level is ${profile.placementLevel}.`,
+        requiredLevel,
+        placementLevel: profile.placementLevel
+      };
+    }
+  }
+
+  const missingPrerequisites = (classType.prerequisiteClassTypeIds || [])
+    .filter(id => !profile.completedClassTypeIds.has(id));
+  if (missingPrerequisites.length > 0) {
+    const names = missingPrerequisites.map(id => prerequisiteNames.get(id) || id);
+    return {
+      eligible: false,
+      reason: 'missingPrerequisites',
+      message: `This class requires completing ${names.join(', ')} first.`,
+      requiredLevel,
+      placementLevel: profile.placementLevel,
+      missingPrerequisites: missingPrerequisites.map((id, index) => ({ classTypeId: id, name: names[index] }))
+    };
+  }
+
+  return { eligible: true };
+}
+
+// Names of the prerequisite class types of the given class types, by id
+async function getPrerequisiteNames(classTypes, classTypeLoader) {
+  const prerequisiteIds = [...new Set(classTypes.flatMap(classType => classType?.prerequisiteClassTypeIds || []))];
+  const prerequisites = await classTypeLoader.loadMany(prerequisiteIds);
+  return new Map(prerequisiteIds.map(id => [id, prerequisites.get(id)?.name]));
+}
+
+// Check whether a student may enroll in classes of a class type
+async function checkEnrollmentEligibility(databases, users, userId, classTypeId, classTypeLoader, databaseId, classesCollectionId, attendanceCollectionId) {
+  const classType = await classTypeLoader.load(classTypeId);
+  if (!classType || (!classType.requiredLevel && !(classType.prerequisiteClassTypeIds || []).length)) {
+    return { eligible: true };
+  }
+
+  const profile = await getStudentEligibilityProfile(databases, users, userId, databaseId, classesCollectionId, attendanceCollectionId);
+  return getClassTypeEligibility(classType, profile, await getPrerequisiteNames([classType], classTypeLoader));
+}
+
+// Narrow a list of class type ids (or all active class types when null) to
+// those the student is eligible for
+async function findEligibleClassTypeIds(databases, users, userId, classTypeIds, classTypeLoader, databaseId, classTypesCollectionId, classesCollectionId, attendanceCollectionId) {
+  let classTypes;
+  if (classTypeIds) {
+    classTypes = [...(await classTypeLoader.loadMany(classTypeIds)).values()].filter(Boolean);
+  } else {
+    classTypes = await listClassTypes(databases, databaseId, classTypesCollectionId, [Query.equal('isActive', true), Query.isNull('archivedAt')]);
+    classTypeLoader.prime(classTypes);
+  }
+
+  const profile = await getStudentEligibilityProfile(databases, users, userId, databaseId, classesCollectionId, attendanceCollectionId);
+  const prerequisiteNames = await getPrerequisiteNames(classTypes, classTypeLoader);
+  return classTypes
+    .filter(classType => getClassTypeEligibility(classType, profile, prerequisiteNames).eligible)
+    .map(classType => classType.$id);
+}
+
+// --- Tutor helpers ---
+
+// Check that every id belongs to a user with the tutor label, returning an
+// error message or null
+async function validateTutorIds(users, tutorIds) {
+  if (tutorIds === undefined) {
+    return null;
+  }
+  if (!Array.isArray(tutorIds)) {
+    return 'tutorIds must be a list of user ids';
+  }
+
+  for (const tutorId of tutorIds) {
+    try {
+      const tutor = await users.get(tutorId);
+      if (!(tutor.labels || []).includes('tutor')) {
+        return `User ${tutorId} is not a tutor`;
+      }
+    } catch (err) {
+      return `Tutor ${tutorId} not found`;
+    }
+  }
+  return null;
+}
+
+// A class's weekly slot as minutes since Sunday 00:00 UTC, so classes in
+// different time zones can be compared. The first session picks the offset.
+function getWeeklySlotUtc(classDoc) {
+  const [firstSession] = expandClassSessions(classDoc, { maxSessions: 1 });
+  if (!firstSession) {
+    return null;
+  }
+  const startsAt = new Date(firstSession.startsAtUtc);
+  const start = startsAt.getUTCDay() * 24 * 60 + startsAt.getUTCHours() * 60 + startsAt.getUTCMinutes();
+  return { start, end: start + firstSession.duration };
+}
+
+// Whether two classes meet at overlapping times during overlapping terms
+function classTimesOverlap(classA, classB) {
+  const termsOverlap = (classA.termStartDate || '0000-01-01') <= (classB.termEndDate || '9999-12-31') &&
+    (classB.termStartDate || '0000-01-01') <= (classA.termEndDate || '9999-12-31');
+  const slotA = getWeeklySlotUtc(classA);
+  const slotB = getWeeklySlotUtc(classB);
+  if (!termsOverlap || !slotA || !slotB) {
+    return false;
+  }
+
+  // Check the neighbouring weeks too for slots that wrap past Saturday midnight
+  const minutesPerWeek = 7 * 24 * 60;
+  return [-minutesPerWeek, 0, minutesPerWeek].some(shift =>
+    slotA.start < slotB.end + shift && slotB.start + shift < slotA.end
+  );
+}
+
+// Find an active class that one of this class's tutors already teaches at
+// the same time. Returns { tutorId, class } or null.
+async function findTutorConflict(databases, classDoc, databaseId, classesCollectionId) {
+  const tutorIds = classDoc.tutorIds || [];
+  if (tutorIds.length === 0) {
+    return null;
+  }
+
+  const tutorClasses = await databases.listDocuments(
+    databaseId,
+    classesCollectionId,
+    [
+      Query.contains('tutorIds', tutorIds),
+      Query.equal('status', 'active'),
+      Query.isNull('archivedAt'),
+      Query.limit(100)
+    ]
+  );
+
+  for (const otherClass of tutorClasses.documents) {
+    if (otherClass.$id === classDoc.$id || !classTimesOverlap(classDoc, otherClass)) {
+      continue;
+    }
+    const tutorId = tutorIds.find(id => (otherClass.tutorIds || []).includes(id));
+    return {
+      tutorId,
+      class: {
+        $id: otherClass.$id,
+        classTypeId: otherClass.classTypeId,
+        day: otherClass.day,
+        time: otherClass.time,
+        timeZone: getClassTimeZone(otherClass),
+        termStartDate: otherClass.termStartDate || null,
+        termEndDate: otherClass.termEndDate || null
+      }
+    };
+  }
+  return null;
+}
+
+// Error message for a double-booked tutor
+function describeTutorConflict(conflict) {
+  return `Tutor ${conflict.tutorId} already teaches class ${conflict.class.$id} on ${conflict.class.day} at ${conflict.class.time} (${conflict.class.timeZone})`;
+}
+
+// --- Attendance helpers ---
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+// Get the attendance records of one session of a class
+async function listSessionAttendance(databases, classId, sessionDate, databaseId, attendanceCollectionId) {
+  const records = await databases.listDocuments(
+    databaseId,
+    attendanceCollectionId,
+    [
+      Query.equal('classId', classId),
+      Query.equal('sessionDate', sessionDate),
+      Query.limit(100)
+    ]
+  );
+
+  return records.documents;
+}
+
+// Turn status counts into a summary. Late counts as attended and excused
+// absences are left out of the rate.
+function buildAttendanceSummary(counts) {
+  const expected = counts.present + counts.late + counts.absent;
+  return {
+    ...counts,
+    marked: expected + counts.excused,
+    attendanceRate: expected > 0 ? Math.round(((counts.present + counts.late) / expected) * 100) : 0
+  };
+}
+
+// Summarize a list of attendance records
+function summarizeAttendance(records) {
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+  records.forEach(record => {
+    counts[record.status] = (counts[record.status] || 0) + 1;
+  });
+  return buildAttendanceSummary(counts);
+}
+
+// Count attendance records by status without loading them all
+async function countAttendance(databases, queries, databaseId, attendanceCollectionId) {
+  const counts = {};
+  for (const status of ATTENDANCE_STATUSES) {
+    const matching = await databases.listDocuments(
+      databaseId,
+      attendanceCollectionId,
+      [...queries, Query.equal('status', status), Query.limit(1)]
+    );
+    counts[status] = matching.total;
+  }
+  return buildAttendanceSummary(counts);
+}
+
+// --- Category and level tree ---
+// Categories and levels form one tree of taxonomy nodes, e.g.
+// Mandarin > Conversational > HSK 3. Each node stores its ancestors, depth
+// and full path so filtering and grouping need no extra lookups. Class types
+// are tagged with any number of nodes through taxonomyIds.
+
+const TAXONOMY_PATH_SEPARATOR = ' > ';
+const MAX_TAXONOMY_NODES = 1000;
+
+// Load the whole tree at most once per request, as a Map of id to node
+function createTaxonomyLoader(databases, databaseId, taxonomyCollectionId) {
+  let loading = null;
+
+  const load = () => {
+    if (!loading) {
+      loading = databases.listDocuments(databaseId, taxonomyCollectionId, [Query.limit(MAX_TAXONOMY_NODES)])
+        .then(result => new Map(result.documents.map(node => [node.$id, node])));
+    }
+    return loading;
+  };
+
+  return { load };
+}
+
+// Each tagged node of a class type as the list of ids from the root down to it
+function getClassTypeTaxonomyChains(classType, taxonomy) {
+  return (classType?.taxonomyIds || [])
+    .filter(id => taxonomy.has(id))
+    .map(id => [...(taxonomy.get(id).ancestorIds || []), id]);
+}
+
+// Group classes by the taxonomy node at one depth of the tree (0 is the top).
+// A class type tagged under several nodes puts its classes in each group;
+// classes with no node at that depth are grouped under id null.
+function groupClassesByTaxonomy(classDocs, classTypes, depth, taxonomy) {
+  const groups = new Map();
+  for (const classDoc of classDocs) {
+    const nodeIds = new Set(
+      getClassTypeTaxonomyChains(classTypes.get(classDoc.classTypeId), taxonomy)
+        .map(chain => chain[depth])
+        .filter(Boolean)
+    );
+    if (nodeIds.size === 0) nodeIds.add(null);
+
+    for (const nodeId of nodeIds) {
+      if (!groups.has(nodeId)) {
+        const node = nodeId && taxonomy.get(nodeId);
+        groups.set(nodeId, {
+          id: nodeId,
+          name: node ? node.name : 'Uncategorized',
+          path: node ? node.path : null,
+          classIds: []
+        });
+      }
+      groups.get(nodeId).classIds.push(classDoc.$id);
+    }
+  }
+  return [...groups.values()];
+}
+
+// Check that class type tags point at existing nodes, returning an error message or null
+function validateTaxonomyIds(taxonomyIds, taxonomy) {
+  if (taxonomyIds === undefined) {
+    return null;
+  }
+  if (!Array.isArray(taxonomyIds)) {
+    return 'taxonomyIds must be a list of taxonomy node ids';
+  }
+  const unknownId = taxonomyIds.find(id => !taxonomy.has(id));
+  return unknownId ? `Taxonomy node ${unknownId} not found` : null;
+}
+
+// Check a node's name and parent, returning an error message or null. nodeId
+// is set when an existing node is being renamed or moved.
+function validateTaxonomyNode(name, parentId, nodeId, taxonomy) {
+  if (!name || !name.trim() || name.includes('>') || name.includes(',')) {
+    return 'Node names must not be empty or contain ">" or ","';
+  }
+  if (parentId && !taxonomy.has(parentId)) {
+    return `Parent node ${parentId} not found`;
+  }
+  if (nodeId && parentId && (parentId === nodeId || (taxonomy.get(parentId).ancestorIds || []).includes(nodeId))) {
+    return 'A node cannot be moved under itself';
+  }
+  const duplicate = [...taxonomy.values()].find(node =>
+    node.$id !== nodeId && node.parentId === parentId && node.name.toLowerCase() === name.trim().toLowerCase()
+  );
+  return duplicate ? `"${name}" already exists at this place in the tree` : null;
+}
+
+// The stored fields of a node that depend on where it sits in the tree
+function getTaxonomyPlacement(name, parentId, taxonomy) {
+  const parent = parentId ? taxonomy.get(parentId) : null;
+  return {
+    parentId,
+    ancestorIds: parent ? [...(parent.ancestorIds || []), parent.$id] : [],
+    depth: parent ? parent.depth + 1 : 0,
+    path: parent ? `${parent.path}${TAXONOMY_PATH_SEPARATOR}${name}` : name
+  };
+}
+
+// Create a node and add it to the loaded tree
+async function createTaxonomyNode(databases, name, parentId, taxonomy, databaseId, taxonomyCollectionId) {
+  const node = await databases.createDocument(
+    databaseId,
+    taxonomyCollectionId,
+    ID.unique(),
+    {
+      name: name.trim(),
+      ...getTaxonomyPlacement(name.trim(), parentId, taxonomy)
+    }
+  );
+  taxonomy.set(node.$id, node);
+  return node;
+}
+
+// Save a renamed or moved node and recompute the placement of everything
+// below it. Returns the number of nodes written.
+async function rebuildTaxonomySubtree(databases, nodeId, taxonomy, databaseId, taxonomyCollectionId) {
+  const node = taxonomy.get(nodeId);
+  const updated = await databases.updateDocument(
+    databaseId,
+    taxonomyCollectionId,
+    nodeId,
+    {
+      name: node.name,
+      ...getTaxonomyPlacement(node.name, node.parentId, taxonomy)
+    }
+  );
+  taxonomy.set(nodeId, updated);
+
+  let written = 1;
+  for (const child of [...taxonomy.values()].filter(candidate => candidate.parentId === nodeId)) {
+    written += await rebuildTaxonomySubtree(databases, child.$id, taxonomy, databaseId, taxonomyCollectionId);
+  }
+  return written;
+}
+
+// --- Class search ---
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Sort orders for class listings
+const CLASS_SORT_ORDERS = {
+  schedule: [Query.orderAsc('dayOfWeek'), Query.orderAsc('startMinutes')],
+  spotsLeft: [Query.orderDesc('spotsLeft')],
+  newest: [Query.orderDesc('$createdAt')],
+  termStart: [Query.orderAsc('termStartDate')]
+};
+
+// The fields of a new class document, from createClass input or an import row
+function buildNewClassData(data, spots, initialMembersCount, classType) {
+  return {
+    classTypeId: data.classTypeId,
+    day: data.day,
+    time: data.time,
+    termStartDate: data.termStartDate || null,
+    termEndDate: data.termEndDate || null,
+    ...getSessionDurationFields(data.sessionDuration, classType),
+    skipDates: data.skipDates || [],
+    timeZone: data.timeZone || DEFAULT_TIME_ZONE,
+    ...getClassSearchFields(data),
+    tutorIds: data.tutorIds || [],
+    totalSpots: spots,
+    enrolledCount: initialMembersCount,
+    spotsLeft: spots - initialMembersCount,
+    status: 'active',
+    ...getEnrollmentThresholdFields(data)
+  };
+}
+
+// Numeric copies of day and time stored on each class so listings can filter
+// and sort by them in the database
+function getClassSearchFields(classData) {
+  const dayOfWeek = DAY_NAMES.indexOf(classData.day);
+  return {
+    dayOfWeek: dayOfWeek === -1 ? null : dayOfWeek,
+    startMinutes: parseTimeOfDay(classData.time)
+  };
+}
+
+// Turn the day, time, spots and sort filters of a class search into queries.
+// Returns { queries } or { error } for filters that don't make sense.
+function buildClassFilterQueries(filters) {
+  const queries = [];
+
+  const days = filters.days || (filters.day ? [filters.day] : []);
+  if (days.some(day => !DAY_NAMES.includes(day))) {
+    return { error: `days must be day names such as ${DAY_NAMES[1]}` };
+  }
+  if (days.length > 0) {
+    queries.push(Query.equal('dayOfWeek', days.map(day => DAY_NAMES.indexOf(day))));
+  }
+
+  for (const [field, query] of [['timeFrom', Query.greaterThanEqual], ['timeTo', Query.lessThanEqual]]) {
+    if (filters[field] === undefined) continue;
+    const minutes = parseTimeOfDay(filters[field]);
+    if (minutes === null) {
+      return { error: `${field} must look like "7:00 PM" or "19:00"` };
+    }
+    queries.push(query('startMinutes', minutes));
+  }
+
+  if (filters.minSpotsLeft !== undefined) {
+    // Query strings send numbers as text
+    const minSpotsLeft = typeof filters.minSpotsLeft === 'string' && filters.minSpotsLeft.trim() !== ''
+      ? Number(filters.minSpotsLeft)
+      : filters.minSpotsLeft;
+    if (!Number.isInteger(minSpotsLeft) || minSpotsLeft < 0) {
+      return { error: 'minSpotsLeft must be a whole number, 0 or more' };
+    }
+    queries.push(Query.greaterThanEqual('spotsLeft', minSpotsLeft));
+  }
+
+  const sortOrder = CLASS_SORT_ORDERS[filters.sort || 'schedule'];
+  if (!sortOrder) {
+    return { error: `sort must be one of ${Object.keys(CLASS_SORT_ORDERS).join(', ')}` };
+  }
+  queries.push(...sortOrder);
+
+  return { queries };
+}
+
+// --- Class type loading ---
+
+const CLASS_TYPE_BATCH_SIZE = 100;
+const CLASS_SCAN_PAGE_SIZE = 1000;
+
+// Load class types in batches and keep them for the rest of the request, so
+// a listing makes one class type query instead of one per class. Class types
+// that don't exist are remembered as null.
+function createClassTypeLoader(databases, databaseId, classTypesCollectionId, logError) {
+  const cache = new Map();
+
+  const prime = (classTypes) => {
+    classTypes.forEach(classType => cache.set(classType.$id, classType));
+  };
+
+  const loadMany = async (classTypeIds) => {
+    const missing = [...new Set(classTypeIds.filter(id => id && !cache.has(id)))];
+    for (let start = 0; start < missing.length; start += CLASS_TYPE_BATCH_SIZE) {
+      const batch = missing.slice(start, start + CLASS_TYPE_BATCH_SIZE);
+      const found = await databases.listDocuments(
+        databaseId,
+        classTypesCollectionId,
+        [Query.equal('$id', batch), Query.limit(batch.length)]
+      );
+      prime(found.documents);
+
+      batch.filter(id => !cache.has(id)).forEach(id => {
+        logError(`Class type ${id} not found`);
+        cache.set(id, null);
+      });
+    }
+    return new Map(classTypeIds.map(id => [id, cache.get(id) || null]));
+  };
+
+  const load = async (classTypeId) => (await loadMany([classTypeId])).get(classTypeId);
+
+  return { load, loadMany, prime };
+}
+
+// Query.equal for any number of values. Appwrite takes at most
+// CLASS_TYPE_BATCH_SIZE values per query, so longer lists are split and
+// joined with Query.or.
+function equalAnyOf(attribute, values) {
+  if (values.length <= CLASS_TYPE_BATCH_SIZE) {
+    return Query.equal(attribute, values);
+  }
+  const batches = [];
+  for (let start = 0; start < values.length; start += CLASS_TYPE_BATCH_SIZE) {
+    batches.push(Query.equal(attribute, values.slice(start, start + CLASS_TYPE_BATCH_SIZE)));
+  }
+  return Query.or(batches);
+}
+
+// Get every class type matching the queries, a page at a time
+async function listClassTypes(databases, databaseId, classTypesCollectionId, queries) {
+  const classTypes = [];
+  let cursor = null;
+
+  do {
+    const page = await databases.listDocuments(
+      databaseId,
+      classTypesCollectionId,
+      [
+        ...queries,
+        Query.limit(CLASS_TYPE_BATCH_SIZE),
+        ...(cursor ? [Query.cursorAfter(cursor)] : [])
+      ]
+    );
+    classTypes.push(...page.documents);
+    cursor = page.documents.length === CLASS_TYPE_BATCH_SIZE ? page.documents[page.documents.length - 1].$id : null;
+  } while (cursor);
+
+  return classTypes;
+}
+
+// Split a class type's comma-separated category list
+function getClassTypeCategories(classType) {
+  return (classType.category || '').split(',').map(category => category.trim()).filter(Boolean);
+}
+
+// Find the ids of class types in a category, under a taxonomy node, at a
+// level and matching a free text search over name and description. Returns
+// null when none of those filters is given, so callers can skip filtering by
+// class type.
+async function findMatchingClassTypeIds(databases, databaseId, classTypesCollectionId, classTypeLoader, filters, activeOnly) {
+  const category = filters.category && filters.category !== 'all' ? filters.category : null;
+  const searchText = (filters.text || '').trim().toLowerCase();
+  if (!category && !filters.level && !searchText && !filters.taxonomyId) {
+    return null;
+  }
+  const taxonomy = filters.taxonomyId ? await filters.taxonomyLoader.load() : null;
+
+  const classTypes = await listClassTypes(databases, databaseId, classTypesCollectionId, [
+    ...(activeOnly ? [Query.equal('isActive', true), Query.isNull('archivedAt')] : []),
+    ...(filters.level ? [Query.equal('level', filters.level)] : [])
+  ]);
+  classTypeLoader.prime(classTypes);
+
+  return classTypes
+    .filter(classType => !category || getClassTypeCategories(classType).includes(category))
+    .filter(classType => !searchText || `${classType.name} ${classType.description || ''}`.toLowerCase().includes(searchText))
+    .filter(classType => !taxonomy || getClassTypeTaxonomyChains(classType, taxonomy).some(chain => chain.includes(filters.taxonomyId)))
+    .map(classType => classType.$id);
+}
+
+// Add the class type fields listings show to a class, and the class type's
+// category paths when the taxonomy is given
+function withClassTypeInfo(classDoc, classType, taxonomy) {
+  return {
+    ...classDoc,
+    classTypeName: classType ? classType.name : 'Unknown Class Type',
+    classTypeCategory: classType ? classType.category : 'general',
+    type: classType?.category || 'general', // For frontend compatibility
+    ...(taxonomy && {
+      taxonomy: (classType?.taxonomyIds || [])
+        .filter(id => taxonomy.has(id))
+        .map(id => ({ id, name: taxonomy.get(id).name, path: taxonomy.get(id).path }))
+    })
+  };
+}
+
+// Count classes per class type. Appwrite has no aggregate or group-by query,
+// so this pages through the classes reading only their classTypeId (and the
+// $id the cursor needs): one call per CLASS_SCAN_PAGE_SIZE classes.
+// test/dbCalls.bench.js shows the call counts.
+async function countClassesByType(databases, databaseId, classesCollectionId) {
+  const counts = new Map();
+  let cursor = null;
+
+  do {
+    const page = await databases.listDocuments(
+      databaseId,
+      classesCollectionId,
+      [
+        Query.select(['$id', 'classTypeId']),
+        Query.limit(CLASS_SCAN_PAGE_SIZE),
+        ...(cursor ? [Query.cursorAfter(cursor)] : [])
+      ]
+    );
+    page.documents.forEach(classDoc => counts.set(classDoc.classTypeId, (counts.get(classDoc.classTypeId) || 0) + 1));
+    cursor = page.documents.length === CLASS_SCAN_PAGE_SIZE ? page.documents[page.documents.length - 1].$id : null;
+  } while (cursor);
+
+  return counts;
+}
+
+// Get the class type name used in emails
+async function getClassTypeName(databases, classTypeId, databaseId, classTypesCollectionId, logError) {
+  try {
+    const classType = await databases.getDocument(
+      databaseId,
+      classTypesCollectionId,
+      classTypeId
+    );
+    return classType.name;
+  } catch (err) {
+    logError(`Error fetching class type for notification: ${err.message}`);
+    return 'Class';
+  }
+}
+
+// Send the class join confirmation emails through the notifications function
+async function sendJoinConfirmation(databases, functions, classDoc, member, currentEnrollment, databaseId, classTypesCollectionId, notificationsFunctionId, log, logError) {
+  const classTypeName = await getClassTypeName(databases, classDoc.classTypeId, databaseId, classTypesCollectionId, logError);
+
+  // Send email notifications
+  try {
+    const emailData = {
+      action: 'sendClassJoinConfirmation',
+      classId: classDoc.$id,
+      userId: member.userId,
+      userName: member.name,
+      userEmail: member.email,
+      userPhone: member.phone,
+      classType: classTypeName,
+      day: classDoc.day,
+      time: classDoc.time,
+      schedule: getClassSchedule(classDoc),
+      currentEnrollment,
+      totalSpots: classDoc.totalSpots || 0
+    };
+
+    log(`Calling notifications function with data: ${JSON.stringify(emailData)}`);
+
+    const emailExecution = await executeFunction(functions, notificationsFunctionId, emailData);
+
+    log(`Email notifications execution status: ${emailExecution.status}`);
+    if (emailExecution.status === 'failed') {
+      logError(`Email notifications failed: ${emailExecution.stderr}`);
+    }
+  } catch (emailError) {
+    logError(`Error sending email notifications: ${emailError.message}`);
+    // Don't fail the calling operation if emails fail
+  }
+}
+
+// Tell a student who was moved to another class what changed, in one email
+async function sendClassChangedNotification(functions, fromClass, toClass, member, classTypeLoader, notificationsFunctionId, log, logError) {
+  try {
+    const classTypes = await classTypeLoader.loadMany([fromClass.classTypeId, toClass.classTypeId]);
+    const describeClass = classDoc => ({
+      classId: classDoc.$id,
+      classType: classTypes.get(classDoc.classTypeId)?.name || 'Unknown Class Type',
+      day: classDoc.day,
+      time: classDoc.time,
+      schedule: getClassSchedule(classDoc)
+    });
+
+    const execution = await executeFunction(functions, notificationsFunctionId, {
+      action: 'classChanged',
+      userId: member.userId,
+      userName: member.name,
+      userEmail: member.email,
+      fromClass: describeClass(fromClass),
+      toClass: describeClass(toClass)
+    });
+    if (execution.status === 'failed') {
+      logError(`Class change email failed: ${execution.stderr}`);
+    }
+  } catch (err) {
+    logError(`Error sending class change email: ${err.message}`);
+    // Don't fail the transfer if the email fails
+  }
+}
+
+// Move people from the front of the waitlist into free spots and notify them
+async function promoteFromWaitlist(databases, functions, classId, databaseId, classesCollectionId, classTypesCollectionId, enrollmentsCollectionId, locksCollectionId, creditLedgerCollectionId, notificationsFunctionId, log, logError) {
+  const promotion = await withClassLock(databases, databaseId, locksCollectionId, classId, log, async () => {
+    const classDoc = await databases.getDocument(databaseId, classesCollectionId, classId);
+
+    const membersCount = await countEnrolled(databases, classId, databaseId, enrollmentsCollectionId);
+    const freeSpots = (classDoc.totalSpots || 0) - await countTakenSeats(databases, classId, databaseId, enrollmentsCollectionId);
+    const waitlist = freeSpots > 0 ? await listWaitlist(databases, classId, databaseId, enrollmentsCollectionId) : [];
+
+    if (freeSpots <= 0 || waitlist.length === 0) {
+      log(`No waitlist promotion for class ${classId}. Free spots: ${freeSpots}, Waitlisted: ${waitlist.length}`);
+      return { classDoc, promoted: [], previousMembersCount: membersCount };
+    }
+
+    // Students who can't pay for the class keep their place in the queue.
+    // Each student is charged and enrolled together, and refunded if the
+    // enrollment can't be saved.
+    const creditCost = await getClassTypeCreditCost(databases, classDoc.classTypeId, databaseId, classTypesCollectionId);
+    const promoted = [];
+    for (const entry of waitlist) {
+      if (promoted.length >= freeSpots) {
+        break;
+      }
+      if (creditCost > 0) {
+        const charge = await withCreditLock(databases, databaseId, locksCollectionId, entry.userId, log, () =>
+          consumeCredits(databases, entry.userId, creditCost, classId, databaseId, creditLedgerCollectionId)
+        );
+        if (charge.error) {
+          log(`Skipping waitlisted user ${entry.userId} for class ${classId}: ${charge.error}`);
+          continue;
+        }
+      }
+
+      try {
+        await databases.updateDocument(
+          databaseId,
+          enrollmentsCollectionId,
+          entry.$id,
+          { status: 'enrolled', joinedAt: new Date().toISOString() }
+        );
+      } catch (err) {
+        logError(`Error promoting waitlisted user ${entry.userId} for class ${classId}: ${err.message}`);
+        if (creditCost > 0) {
+          await withCreditLock(databases, databaseId, locksCollectionId, entry.userId, log, () =>
+            addCreditEntry(databases, { userId: entry.userId, type: 'refund', amount: creditCost, classId, note: 'Promotion failed' }, databaseId, creditLedgerCollectionId)
+          );
+        }
+        continue;
+      }
+      promoted.push(entry);
+    }
+
+    await syncEnrollmentCounts(databases, classDoc, databaseId, classesCollectionId, enrollmentsCollectionId);
+
+    log(`Promoted ${promoted.length} users from the waitlist of class ${classId}`);
+    return { classDoc, promoted, previousMembersCount: membersCount };
+  });
+
+  // Emails go out after the lock is released so slow deliveries don't block enrollment
+  for (const [index, entry] of promotion.promoted.entries()) {
+    await sendJoinConfirmation(
+      databases,
+      functions,
+      promotion.classDoc,
+      entry,
+      promotion.previousMembersCount + index + 1,
+      databaseId,
+      classTypesCollectionId,
+      notificationsFunctionId,
+      log,
+      logError
+    );
+  }
+
+  return promotion.promoted;
+}
+
+// Tell every enrolled student about a change to their class. Returns who was
+// notified and whose delivery failed, for the admin who made the change.
+async function notifyEnrolledMembers(databases, functions, classDoc, notificationAction, details, databaseId, classTypesCollectionId, enrollmentsCollectionId, notificationsFunctionId, log, logError) {
+  const enrolled = await databases.listDocuments(
+    databaseId,
+    enrollmentsCollectionId,
+    [
+      Query.equal('classId', classDoc.$id),
+      Query.equal('status', 'enrolled'),
+      Query.limit(100)
+    ]
+  );
+
+  const recipients = enrolled.documents.map(enrollment => ({
+    userId: enrollment.userId,
+    name: enrollment.name,
+    email: enrollment.email
+  }));
+
+  if (recipients.length === 0) {
+    log(`No enrolled students to notify for class ${classDoc.$id}`);
+    return { notified: [], failed: [] };
+  }
+
+  try {
+    const notificationData = {
+      action: notificationAction,
+      classId: classDoc.$id,
+      classType: await getClassTypeName(databases, classDoc.classTypeId, databaseId, classTypesCollectionId, logError),
+      day: classDoc.day,
+      time: classDoc.time,
+      schedule: getClassSchedule(classDoc),
+      recipients,
+      ...details
+    };
+
+    log(`Calling notifications function with data: ${JSON.stringify(notificationData)}`);
+    const execution = await executeFunction(functions, notificationsFunctionId, notificationData);
+    log(`Notifications execution status: ${execution.status}`);
+
+    const response = JSON.parse(execution.responseBody || '{}');
+    if (!response.success) {
+      throw new Error(response.message || `Notifications execution ${execution.status}`);
+    }
+
+    const results = response.results || [];
+    return {
+      notified: results.filter(result => result.status === 'success').map(result => result.userId),
+      failed: results
+        .filter(result => result.status !== 'success')
+        .map(result => ({ userId: result.userId, error: result.error }))
+    };
+  } catch (err) {
+    logError(`Error notifying members of class ${classDoc.$id}: ${err.message}`);
+    return {
+      notified: [],
+      failed: recipients.map(recipient => ({ userId: recipient.userId, error: err.message }))
+    };
+  }
+}
+
+// Cancel a class, give its enrolled students back what they paid for it and
+// tell them why. The refunds and the status change happen under the class
+// lock, so nobody joins and pays in between.
+async function cancelClassAndNotify(databases, functions, classId, reason, databaseId, classesCollectionId, classTypesCollectionId, enrollmentsCollectionId, locksCollectionId, creditLedgerCollectionId, notificationsFunctionId, log, logError) {
+  const { cancelledClass, creditRefunds } = await withClassLock(databases, databaseId, locksCollectionId, classId, log, async () => {
+    const refunds = await refundEnrolledMembers(databases, classId, databaseId, enrollmentsCollectionId, locksCollectionId, creditLedgerCollectionId, log);
+    const classDoc = await databases.updateDocument(
+      databaseId,
+      classesCollectionId,
+      classId,
+      {
+        status: 'cancelled',
+        cancelledAt: new Date().toISOString(),
+        cancelReason: reason || 'No reason provided'
+      }
+    );
+    return { cancelledClass: classDoc, creditRefunds: refunds };
+  });
+
+  const notificationSummary = await notifyEnrolledMembers(
+    databases,
+    functions,
+    cancelledClass,
+    'classCancelled',
+    { cancelReason: cancelledClass.cancelReason },
+    databaseId,
+    classTypesCollectionId,
+    enrollmentsCollectionId,
+    notificationsFunctionId,
+    log,
+    logError
+  );
+
+  return { cancelledClass, notificationSummary, creditRefunds };
+}
+
+// Run an enrollment change while holding the lock document for a class.
+// The lock is a document whose ID is the class ID, so creating it fails with
+// a 409 while someone else holds it. The holder pushes expiresAt forward
+// every CLASS_LOCK_RENEW_MS while its callback runs, so only locks left behind
+// by a crashed execution expire after CLASS_LOCK_TTL_MS and are taken over.
+// A holder stalled for longer than the TTL (the runtime frozen, not just a
+// slow callback) can still lose its lock; that is the limit of this scheme.
+// availabilityManagement carries a copy for its matching lock; change both
+// together.
+const CLASS_LOCK_TTL_MS = 30000;
+const CLASS_LOCK_RENEW_MS = 10000;
+const CLASS_LOCK_MAX_ATTEMPTS = 50;
+const CLASS_LOCK_RETRY_DELAY_MS = 100;
+
+async function withClassLock(databases, databaseId, locksCollectionId, classId, log, callback) {
+  const lockToken = ID.unique();
+  let acquired = false;
+
+  for (let attempt = 1; attempt <= CLASS_LOCK_MAX_ATTEMPTS && !acquired; attempt++) {
+    try {
+      await databases.createDocument(
+        databaseId,
+        locksCollectionId,
+        classId,
+        {
+          token: lockToken,
+          expiresAt: new Date(Date.now() + CLASS_LOCK_TTL_MS).toISOString()
+        }
+      );
+      acquired = true;
+    } catch (err) {
+      if (err.code !== 409) {
+        throw err;
+      }
+
+      await releaseStaleClassLock(databases, databaseId, locksCollectionId, classId, log);
+      await new Promise(resolve => setTimeout(resolve, CLASS_LOCK_RETRY_DELAY_MS * Math.min(attempt, 10)));
+    }
+  }
+
+  if (!acquired) {
+    throw new Error(`Class ${classId} is busy, please try again.`);
+  }
+
+  const renewal = setInterval(() => {
+    renewClassLock(databases, databaseId, locksCollectionId, classId, lockToken)
+      .catch(err => log(`Could not renew lock for class ${classId}: ${err.message}`));
+  }, CLASS_LOCK_RENEW_MS);
+
+  try {
+    return await callback();
+  } finally {
+    clearInterval(renewal);
+    // Our lock is renewed until now, so nobody can have taken it over
+    // between this read and the delete
+    try {
+      const lock = await databases.getDocument(databaseId, locksCollectionId, classId);
+      if (lock.token === lockToken) {
+        await databases.deleteDocument(databaseId, locksCollectionId, classId);
+      }
+    } catch (err) {
+      log(`Could not release lock for class ${classId}: ${err.message}`);
+    }
+  }
+}
+
+// Push a held lock's expiry forward, unless it is no longer ours
+async function renewClassLock(databases, databaseId, locksCollectionId, classId, lockToken) {
+  const lock = await databases.getDocument(databaseId, locksCollectionId, classId);
+  if (lock.token === lockToken) {
+    await databases.updateDocument(databaseId, locksCollectionId, classId, {
+      expiresAt: new Date(Date.now() + CLASS_LOCK_TTL_MS).toISOString()
+    });
+  }
+}
+
+// Delete a class lock whose holder never released it. Several waiters can see
+// the same stale lock, so each first claims it with a document keyed by the
+// stale lock's token: only one claim succeeds, and the winner deletes the lock
+// only if it still carries that token. A fresh lock taken in the meantime has
+// a new token and is left alone.
+async function releaseStaleClassLock(databases, databaseId, locksCollectionId, classId, log) {
+  let staleLock;
+  try {
+    staleLock = await databases.getDocument(databaseId, locksCollectionId, classId);
+  } catch (err) {
+    // The holder released the lock in the meantime
+    if (err.code === 404) return;
+    throw err;
+  }
+  if (new Date(staleLock.expiresAt).getTime() >= Date.now()) {
+    return;
+  }
+
+  const claimId = `stale-${staleLock.token}`;
+  try {
+    await databases.createDocument(databaseId, locksCollectionId, claimId, {
+      token: staleLock.token,
+      expiresAt: staleLock.expiresAt
+    });
+  } catch (err) {
+    // Another waiter is taking this lock over
+    if (err.code === 409) return;
+    throw err;
+  }
+
+  try {
+    const lock = await databases.getDocument(databaseId, locksCollectionId, classId);
+    if (lock.token === staleLock.token) {
+      log(`Releasing stale lock for class ${classId} held since ${lock.$createdAt}`);
+      await databases.deleteDocument(databaseId, locksCollectionId, classId);
+    }
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  } finally {
+    await databases.deleteDocument(databaseId, locksCollectionId, claimId).catch(() => {});
+  }
+}
+
+// Call another of our functions with the shared internal token so it trusts the call
+async function executeFunction(functions, functionId, payload) {
+  return functions.createExecution(
+    functionId,
+    JSON.stringify(payload),
+    false,
+    '/',
+    'POST',
+    {
+      'content-type': 'application/json',
+      'x-internal-token': process.env.INTERNAL_FUNCTION_TOKEN || ''
+    }
+  );
+}
+
+// --- Class schedule helpers ---
+// A class meets weekly on `day` at `time` between termStartDate and
+// termEndDate (YYYY-MM-DD), except on skipDates. Dates are calendar dates and
+// times are wall-clock times in the class's IANA timeZone, so date arithmetic
+// is done in UTC and only converted to real instants at the end.
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_SESSION_MINUTES = 60;
+const DEFAULT_SESSION_LIMIT = 12;
+const MAX_SESSIONS = 520;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Hong_Kong';
+
+// Check that a string is an IANA time zone the runtime knows
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+// The time zone a class's day and time are given in
+function getClassTimeZone(classDoc) {
+  return classDoc.timeZone || DEFAULT_TIME_ZONE;
+}
+
+// Format an instant as its calendar date in a time zone, "YYYY-MM-DD"
+function formatDateInZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// Today's date where the class takes place
+function getClassToday(classDoc) {
+  return formatDateInZone(new Date(), getClassTimeZone(classDoc));
+}
+
+// Minutes the time zone is ahead of UTC at the given instant
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+// Convert a wall-clock date and time in a time zone into a UTC instant
+function zonedTimeToUtc(dateStr, minutesAfterMidnight, timeZone) {
+  const wallClock = new Date(`${dateStr}T00:00:00Z`).getTime() + minutesAfterMidnight * 60000;
+  // Apply the offset twice so instants next to a DST change land correctly
+  const firstGuess = wallClock - getTimeZoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  return new Date(wallClock - getTimeZoneOffsetMinutes(new Date(firstGuess), timeZone) * 60000);
+}
+
+// Parse "7:00 PM" or "19:00" into minutes after midnight
+function parseTimeOfDay(timeStr) {
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec((timeStr || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = match[3]?.toUpperCase();
+
+  if (period === 'PM' && hours !== 12) hours += 12;
+  if (period === 'AM' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+// Format minutes after midnight as "HH:mm"
+function formatTimeOfDay(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60) % 24;
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Format a Date as its UTC calendar date, "YYYY-MM-DD"
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Parse "YYYY-MM-DD" into a Date at UTC midnight
+function parseDate(dateStr) {
+  if (!DATE_PATTERN.test(dateStr || '')) {
+    return null;
+  }
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Check a session duration in minutes. Leaving it out is fine.
+function validateSessionDuration(sessionDuration) {
+  if (sessionDuration !== undefined && sessionDuration !== null &&
+      (!Number.isInteger(sessionDuration) || sessionDuration <= 0)) {
+    return 'sessionDuration must be a positive number of minutes';
+  }
+  return null;
+}
+
+// Check the schedule fields of a class, returning an error message or null
+function validateClassSchedule(classData) {
+  const { termStartDate, termEndDate, sessionDuration, skipDates } = classData;
+
+  if (termStartDate && !parseDate(termStartDate)) {
+    return 'termStartDate must be a date in YYYY-MM-DD format';
+  }
+  if (termEndDate && !parseDate(termEndDate)) {
+    return 'termEndDate must be a date in YYYY-MM-DD format';
+  }
+  if (termStartDate && termEndDate && termEndDate < termStartDate) {
+    return 'termEndDate must not be before termStartDate';
+  }
+  if (validateSessionDuration(sessionDuration)) {
+    return validateSessionDuration(sessionDuration);
+  }
+  if (skipDates !== undefined && skipDates !== null &&
+      (!Array.isArray(skipDates) || skipDates.some(date => !parseDate(date)))) {
+    return 'skipDates must be a list of dates in YYYY-MM-DD format';
+  }
+  if (classData.day && !DAY_NAMES.includes(classData.day)) {
+    return `day must be one of ${DAY_NAMES.join(', ')}`;
+  }
+  if (classData.time && parseTimeOfDay(classData.time) === null) {
+    return 'time must look like "7:00 PM" or "19:00"';
+  }
+  if (classData.timeZone && !isValidTimeZone(classData.timeZone)) {
+    return 'timeZone must be an IANA time zone such as "Asia/Hong_Kong"';
+  }
+
+  return null;
+}
+
+// Check a class's minMembers and confirmationDeadline, returning an error
+// message or null. A deadline given as a date means the end of that day in
+// the class's time zone.
+function validateEnrollmentThreshold(classData) {
+  const { minMembers, confirmationDeadline } = classData;
+  if (minMembers === undefined || minMembers === null || minMembers === 0) {
+    return null;
+  }
+  if (!Number.isInteger(minMembers) || minMembers < 0) {
+    return 'minMembers must be a whole number, 0 or more';
+  }
+  if (classData.totalSpots && minMembers > classData.totalSpots) {
+    return 'minMembers cannot be more than totalSpots';
+  }
+  if (!confirmationDeadline) {
+    return 'A class with minMembers needs a confirmationDeadline';
+  }
+  if (!parseConfirmationDeadline(confirmationDeadline, getClassTimeZone(classData))) {
+    return 'confirmationDeadline must be a date (YYYY-MM-DD) or a date and time';
+  }
+  return null;
+}
+
+// Turn a confirmation deadline into an instant
+function parseConfirmationDeadline(deadline, timeZone) {
+  if (parseDate(deadline)) {
+    return zonedTimeToUtc(deadline, 24 * 60 - 1, timeZone);
+  }
+  const instant = new Date(deadline);
+  return isNaN(instant.getTime()) ? null : instant;
+}
+
+// The minimum size fields stored on a class. Classes without a minimum need
+// no confirmation.
+function getEnrollmentThresholdFields(classData) {
+  if (!classData.minMembers) {
+    return { minMembers: 0, confirmationDeadline: null, confirmationStatus: null };
+  }
+  return {
+    minMembers: classData.minMembers,
+    confirmationDeadline: parseConfirmationDeadline(classData.confirmationDeadline, getClassTimeZone(classData)).toISOString(),
+    confirmationStatus: 'pending'
+  };
+}
+
+// A class runs for its own sessionDuration if it has one, otherwise for its
+// class type's. The effective length is stored on the class as
+// sessionDuration so schedules and conflict checks need no class type lookup.
+function getSessionDurationFields(customSessionDuration, classType) {
+  return {
+    sessionDuration: customSessionDuration || classType?.sessionDuration || DEFAULT_SESSION_MINUTES,
+    customSessionDuration: customSessionDuration || null
+  };
+}
+
+// Round minutes to hours with one decimal place, for stats
+function minutesToHours(minutes) {
+  return Math.round(minutes / 6) / 10;
+}
+
+// The schedule fields the notifications function needs for calendar entries
+function getClassSchedule(classDoc) {
+  return {
+    termStartDate: classDoc.termStartDate || null,
+    termEndDate: classDoc.termEndDate || null,
+    sessionDuration: classDoc.sessionDuration || DEFAULT_SESSION_MINUTES,
+    skipDates: classDoc.skipDates || [],
+    timeZone: getClassTimeZone(classDoc)
+  };
+}
+
+// Find the session a class holds on a date, or null if it doesn't meet then.
+// Open-ended classes are expanded from the date itself so past sessions count.
+function findClassSession(classDoc, dateStr) {
+  if (!parseDate(dateStr)) {
+    return null;
+  }
+  const [session] = expandClassSessions(
+    { ...classDoc, termStartDate: classDoc.termStartDate || dateStr },
+    { fromDate: dateStr, maxSessions: 1 }
+  );
+  return session && session.date === dateStr ? session : null;
+}
+
+// Expand a class into its dated sessions. Classes without a term end date
+// are open-ended, so only the next maxSessions sessions are returned.
+function expandClassSessions(classDoc, options = {}) {
+  const weekday = DAY_NAMES.indexOf(classDoc.day);
+  const startMinutes = parseTimeOfDay(classDoc.time);
+  if (weekday === -1 || startMinutes === null) {
+    return [];
+  }
+
+  const duration = classDoc.sessionDuration || DEFAULT_SESSION_MINUTES;
+  const timeZone = getClassTimeZone(classDoc);
+  const skipDates = new Set(classDoc.skipDates || []);
+  const termStart = parseDate(classDoc.termStartDate);
+  const termEnd = parseDate(classDoc.termEndDate);
+  const fromDate = parseDate(options.fromDate);
+  const maxSessions = termEnd && !options.maxSessions ? MAX_SESSIONS : Math.min(options.maxSessions || DEFAULT_SESSION_LIMIT, MAX_SESSIONS);
+
+  // Start from the later of the term start and the requested date, or today
+  let cursor = termStart || parseDate(getClassToday(classDoc));
+  if (fromDate && fromDate > cursor) {
+    cursor = fromDate;
+  }
+  cursor = new Date(cursor);
+  cursor.setUTCDate(cursor.getUTCDate() + ((weekday - cursor.getUTCDay() + 7) % 7));
+
+  const sessions = [];
+  while ((!termEnd || cursor <= termEnd) && sessions.length < maxSessions) {
+    const date = formatDate(cursor);
+    const skipped = skipDates.has(date);
+
+    if (!skipped || options.includeSkipped) {
+      const startTime = formatTimeOfDay(startMinutes);
+      const endTime = formatTimeOfDay(startMinutes + duration);
+      sessions.push({
+        date,
+        day: classDoc.day,
+        startTime,
+        endTime,
+        duration,
+        startsAt: `${date}T${startTime}`,
+        timeZone,
+        startsAtUtc: zonedTimeToUtc(date, startMinutes, timeZone).toISOString(),
+        endsAtUtc: zonedTimeToUtc(date, startMinutes + duration, timeZone).toISOString(),
+        ...(options.includeSkipped && { skipped })
+      });
+    }
+
+    cursor.setUTCDate(cursor.getUTCDate() + 7);
+  }
+
+  return sessions;
+}
@@ -0,0 +1,59 @@
+// bookSlot: the one-trial rule under parallel bookings, and credits when the
+// booking can't be saved
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, documents, seed, users, setBeforeCall, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+function seedSlot(id, kind, tutorId, time) {
+  seed('bookable_slots', {
+    $id: id,
+    kind,
+    tutorId,
+    classTypeId: 'conversation',
+    date: '2026-12-07',
+    time,
+    timeZone: 'Asia/Hong_Kong',
+    sessionDuration: 60,
+    status: 'open'
+  });
+}
+
+beforeEach(() => {
+  reset();
+  users.set('student-1', { name: 'Student 1', email: 'student1@example.com' });
+  seed('class_types', { $id: 'conversation', name: 'Conversation', isActive: true, archivedAt: null, creditCost: 2 });
+  seed('credit_ledger', { $id: 'grant-1', userId: 'student-1', type: 'grant', amount: 5, classId: null, note: '', createdAt: '2026-01-01T00:00:00.000Z' });
+});
+
+const book = slotId => invoke(handler, { action: 'bookSlot', slotId }, 'student-1');
+const balance = () => documents('credit_ledger').reduce((total, entry) => total + entry.amount, 0);
+
+test('two trial slots booked at once give the student one trial', async () => {
+  seedSlot('trial-1', 'trial', 'tutor-1', '10:00');
+  seedSlot('trial-2', 'trial', 'tutor-2', '15:00');
+
+  const results = await Promise.all([book('trial-1'), book('trial-2')]);
+
+  assert.equal(results.filter(result => result.success).length, 1);
+  assert.equal(results.find(result => !result.success).reason, 'trialUsed');
+  assert.equal(documents('bookable_slots').filter(slot => slot.status === 'booked').length, 1);
+  assert.equal(documents('class_locks').length, 0);
+});
+
+test('credits come back when the booking can not be saved', async () => {
+  seedSlot('private-1', 'private', 'tutor-1', '10:00');
+  setBeforeCall(async (method, collectionId) => {
+    if (method === 'createDocument' && collectionId === 'enrollments') {
+      throw new Error('Server error');
+    }
+  });
+
+  const result = await book('private-1');
+
+  assert.equal(result.success, false);
+  assert.equal(balance(), 5);
+  assert.equal(documents('classes').length, 0);
+  assert.equal(documents('bookable_slots')[0].status, 'open');
+  assert.equal(documents('class_locks').length, 0);
+});
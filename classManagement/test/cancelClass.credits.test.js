@@ -0,0 +1,51 @@
+// Cancelling a paid class gives its enrolled students their credits back
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, documents, seed, users, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+const STUDENTS = ['student-1', 'student-2'];
+
+beforeEach(() => {
+  reset();
+  users.set('admin-1', { name: 'Admin', email: 'admin@example.com', labels: ['admin'] });
+  seed('class_types', { $id: 'conversation', name: 'Conversation', isActive: true, archivedAt: null, creditCost: 2 });
+  seed('classes', {
+    $id: 'class-1',
+    classTypeId: 'conversation',
+    day: 'Monday',
+    time: '19:00',
+    timeZone: 'Asia/Hong_Kong',
+    totalSpots: 4,
+    enrolledCount: 0,
+    spotsLeft: 4,
+    status: 'active',
+    archivedAt: null
+  });
+  for (const [index, userId] of STUDENTS.entries()) {
+    users.set(userId, { name: `Student ${index + 1}`, email: `student${index + 1}@example.com` });
+    seed('credit_ledger', { $id: `grant-${index + 1}`, userId, type: 'grant', amount: 5, classId: null, note: '', createdAt: '2026-01-01T00:00:00.000Z' });
+  }
+});
+
+const balance = userId => documents('credit_ledger')
+  .filter(entry => entry.userId === userId)
+  .reduce((total, entry) => total + entry.amount, 0);
+
+test('cancelling a paid class refunds every enrolled student', async () => {
+  for (const userId of STUDENTS) {
+    const joined = await invoke(handler, { action: 'joinClass', classId: 'class-1', name: users.get(userId).name }, userId);
+    assert.equal(joined.success, true);
+    assert.equal(balance(userId), 3);
+  }
+
+  const result = await invoke(handler, { action: 'cancelClass', classId: 'class-1', reason: 'Tutor unavailable' }, 'admin-1');
+
+  assert.equal(result.success, true);
+  assert.equal(result.class.status, 'cancelled');
+  assert.deepEqual(result.creditRefunds.map(refund => refund.creditsRefunded), [2, 2]);
+  for (const userId of STUDENTS) {
+    assert.equal(balance(userId), 5);
+  }
+  assert.equal(documents('class_locks').length, 0);
+});
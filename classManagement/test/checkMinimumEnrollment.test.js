@@ -0,0 +1,62 @@
+// The scheduled minimum enrollment check cancels classes that fell short of
+// their threshold through the same path as cancelClass, refunds included
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, documents, seed, users, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+function seedPendingClass(id, confirmationDeadline) {
+  seed('classes', {
+    $id: id,
+    classTypeId: 'conversation',
+    day: 'Monday',
+    time: '19:00',
+    timeZone: 'Asia/Hong_Kong',
+    totalSpots: 6,
+    enrolledCount: 0,
+    spotsLeft: 6,
+    status: 'active',
+    archivedAt: null,
+    minMembers: 3,
+    confirmationStatus: 'pending',
+    confirmationDeadline
+  });
+}
+
+beforeEach(() => {
+  reset();
+  users.set('student-1', { name: 'Student 1', email: 'student1@example.com' });
+  seed('class_types', { $id: 'conversation', name: 'Conversation', isActive: true, archivedAt: null, creditCost: 2 });
+  seed('credit_ledger', { $id: 'grant-1', userId: 'student-1', type: 'grant', amount: 5, classId: null, note: '', createdAt: '2026-01-01T00:00:00.000Z' });
+});
+
+const balance = () => documents('credit_ledger').reduce((total, entry) => total + entry.amount, 0);
+
+test('a class short of its minimum refunds its students when it is cancelled', async () => {
+  seedPendingClass('class-1', '2026-01-01T00:00:00.000Z');
+  const joined = await invoke(handler, { action: 'joinClass', classId: 'class-1', name: 'Student 1' }, 'student-1');
+  assert.equal(joined.success, true);
+  assert.equal(balance(), 3);
+
+  const result = await invoke(handler, { action: 'checkMinimumEnrollment' }, 'internal');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.cancelled.map(cancellation => cancellation.classId), ['class-1']);
+  assert.deepEqual(result.cancelled[0].creditRefunds, [{ userId: 'student-1', creditsRefunded: 2 }]);
+  const [classDoc] = documents('classes');
+  assert.equal(classDoc.status, 'cancelled');
+  assert.equal(classDoc.confirmationStatus, 'notMet');
+  assert.equal(balance(), 5);
+});
+
+test('a class still before its confirmation deadline keeps its students charged', async () => {
+  seedPendingClass('class-1', new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString());
+  await invoke(handler, { action: 'joinClass', classId: 'class-1', name: 'Student 1' }, 'student-1');
+
+  const result = await invoke(handler, { action: 'checkMinimumEnrollment' }, 'internal');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.cancelled, []);
+  assert.equal(documents('classes')[0].status, 'active');
+  assert.equal(balance(), 3);
+});
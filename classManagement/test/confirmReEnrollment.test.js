@@ -0,0 +1,59 @@
+// confirmReEnrollment on a paid class: a failed confirmation must not cost
+// the student their credits
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, documents, seed, users, setBeforeCall, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+beforeEach(() => {
+  reset();
+  users.set('student-1', { name: 'Student 1', email: 'student1@example.com' });
+  seed('class_types', { $id: 'conversation', name: 'Conversation', isActive: true, archivedAt: null, creditCost: 2 });
+  seed('classes', {
+    $id: 'class-2',
+    classTypeId: 'conversation',
+    day: 'Monday',
+    time: '19:00',
+    timeZone: 'Asia/Hong_Kong',
+    totalSpots: 4,
+    enrolledCount: 0,
+    spotsLeft: 3,
+    status: 'active',
+    archivedAt: null
+  });
+  seed('enrollments', {
+    $id: 'held-1',
+    classId: 'class-2',
+    userId: 'student-1',
+    name: 'Student 1',
+    status: 'pendingReEnrollment',
+    reEnrollDeadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+  });
+  seed('credit_ledger', { $id: 'grant-1', userId: 'student-1', type: 'grant', amount: 5, classId: null, note: '', createdAt: '2026-01-01T00:00:00.000Z' });
+});
+
+const confirm = () => invoke(handler, { action: 'confirmReEnrollment', classId: 'class-2' }, 'student-1');
+const balance = () => documents('credit_ledger').reduce((total, entry) => total + entry.amount, 0);
+
+test('confirming a held place takes its credits', async () => {
+  const result = await confirm();
+
+  assert.equal(result.success, true);
+  assert.equal(documents('enrollments')[0].status, 'enrolled');
+  assert.equal(balance(), 3);
+});
+
+test('credits come back when the confirmation can not be saved', async () => {
+  setBeforeCall(async (method, collectionId) => {
+    if (method === 'updateDocument' && collectionId === 'enrollments') {
+      throw new Error('Server error');
+    }
+  });
+
+  const result = await confirm();
+
+  assert.equal(result.success, false);
+  assert.equal(documents('enrollments')[0].status, 'pendingReEnrollment');
+  assert.equal(balance(), 5);
+  assert.equal(documents('class_locks').length, 0);
+});
@@ -0,0 +1,87 @@
+// Count the database calls the class listing actions make against the
+// in-memory Databases, for a small and a large catalogue. Run with
+// `npm run bench`.
+//
+// Each listing makes one call for the classes (or the class), one batched
+// call for their class types and one for the taxonomy, however big the
+// catalogue is. getAllClassTypes is the exception: Appwrite has no aggregate
+// or group-by query, so usage counts come from one listDocuments call per
+// 1000 classes that selects only the class type id. Measured with this
+// script:
+//
+//   action                20 types / 200 classes   100 types / 4500 classes
+//   getAvailableClasses   3                        3
+//   getAllClasses         3                        3
+//   getClassDetails       3                        3
+//   getAllClassTypes      2                        6
+const { invoke, seed, users, calls, reset, resetCalls } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+const CATALOGUES = [
+  { classTypes: 20, classes: 200 },
+  { classTypes: 100, classes: 4500 }
+];
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const ACTIONS = [
+  ['getAvailableClasses', { action: 'getAvailableClasses', limit: 100 }],
+  ['getAllClasses', { action: 'getAllClasses' }],
+  ['getClassDetails', { action: 'getClassDetails', classId: 'class-1' }],
+  ['getAllClassTypes', { action: 'getAllClassTypes' }]
+];
+
+function seedCatalogue({ classTypes, classes }) {
+  reset();
+  users.set('admin-1', { name: 'Admin', email: 'admin@example.com', labels: ['admin'] });
+  for (let i = 1; i <= classTypes; i++) {
+    seed('class_types', { $id: `type-${i}`, name: `Class type ${i}`, category: 'general', isActive: true, archivedAt: null });
+  }
+  for (let i = 1; i <= classes; i++) {
+    seed('classes', {
+      $id: `class-${i}`,
+      classTypeId: `type-${(i % classTypes) + 1}`,
+      day: DAYS[i % DAYS.length],
+      time: '19:00',
+      startMinutes: 19 * 60,
+      timeZone: 'Asia/Hong_Kong',
+      totalSpots: 8,
+      enrolledCount: 0,
+      spotsLeft: 8,
+      status: 'active',
+      archivedAt: null,
+      bookingKind: null
+    });
+  }
+}
+
+// Database calls only; the users.get made to identify the caller is left out
+const databaseCalls = () => Object.entries(calls)
+  .filter(([method]) => !method.includes('.'))
+  .reduce((total, [, count]) => total + count, 0);
+
+async function main() {
+  const rows = ACTIONS.map(([name]) => [name]);
+
+  for (const catalogue of CATALOGUES) {
+    seedCatalogue(catalogue);
+    for (const [index, [name, body]] of ACTIONS.entries()) {
+      resetCalls();
+      const result = await invoke(handler, body, 'admin-1');
+      if (!result.success) {
+        throw new Error(`${name} failed: ${result.message}`);
+      }
+      rows[index].push(databaseCalls());
+    }
+  }
+
+  const header = ['action', ...CATALOGUES.map(({ classTypes, classes }) => `${classTypes} types / ${classes} classes`)];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, column) => String(cell).padEnd(widths[column])).join('   ').trimEnd());
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
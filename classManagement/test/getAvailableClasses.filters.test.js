@@ -0,0 +1,126 @@
+// getAvailableClasses filter validation
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, seed, users, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+beforeEach(() => {
+  reset();
+  seed('class_types', { $id: 'conversation', name: 'Conversation', isActive: true, archivedAt: null });
+  for (const [id, spotsLeft] of [['class-1', 0], ['class-2', 3]]) {
+    seed('classes', {
+      $id: id,
+      classTypeId: 'conversation',
+      day: 'Monday',
+      time: '19:00',
+      startMinutes: 19 * 60,
+      timeZone: 'Asia/Hong_Kong',
+      totalSpots: 3,
+      enrolledCount: 3 - spotsLeft,
+      spotsLeft,
+      status: 'active',
+      archivedAt: null,
+      bookingKind: null
+    });
+  }
+});
+
+const list = filters => invoke(handler, { action: 'getAvailableClasses', ...filters }, null);
+
+test('minSpotsLeft keeps classes with at least that many spots', async () => {
+  for (const minSpotsLeft of [1, '1']) {
+    const result = await list({ minSpotsLeft });
+    assert.equal(result.statusCode, 200);
+    assert.deepEqual(result.classes.map(classDoc => classDoc.$id), ['class-2']);
+  }
+});
+
+test('minSpotsLeft that is not a whole number, 0 or more, is refused', async () => {
+  for (const minSpotsLeft of ['abc', '', -1, 1.5, null, true]) {
+    const result = await list({ minSpotsLeft });
+    assert.equal(result.statusCode, 400, `minSpotsLeft ${JSON.stringify(minSpotsLeft)}`);
+    assert.equal(result.message, 'minSpotsLeft must be a whole number, 0 or more');
+  }
+});
+
+test('search looks through every class type, not just the first page', async () => {
+  for (let i = 1; i <= 150; i++) {
+    seed('class_types', { $id: `type-${i}`, name: `Class type ${i}`, isActive: true, archivedAt: null });
+  }
+  seed('class_types', { $id: 'business', name: 'Business English', isActive: true, archivedAt: null });
+  seed('classes', {
+    $id: 'class-3',
+    classTypeId: 'business',
+    day: 'Tuesday',
+    time: '19:00',
+    startMinutes: 19 * 60,
+    timeZone: 'Asia/Hong_Kong',
+    totalSpots: 3,
+    enrolledCount: 0,
+    spotsLeft: 3,
+    status: 'active',
+    archivedAt: null,
+    bookingKind: null
+  });
+
+  const result = await list({ search: 'business' });
+
+  assert.equal(result.statusCode, 200);
+  assert.deepEqual(result.classes.map(classDoc => classDoc.$id), ['class-3']);
+  assert.equal(result.total, 1);
+});
+
+test('a filter matching more than 100 class types still finds their classes', async () => {
+  for (let i = 1; i <= 150; i++) {
+    seed('class_types', { $id: `type-${i}`, name: `Evening class ${i}`, isActive: true, archivedAt: null });
+  }
+  seed('classes', {
+    $id: 'class-3',
+    classTypeId: 'type-140',
+    day: 'Tuesday',
+    time: '19:00',
+    startMinutes: 19 * 60,
+    timeZone: 'Asia/Hong_Kong',
+    totalSpots: 3,
+    enrolledCount: 0,
+    spotsLeft: 3,
+    status: 'active',
+    archivedAt: null,
+    bookingKind: null
+  });
+
+  const result = await list({ search: 'evening' });
+
+  assert.equal(result.statusCode, 200);
+  assert.deepEqual(result.classes.map(classDoc => classDoc.$id), ['class-3']);
+});
+
+test('eligibleOnly checks every active class type, not just the first page', async () => {
+  users.set('student-1', { name: 'Student 1', email: 'student1@example.com' });
+  for (let i = 1; i <= 150; i++) {
+    seed('class_types', { $id: `type-${i}`, name: `Class type ${i}`, isActive: true, archivedAt: null });
+  }
+  seed('class_types', { $id: 'advanced', name: 'Advanced', isActive: true, archivedAt: null, requiredLevel: 'advanced' });
+  for (const [id, classTypeId] of [['class-3', 'type-140'], ['class-4', 'advanced']]) {
+    seed('classes', {
+      $id: id,
+      classTypeId,
+      day: 'Tuesday',
+      dayOfWeek: 2,
+      time: '19:00',
+      startMinutes: 19 * 60,
+      timeZone: 'Asia/Hong_Kong',
+      totalSpots: 3,
+      enrolledCount: 0,
+      spotsLeft: 3,
+      status: 'active',
+      archivedAt: null,
+      bookingKind: null
+    });
+  }
+
+  const result = await invoke(handler, { action: 'getAvailableClasses', eligibleOnly: true, days: ['Tuesday'] }, 'student-1');
+
+  assert.equal(result.statusCode, 200);
+  assert.deepEqual(result.classes.map(classDoc => classDoc.$id), ['class-3']);
+});
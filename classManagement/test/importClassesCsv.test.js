@@ -0,0 +1,28 @@
+// importClassesCsv finds existing class types however many there are
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, seed, users, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+beforeEach(() => {
+  reset();
+  users.set('admin-1', { name: 'Admin', email: 'admin@example.com', labels: ['admin'] });
+  for (let i = 1; i <= 120; i++) {
+    seed('class_types', { $id: `type-${i}`, name: `Class type ${i}`, isActive: true, archivedAt: null });
+  }
+});
+
+test('rows can use class types past the first 100, by id or by name', async () => {
+  const csv = [
+    'type,classTypeId,classTypeName,day,time,totalSpots',
+    'class,type-115,,Monday,19:00,6',
+    'class,,Class type 118,Tuesday,19:00,6'
+  ].join('\n');
+
+  const result = await invoke(handler, { action: 'importClassesCsv', csv, dryRun: true }, 'admin-1');
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.success, true);
+  assert.equal(result.classTypesToCreate, 0);
+  assert.equal(result.classesToCreate, 2);
+});
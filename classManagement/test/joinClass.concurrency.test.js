@@ -0,0 +1,121 @@
+// Parallel joinClass and leaveClass calls against the in-memory Databases:
+// the class lock must keep capacity and enrollment counts right.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, documents, seed, users, setBeforeCall, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+const STUDENTS = 8;
+
+function seedClass(totalSpots) {
+  seed('class_types', { $id: 'conversation', name: 'Conversation', isActive: true, archivedAt: null });
+  return seed('classes', {
+    $id: 'class-1',
+    classTypeId: 'conversation',
+    day: 'Monday',
+    time: '19:00',
+    timeZone: 'Asia/Hong_Kong',
+    totalSpots,
+    enrolledCount: 0,
+    spotsLeft: totalSpots,
+    status: 'active',
+    archivedAt: null
+  });
+}
+
+const join = studentId => invoke(handler, { action: 'joinClass', classId: 'class-1', name: studentId }, studentId);
+const enrollmentsWithStatus = status => documents('enrollments').filter(enrollment => enrollment.status === status);
+
+beforeEach(() => {
+  reset();
+  for (let i = 1; i <= STUDENTS; i++) {
+    users.set(`student-${i}`, { name: `Student ${i}`, email: `student${i}@example.com` });
+  }
+});
+
+test('parallel joins never take more spots than the class has', async () => {
+  seedClass(2);
+  const studentIds = [...users.keys()];
+
+  const results = await Promise.all(studentIds.map(join));
+
+  const joined = results.filter(result => result.success);
+  assert.equal(joined.length, 2);
+  assert.ok(results.filter(result => !result.success).every(result => result.message === 'Class is full'));
+
+  const enrolled = enrollmentsWithStatus('enrolled');
+  assert.equal(enrolled.length, 2);
+  assert.equal(new Set(enrolled.map(enrollment => enrollment.userId)).size, 2);
+
+  const [classDoc] = documents('classes');
+  assert.equal(classDoc.enrolledCount, 2);
+  assert.equal(classDoc.spotsLeft, 0);
+  assert.equal(documents('class_locks').length, 0);
+});
+
+test('overlapping joins and leaves lose no enrollment', async () => {
+  seedClass(4);
+  const [first, second, ...others] = [...users.keys()];
+  await join(first);
+  await join(second);
+
+  const results = await Promise.all([
+    invoke(handler, { action: 'leaveClass', classId: 'class-1' }, first),
+    ...others.map(join),
+    invoke(handler, { action: 'leaveClass', classId: 'class-1' }, second)
+  ]);
+  assert.ok(results.every(result => result.statusCode === 200 || result.message === 'Class is full'));
+
+  const enrolled = enrollmentsWithStatus('enrolled');
+  const joinedIds = others.filter((studentId, index) => results[index + 1].success);
+  assert.deepEqual(enrolled.map(enrollment => enrollment.userId).sort(), joinedIds.sort());
+  assert.ok(enrolled.length <= 4);
+  assert.equal(enrollmentsWithStatus('left').length, 2);
+
+  // Joins that ran before a leave may have found the class full, but the
+  // stored counts always match the enrollments
+  const [classDoc] = documents('classes');
+  assert.equal(classDoc.enrolledCount, enrolled.length);
+  assert.equal(classDoc.spotsLeft, 4 - enrolled.length);
+});
+
+test('a waiter that saw an expired lock never removes the lock that replaced it', async () => {
+  seedClass(1);
+  seed('class_locks', {
+    $id: 'class-1',
+    token: 'crashed-holder',
+    expiresAt: new Date(Date.now() - 1000).toISOString(),
+    $createdAt: new Date(Date.now() - 60000).toISOString()
+  });
+
+  // Both students find the expired lock. The second one's takeover is held
+  // back until the first has taken a fresh lock, and the first holder waits
+  // (up to a second) to see whether the second gets in alongside it.
+  let freshLockTaken;
+  const freshLockPromise = new Promise(resolve => { freshLockTaken = resolve; });
+  let secondHolderIn;
+  const secondHolderPromise = new Promise(resolve => { secondHolderIn = resolve; });
+  let lockDeletes = 0;
+  let holders = 0;
+  setBeforeCall(async (method, collectionId, documentId) => {
+    if (method === 'deleteDocument' && collectionId === 'class_locks' && documentId === 'class-1' && ++lockDeletes === 2) {
+      await freshLockPromise;
+    }
+    if (method === 'getDocument' && collectionId === 'classes') {
+      holders++;
+      if (holders === 1) {
+        freshLockTaken();
+        await Promise.race([secondHolderPromise, new Promise(resolve => setTimeout(resolve, 1000))]);
+      } else {
+        secondHolderIn();
+      }
+    }
+  });
+
+  const results = await Promise.all(['student-1', 'student-2'].map(join));
+
+  assert.equal(results.filter(result => result.success).length, 1);
+  assert.equal(enrollmentsWithStatus('enrolled').length, 1);
+  assert.equal(documents('classes')[0].spotsLeft, 0);
+  assert.deepEqual(documents('class_locks'), []);
+});
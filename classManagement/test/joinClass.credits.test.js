@@ -0,0 +1,63 @@
+// joinClass on a paid class type: a failed enrollment write must not cost
+// the student their credits.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, documents, seed, users, setBeforeCall, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+beforeEach(() => {
+  reset();
+  users.set('student-1', { name: 'Student 1', email: 'student1@example.com' });
+  seed('class_types', { $id: 'conversation', name: 'Conversation', isActive: true, archivedAt: null, creditCost: 2 });
+  seed('classes', {
+    $id: 'class-1',
+    classTypeId: 'conversation',
+    day: 'Monday',
+    time: '19:00',
+    timeZone: 'Asia/Hong_Kong',
+    totalSpots: 4,
+    enrolledCount: 0,
+    spotsLeft: 4,
+    status: 'active',
+    archivedAt: null
+  });
+  seed('credit_ledger', { $id: 'grant-1', userId: 'student-1', type: 'grant', amount: 5, classId: null, note: '', createdAt: '2026-01-01T00:00:00.000Z' });
+});
+
+const balance = (userId = 'student-1') => documents('credit_ledger')
+  .filter(entry => entry.userId === userId)
+  .reduce((total, entry) => total + entry.amount, 0);
+
+test('joining a paid class takes its credits', async () => {
+  const result = await invoke(handler, { action: 'joinClass', classId: 'class-1', name: 'Student 1' }, 'student-1');
+
+  assert.equal(result.success, true);
+  assert.equal(balance(), 3);
+});
+
+test('credits come back when the enrollment write fails', async () => {
+  setBeforeCall(async (method, collectionId) => {
+    if (method === 'createDocument' && collectionId === 'enrollments') {
+      throw new Error('Server error');
+    }
+  });
+
+  const result = await invoke(handler, { action: 'joinClass', classId: 'class-1', name: 'Student 1' }, 'student-1');
+
+  assert.equal(result.success, false);
+  assert.equal(documents('enrollments').length, 0);
+  assert.equal(balance(), 5);
+  assert.deepEqual(documents('credit_ledger').map(entry => entry.type).sort(), ['consume', 'grant', 'refund']);
+  assert.equal(documents('class_locks').length, 0);
+});
+
+test('a user ID of the longest allowed length can take the credit lock', async () => {
+  const userId = 'u'.repeat(36);
+  users.set(userId, { name: 'Long Id', email: 'long@example.com' });
+  seed('credit_ledger', { $id: 'grant-2', userId, type: 'grant', amount: 5, classId: null, note: '', createdAt: '2026-01-01T00:00:00.000Z' });
+
+  const result = await invoke(handler, { action: 'joinClass', classId: 'class-1', name: 'Long Id' }, userId);
+
+  assert.equal(result.success, true);
+  assert.equal(balance(userId), 3);
+});
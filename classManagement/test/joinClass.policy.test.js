@@ -0,0 +1,62 @@
+// joinClass against a class type's maxClassesPerStudent
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, seed, users, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+function seedClass(id, fields = {}) {
+  seed('classes', {
+    $id: id,
+    classTypeId: 'conversation',
+    day: 'Monday',
+    time: '19:00',
+    timeZone: 'Asia/Hong_Kong',
+    totalSpots: 4,
+    enrolledCount: 0,
+    spotsLeft: 4,
+    status: 'active',
+    archivedAt: null,
+    bookingKind: null,
+    ...fields
+  });
+}
+
+function seedEnrollment(classId) {
+  seed('enrollments', { $id: `enrollment-${classId}`, classId, userId: 'student-1', name: 'Student 1', status: 'enrolled' });
+}
+
+beforeEach(() => {
+  reset();
+  users.set('student-1', { name: 'Student 1', email: 'student1@example.com' });
+  seed('class_types', {
+    $id: 'conversation',
+    name: 'Conversation',
+    isActive: true,
+    archivedAt: null,
+    enrollmentPolicy: JSON.stringify({ maxClassesPerStudent: 1 })
+  });
+  seedClass('class-1');
+});
+
+const join = () => invoke(handler, { action: 'joinClass', classId: 'class-1', name: 'Student 1' }, 'student-1');
+
+test('a group class counts toward maxClassesPerStudent', async () => {
+  seedClass('class-2');
+  seedEnrollment('class-2');
+
+  const result = await join();
+
+  assert.equal(result.success, false);
+  assert.equal(result.reason, 'maxClassesReached');
+});
+
+test('private and trial bookings do not count toward maxClassesPerStudent', async () => {
+  seedClass('booking-1', { bookingKind: 'private', totalSpots: 1, enrolledCount: 1, spotsLeft: 0 });
+  seedClass('booking-2', { bookingKind: 'trial', totalSpots: 1, enrolledCount: 1, spotsLeft: 0 });
+  seedEnrollment('booking-1');
+  seedEnrollment('booking-2');
+
+  const result = await join();
+
+  assert.equal(result.success, true);
+});
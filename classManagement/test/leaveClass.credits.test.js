@@ -0,0 +1,40 @@
+// leaveClass on a paid class: credits come back when leaving far enough
+// ahead of the next session that has yet to start
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, documents, seed, users, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+beforeEach(() => {
+  reset();
+  users.set('student-1', { name: 'Student 1', email: 'student1@example.com' });
+  seed('class_types', { $id: 'conversation', name: 'Conversation', isActive: true, archivedAt: null, creditCost: 2 });
+  seed('credit_ledger', { $id: 'grant-1', userId: 'student-1', type: 'grant', amount: 5, classId: null, note: '', createdAt: '2026-01-01T00:00:00.000Z' });
+  seed('credit_ledger', { $id: 'consume-1', userId: 'student-1', type: 'consume', amount: -2, classId: 'class-1', note: '', createdAt: '2026-01-02T00:00:00.000Z' });
+  seed('enrollments', { $id: 'enrolled-1', classId: 'class-1', userId: 'student-1', name: 'Student 1', status: 'enrolled' });
+});
+
+const balance = () => documents('credit_ledger').reduce((total, entry) => total + entry.amount, 0);
+
+test('leaving after today\'s session refunds when the next one is a week away', async () => {
+  // Today's session started at midnight UTC, so the next one is in about a week
+  seed('classes', {
+    $id: 'class-1',
+    classTypeId: 'conversation',
+    day: DAY_NAMES[new Date().getUTCDay()],
+    time: '00:00',
+    timeZone: 'UTC',
+    totalSpots: 4,
+    enrolledCount: 1,
+    spotsLeft: 3,
+    status: 'active',
+    archivedAt: null
+  });
+
+  const result = await invoke(handler, { action: 'leaveClass', classId: 'class-1' }, 'student-1');
+
+  assert.equal(result.success, true);
+  assert.equal(balance(), 5);
+});
@@ -0,0 +1,54 @@
+// Waitlist promotion into a paid class: each student is charged only if
+// their promotion is saved
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, documents, seed, users, setBeforeCall, reset } = require('./helpers/memoryAppwrite');
+const handler = require('../src/main.js');
+
+const STUDENTS = ['student-1', 'student-2', 'student-3'];
+
+beforeEach(() => {
+  reset();
+  seed('class_types', { $id: 'conversation', name: 'Conversation', isActive: true, archivedAt: null, creditCost: 2 });
+  seed('classes', {
+    $id: 'class-1',
+    classTypeId: 'conversation',
+    day: 'Monday',
+    time: '19:00',
+    timeZone: 'Asia/Hong_Kong',
+    totalSpots: 1,
+    enrolledCount: 1,
+    spotsLeft: 0,
+    status: 'active',
+    archivedAt: null
+  });
+  for (const [index, userId] of STUDENTS.entries()) {
+    users.set(userId, { name: `Student ${index + 1}`, email: `student${index + 1}@example.com` });
+    seed('credit_ledger', { $id: `grant-${index + 1}`, userId, type: 'grant', amount: 5, classId: null, note: '', createdAt: '2026-01-01T00:00:00.000Z' });
+  }
+  seed('enrollments', { $id: 'enrolled-1', classId: 'class-1', userId: 'student-1', name: 'Student 1', status: 'enrolled' });
+  seed('enrollments', { $id: 'wait-2', classId: 'class-1', userId: 'student-2', name: 'Student 2', status: 'waitlisted', waitlistedAt: '2026-01-02T00:00:00.000Z' });
+  seed('enrollments', { $id: 'wait-3', classId: 'class-1', userId: 'student-3', name: 'Student 3', status: 'waitlisted', waitlistedAt: '2026-01-03T00:00:00.000Z' });
+});
+
+const balance = userId => documents('credit_ledger')
+  .filter(entry => entry.userId === userId)
+  .reduce((total, entry) => total + entry.amount, 0);
+const statusOf = enrollmentId => documents('enrollments').find(enrollment => enrollment.$id === enrollmentId).status;
+
+test('a student whose promotion fails is refunded and the next one moves up', async () => {
+  setBeforeCall(async (method, collectionId, documentId) => {
+    if (method === 'updateDocument' && documentId === 'wait-2') {
+      throw new Error('Server error');
+    }
+  });
+
+  const result = await invoke(handler, { action: 'leaveClass', classId: 'class-1' }, 'student-1');
+
+  assert.equal(result.success, true);
+  assert.equal(statusOf('wait-2'), 'waitlisted');
+  assert.equal(balance('student-2'), 5);
+  assert.equal(statusOf('wait-3'), 'enrolled');
+  assert.equal(balance('student-3'), 3);
+  assert.equal(documents('class_locks').length, 0);
+});
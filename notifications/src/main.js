@@ -11,7 +11,38 @@ const sendJsonResponse = (res, statusCode, data, log, logError) => {
   } else {
     log ? log(responseLogMessage) : console.log(responseLogMessage);
   }
-  return res.json(data);
+  return res.json(data, statusCode);
+};
+
+// Identify the caller. A copy of resolveCaller in classManagement, which
+// explains it; keep the two the same.
+const resolveCaller = async (req, users) => {
+  const headers = req.headers || {};
+  const internalToken = process.env.INTERNAL_FUNCTION_TOKEN;
+  if (headers['x-appwrite-trigger'] === 'schedule' || (internalToken && headers['x-internal-token'] === internalToken)) {
+    return { userId: null, name: null, email: null, labels: [], isAdmin: true, isTutor: false, isInternal: true };
+  }
+
+  const userId = headers['x-appwrite-user-id'];
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    const user = await users.get(userId);
+    const labels = user.labels || [];
+    return {
+      userId,
+      name: user.name,
+      email: user.email,
+      labels,
+      isAdmin: labels.includes('admin'),
+      isTutor: labels.includes('tutor'),
+      isInternal: false
+    };
+  } catch (err) {
+    return null;
+  }
 };
 
 module.exports = async ({ req, res, log, error: logError }) => {
@@ -90,15 +121,46 @@ module.exports = async ({ req, res, log, error: logError }) => {
         action: 'unknown'
       }, log, logError);
     }
+
+    // --- Caller Authorization ---
+    const caller = await resolveCaller(req, users);
+    log(`Caller: ${caller ? (caller.isInternal ? 'internal' : caller.userId) : 'anonymous'}`);
+
+    if (!caller) {
+      return sendJsonResponse(res, 401, {
+        success: false,
+        message: 'You must be signed in to do this',
+        action
+      }, log, logError);
+    }
+
+    // Notifications are sent by our other functions and admins. A signed-in
+    // user may only ask for their own welcome email.
+    const isOwnWelcome = action === 'sendWelcome' && data.email === caller.email;
+    if (!caller.isAdmin && !isOwnWelcome) {
+      return sendJsonResponse(res, 403, {
+        success: false,
+        message: 'Admin access required',
+        action
+      }, log, logError);
+    }
     
     switch (action) {
       case 'sendClassJoinConfirmation':
         log(`Executing action: sendClassJoinConfirmation for user: ${data.userName}, class: ${data.classType}`);
         
         // Generate iCal data for calendar link
-        const icalData = generateICalData(data.classType, data.day, data.time, data.userName);
-        const icalBlob = Buffer.from(icalData).toString('base64');
-        const icalDownloadUrl = `data:text/calendar;base64,${icalBlob}`;
+        const icalData = generateICalData(data.classType, data.day, data.time, data.userName, {
+          classId: data.classId,
+          schedule: data.schedule
+        });
+        const icalDownloadUrl = icalData
+          ? `data:text/calendar;base64,${Buffer.from(icalData).toString('base64')}`
+          : null;
+
+        // Show the class in the student's own time zone
+        const joinTimeZone = data.userId ? await getUserTimeZone(users, data.userId) : DEFAULT_TIME_ZONE;
+        const joinLocalTime = describeClassTime(data.day, data.time, data.schedule, joinTimeZone);
         
         // Send confirmation email to user
         const userEmailResult = await sendUserConfirmationEmail(
@@ -106,8 +168,8 @@ module.exports = async ({ req, res, log, error: logError }) => {
           data.userEmail, 
           data.userName, 
           data.classType, 
-          data.day, 
-          data.time,
+          joinLocalTime.day, 
+          `${joinLocalTime.timeRange} (${joinLocalTime.zoneLabel})`,
           icalDownloadUrl,
           log
         );
@@ -125,7 +187,7 @@ module.exports = async ({ req, res, log, error: logError }) => {
           data.userPhone,
           data.classType,
           data.day,
-          data.time,
+          `${data.time} (${data.schedule?.timeZone || DEFAULT_TIME_ZONE})`,
           data.currentEnrollment,
           data.totalSpots,
           log
@@ -139,6 +201,80 @@ module.exports = async ({ req, res, log, error: logError }) => {
           action: 'sendClassJoinConfirmation'
         }, log, logError);
         
+      case 'classCancelled':
+      case 'classRescheduled':
+      case 'classReactivated':
+      case 'reEnrollmentInvite':
+        log(`Executing action: ${action} for class: ${data.classId}, ${data.recipients?.length || 0} recipients`);
+
+        // Email every enrolled student with an updated calendar entry
+        const classUpdateResults = await sendClassUpdateEmails(
+          users,
+          mg,
+          action,
+          data,
+          log
+        );
+
+        // Tell the admin who was reached and which deliveries failed
+        const summaryAdminEmail = await getAdminNotificationEmail();
+        const summaryEmailResult = await sendClassUpdateSummaryEmail(
+          mg,
+          summaryAdminEmail,
+          action,
+          data,
+          classUpdateResults,
+          log
+        );
+
+        return sendJsonResponse(res, 200, {
+          success: true,
+          results: classUpdateResults,
+          adminEmailResult: summaryEmailResult,
+          action
+        }, log, logError);
+
+      case 'classChanged':
+        log(`Executing action: classChanged for user: ${data.userId}, from: ${data.fromClass?.classId}, to: ${data.toClass?.classId}`);
+
+        // One email covering both classes, with calendar files that remove
+        // the old class and add the new one
+        const changedTimeZone = data.userId ? await getUserTimeZone(users, data.userId) : DEFAULT_TIME_ZONE;
+        const classChangedResult = await sendClassChangedEmail(
+          mg,
+          data.userEmail,
+          data.userName,
+          data.fromClass,
+          data.toClass,
+          changedTimeZone,
+          log
+        );
+
+        return sendJsonResponse(res, classChangedResult.success ? 200 : 500, {
+          success: classChangedResult.success,
+          userEmailResult: classChangedResult,
+          action: 'classChanged'
+        }, log, logError);
+
+      case 'lessonBooked':
+      case 'lessonCancelled':
+        log(`Executing action: ${action} for class: ${data.classId}, student: ${data.student?.userId}`);
+
+        // The student and the tutor each get an email and a calendar entry
+        const bookingResults = await sendBookingEmails(
+          users,
+          mg,
+          action,
+          data,
+          log
+        );
+
+        return sendJsonResponse(res, 200, {
+          success: true,
+          results: bookingResults,
+          action
+        }, log, logError);
+
       case 'newMatch':
         // Notify users about a new class match
         const results = await notifyUsers(
@@ -212,58 +348,68 @@ module.exports = async ({ req, res, log, error: logError }) => {
 };
 
 // Generate iCal data for calendar download
-function generateICalData(classType, day, time, userName) {
-  // Calculate next occurrence of the day
-  const getNextDate = (dayName) => {
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const today = new Date();
-    const todayDay = today.getDay();
-    const targetDay = days.indexOf(dayName);
-    
-    let daysUntilTarget = targetDay - todayDay;
-    if (daysUntilTarget <= 0) {
-      daysUntilTarget += 7; // Next week
-    }
-    
-    const targetDate = new Date(today);
-    targetDate.setDate(today.getDate() + daysUntilTarget);
-    return targetDate;
-  };
+// Options: classId gives the event a stable UID so later updates replace it,
+// method/status mark cancellations (METHOD:CANCEL, STATUS:CANCELLED) and
+// schedule carries the term dates, session duration, skipped dates and the
+// class's time zone. Times are written with a TZID, defined by a VTIMEZONE in
+// the same file, so calendar apps show them in each student's own zone.
+// Returns null when the day or time can't be read, so no calendar entry is
+// sent rather than one at the wrong time.
+function generateICalData(classType, day, time, userName, options = {}) {
+  const schedule = options.schedule || {};
+  const timeZone = schedule.timeZone || DEFAULT_TIME_ZONE;
+  const startMinutes = parseTimeOfDay(time);
+  const duration = schedule.sessionDuration || DEFAULT_SESSION_MINUTES;
+  if (startMinutes === null || !DAY_NAMES.includes(day)) {
+    return null;
+  }
 
-  // Parse time and create start/end dates
-  const parseTime = (timeStr) => {
-    const [time, period] = timeStr.split(' ');
-    let [hours, minutes] = time.split(':').map(Number);
-    
-    if (period === 'PM' && hours !== 12) hours += 12;
-    if (period === 'AM' && hours === 12) hours = 0;
-    
-    return { hours, minutes };
+  // Wall-clock date and minutes as an iCal local time, e.g. 20250106T190000
+  const formatLocalDateForICal = (dateStr, minutes) => {
+    const dayOffset = Math.floor(minutes / (24 * 60));
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + dayOffset);
+    const minuteOfDay = minutes - dayOffset * 24 * 60;
+    const hh = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+    const mm = String(minuteOfDay % 60).padStart(2, '0');
+    return `${date.toISOString().slice(0, 10).replace(/-/g, '')}T${hh}${mm}00`;
   };
-
-  const classDate = getNextDate(day);
-  const { hours, minutes } = parseTime(time);
-  
-  const startDate = new Date(classDate);
-  startDate.setHours(hours, minutes, 0, 0);
-  
-  const endDate = new Date(startDate);
-  endDate.setHours(hours + 1, minutes, 0, 0); // Assume 1 hour duration
-
-  // Format dates for iCal
   const formatDateForICal = (date) => {
     return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
   };
 
+  const firstSessionDate = getFirstSessionDate(day, schedule);
+  const timeZoneLines = buildVTimeZone(timeZone, firstSessionDate, schedule.termEndDate);
+
+  // Weekly recurrence until the end of term, without the skipped dates.
+  // UNTIL has to be in UTC when DTSTART carries a TZID.
+  const until = schedule.termEndDate
+    ? `;UNTIL=${formatDateForICal(zonedTimeToUtc(schedule.termEndDate, 24 * 60 - 1, timeZone))}`
+    : '';
+  const recurrenceLines = [
+    `RRULE:FREQ=WEEKLY${until}`,
+    ...(schedule.skipDates || []).map(skipDate => `EXDATE;TZID=${timeZone}:${formatLocalDateForICal(skipDate, startMinutes)}`)
+  ];
+
   const title = `${classType.charAt(0).toUpperCase() + classType.slice(1)} Language Class`;
   const description = `Your ${classType} language class with Mandarin Tutor HK. Looking forward to seeing you there!`;
 
+  const uid = options.classId ? `class-${options.classId}@mandarintutorhk.com` : `${Date.now()}@mandarintutorhk.com`;
+  const sequence = options.sequence || Math.floor(Date.now() / 1000);
+
   return `BEGIN:VCALENDAR
 VERSION:2.0
 PRODID:-//Mandarin Tutor HK//Class Scheduler//EN
+METHOD:${options.method || 'PUBLISH'}
+${timeZoneLines.join('\n')}
 BEGIN:VEVENT
-DTSTART:${formatDateForICal(startDate)}
-DTEND:${formatDateForICal(endDate)}
+UID:${uid}
+SEQUENCE:${sequence}
+DTSTAMP:${formatDateForICal(new Date())}
+STATUS:${options.status || 'CONFIRMED'}
+DTSTART;TZID=${timeZone}:${formatLocalDateForICal(firstSessionDate, startMinutes)}
+DTEND;TZID=${timeZone}:${formatLocalDateForICal(firstSessionDate, startMinutes + duration)}
+${recurrenceLines.join('\n')}
 SUMMARY:${title}
 DESCRIPTION:${description}
 LOCATION:Online
@@ -271,6 +417,69 @@ END:VEVENT
 END:VCALENDAR`;
 }
 
+// How far ahead of the first session a VTIMEZONE lists offset changes when
+// the class has no term end
+const VTIMEZONE_OPEN_TERM_DAYS = 2 * 365;
+
+// The VTIMEZONE lines defining a TZID for an iCal file. The UTC offset
+// changes the zone goes through between the first session and the end of
+// term are found with Intl and listed one by one, rather than as yearly
+// rules, which is enough for the dates the event covers.
+function buildVTimeZone(timeZone, firstSessionDate, termEndDate) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const from = new Date(`${firstSessionDate}T00:00:00Z`).getTime() - dayMs;
+  const to = termEndDate
+    ? new Date(`${termEndDate}T00:00:00Z`).getTime() + 2 * dayMs
+    : from + VTIMEZONE_OPEN_TERM_DAYS * dayMs;
+  const offsetAt = ms => getTimeZoneOffsetMinutes(new Date(ms), timeZone);
+
+  const formatOffset = minutes => {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+  };
+  // An observance starts at a local time, in the offset in force before it
+  const formatLocal = (ms, offsetMinutes) =>
+    new Date(ms + offsetMinutes * 60000).toISOString().replace(/[-:]/g, '').split('.')[0];
+
+  // Walk the covered days and narrow each offset change down to the minute
+  const transitions = [];
+  let previousOffset = offsetAt(from);
+  for (let dayStart = from; dayStart < to; dayStart += dayMs) {
+    const nextOffset = offsetAt(dayStart + dayMs);
+    if (nextOffset === previousOffset) continue;
+    let low = dayStart;
+    let high = dayStart + dayMs;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (offsetAt(middle) === previousOffset) low = middle; else high = middle;
+    }
+    transitions.push({ at: high, offsetFrom: previousOffset, offsetTo: nextOffset });
+    previousOffset = nextOffset;
+  }
+
+  const initialOffset = offsetAt(from);
+  const standardOffset = Math.min(initialOffset, ...transitions.map(transition => transition.offsetTo));
+  const observance = (at, offsetFrom, offsetTo) => {
+    const kind = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${formatLocal(at, offsetFrom)}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${kind}`
+    ];
+  };
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(from, initialOffset, initialOffset),
+    ...transitions.flatMap(transition => observance(transition.at, transition.offsetFrom, transition.offsetTo)),
+    'END:VTIMEZONE'
+  ];
+}
+
 // Send confirmation email to user
 async function sendUserConfirmationEmail(mg, userEmail, userName, classType, day, time, icalDownloadUrl, log) {
   try {
@@ -295,7 +504,7 @@ async function sendUserConfirmationEmail(mg, userEmail, userName, classType, day
         
         <h3 style="color: #333;">🎯 What's Next?</h3>
         <ol>
-          <li style="margin: 8px 0;">Add this class to your calendar: <a href="${icalDownloadUrl}" download="class-schedule.ics" style="color: #7e55f6;">iCal Download Link</a></li>
+          ${icalDownloadUrl ? `<li style="margin: 8px 0;">Add this class to your calendar: <a href="${icalDownloadUrl}" download="class-schedule.ics" style="color: #7e55f6;">iCal Download Link</a></li>` : ''}
           <li style="margin: 8px 0;">We'll send you a reminder 24 hours before your first class</li>
           <li style="margin: 8px 0;">Look out for class materials and joining instructions</li>
         </ol>
@@ -321,9 +530,11 @@ Great news! You've successfully enrolled in a ${classType.charAt(0).toUpperCase(
 • Class Type: ${classType.charAt(0).toUpperCase() + classType.slice(1)}
 
 🎯 What's Next?
-1. Add this class to your calendar: ${icalDownloadUrl}
-2. We'll send you a reminder 24 hours before your first class
-3. Look out for class materials and joining instructions
+${[
+  ...(icalDownloadUrl ? [`Add this class to your calendar: ${icalDownloadUrl}`] : []),
+  'We\'ll send you a reminder 24 hours before your first class',
+  'Look out for class materials and joining instructions'
+].map((step, index) => `${index + 1}. ${step}`).join('\n')}
 
 📧 Questions?
 If you have any questions or need to make changes, just reply to this email or contact your tutor at aileen@mandarintutorhk.com.
@@ -441,6 +652,425 @@ You can change this notification email address in your admin settings.`;
   }
 }
 
+// Build the email a student gets when their class is cancelled, rescheduled or
+// reactivated, or copied into a new term with a place held for them.
+// Day and time are shown in the student's time zone.
+function buildClassUpdateEmail(action, data, userName, recipientTimeZone) {
+  const classTitle = data.classType.charAt(0).toUpperCase() + data.classType.slice(1);
+  const local = describeClassTime(data.day, data.time, data.schedule, recipientTimeZone);
+  const when = `${local.day} at ${local.timeRange} (${local.zoneLabel})`;
+  let subject;
+  let intro;
+  let details;
+
+  if (action === 'classCancelled') {
+    subject = `Class cancelled: ${classTitle} (${local.day} ${local.time})`;
+    intro = `We're sorry, your ${classTitle} class on ${when} has been cancelled.`;
+    details = [['Reason', data.cancelReason || 'No reason provided']];
+  } else if (action === 'classRescheduled') {
+    const oldSchedule = {
+      ...data.schedule,
+      timeZone: data.oldTimeZone || data.schedule?.timeZone,
+      sessionDuration: data.oldSessionDuration || data.schedule?.sessionDuration
+    };
+    const oldLocal = describeClassTime(data.oldDay, data.oldTime, oldSchedule, recipientTimeZone);
+    subject = `Class rescheduled: ${classTitle} now ${local.day} at ${local.time}`;
+    intro = `Your ${classTitle} class has a new day, time or length.`;
+    details = [
+      ['Was', `${oldLocal.day} at ${oldLocal.timeRange} (${oldLocal.zoneLabel})`],
+      ['Now', when]
+    ];
+  } else if (action === 'reEnrollmentInvite') {
+    const confirmBy = new Intl.DateTimeFormat('en-GB', {
+      timeZone: recipientTimeZone,
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      hour: 'numeric',
+      minute: '2-digit'
+    }).format(new Date(data.reEnrollDeadline));
+    subject = `Keep your place: ${classTitle} next term (${local.day} ${local.time})`;
+    intro = `Your ${classTitle} class continues next term and we are holding a place for you. Please confirm or decline it by ${confirmBy}. Places that are not confirmed by then are released.`;
+    details = [
+      ['Day', local.day],
+      ['Time', `${local.timeRange} (${local.zoneLabel})`],
+      ['Term', `${data.schedule?.termStartDate} to ${data.schedule?.termEndDate}`],
+      ['Confirm by', `${confirmBy} (${recipientTimeZone})`]
+    ];
+  } else {
+    subject = `Class back on: ${classTitle} (${local.day} ${local.time})`;
+    intro = `Good news! Your ${classTitle} class on ${when} is running again.`;
+    details = [
+      ['Day', local.day],
+      ['Time', `${local.timeRange} (${local.zoneLabel})`]
+    ];
+  }
+
+  const calendarNote = {
+    classCancelled: 'The attached calendar file removes this class from your calendar.',
+    reEnrollmentInvite: 'You will get a calendar file for the new term once you confirm your place.'
+  }[action] || 'Open the attached calendar file to update this class in your calendar.';
+
+  const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Hi ${userName},</h2>
+        
+        <p>${intro}</p>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #333; margin-top: 0;">📅 Class Details:</h3>
+          <ul style="list-style: none; padding: 0;">
+            <li style="margin: 8px 0;">• <strong>Class Type:</strong> ${classTitle}</li>
+            ${details.map(([label, value]) => `<li style="margin: 8px 0;">• <strong>${label}:</strong> ${value}</li>`).join('\n            ')}
+          </ul>
+        </div>
+        
+        <p>${calendarNote}</p>
+        
+        <p style="margin-top: 30px;">
+          <strong>📧 Questions?</strong><br>
+          Just reply to this email or contact your tutor at aileen@mandarintutorhk.com.
+        </p>
+        
+        <p>Best regards,<br>The Mandarin Tutor HK Team</p>
+      </div>
+    `;
+
+  const text = `Hi ${userName},
+
+${intro}
+
+📅 Class Details:
+• Class Type: ${classTitle}
+${details.map(([label, value]) => `• ${label}: ${value}`).join('\n')}
+
+${calendarNote}
+
+📧 Questions?
+Just reply to this email or contact your tutor at aileen@mandarintutorhk.com.
+
+Best regards,
+The Mandarin Tutor HK Team`;
+
+  return { subject, text, html };
+}
+
+// Email each recipient about a class change with an updated calendar entry
+async function sendClassUpdateEmails(users, mg, action, data, log) {
+  const results = [];
+  const isCancelled = action === 'classCancelled';
+
+  // Cancellations remove the event at its old slot, other changes replace it.
+  // Invitations carry no calendar entry until the place is confirmed.
+  const icalData = generateICalData(data.classType, data.day, data.time, '', {
+    classId: data.classId,
+    schedule: data.schedule,
+    method: isCancelled ? 'CANCEL' : 'REQUEST',
+    status: isCancelled ? 'CANCELLED' : 'CONFIRMED'
+  });
+  const attachments = action === 'reEnrollmentInvite' || !icalData
+    ? undefined
+    : [{ filename: 'class-schedule.ics', data: Buffer.from(icalData) }];
+
+  for (const recipient of data.recipients || []) {
+    try {
+      let { email, name } = recipient;
+      if (!email) {
+        const user = await users.get(recipient.userId);
+        email = user.email;
+        name = name || user.name;
+      }
+
+      if (!email) {
+        throw new Error('No email address on file');
+      }
+
+      const recipientTimeZone = recipient.userId ? await getUserTimeZone(users, recipient.userId) : DEFAULT_TIME_ZONE;
+      const message = buildClassUpdateEmail(action, data, name || 'there', recipientTimeZone);
+      await sendMailgunEmail(mg, email, name, message.subject, message.text, message.html, log, attachments);
+
+      results.push({ userId: recipient.userId, status: 'success', methods: ['email'] });
+    } catch (error) {
+      log(`Error sending ${action} email to ${recipient.userId}: ${error.message}`);
+      results.push({ userId: recipient.userId, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// Tell a student they were moved from one class to another. fromClass and
+// toClass each carry { classId, classType, day, time, schedule }.
+async function sendClassChangedEmail(mg, userEmail, userName, fromClass, toClass, recipientTimeZone, log) {
+  try {
+    if (!userEmail) {
+      throw new Error('No email address on file');
+    }
+
+    const title = classType => classType.charAt(0).toUpperCase() + classType.slice(1);
+    const fromLocal = describeClassTime(fromClass.day, fromClass.time, fromClass.schedule, recipientTimeZone);
+    const toLocal = describeClassTime(toClass.day, toClass.time, toClass.schedule, recipientTimeZone);
+    const was = `${title(fromClass.classType)}, ${fromLocal.day} at ${fromLocal.timeRange} (${fromLocal.zoneLabel})`;
+    const now = `${title(toClass.classType)}, ${toLocal.day} at ${toLocal.timeRange} (${toLocal.zoneLabel})`;
+
+    const attachments = [
+      {
+        filename: 'old-class.ics',
+        data: generateICalData(fromClass.classType, fromClass.day, fromClass.time, userName, {
+          classId: fromClass.classId,
+          schedule: fromClass.schedule,
+          method: 'CANCEL',
+          status: 'CANCELLED'
+        })
+      },
+      {
+        filename: 'class-schedule.ics',
+        data: generateICalData(toClass.classType, toClass.day, toClass.time, userName, {
+          classId: toClass.classId,
+          schedule: toClass.schedule
+        })
+      }
+    ]
+      .filter(attachment => attachment.data)
+      .map(attachment => ({ ...attachment, data: Buffer.from(attachment.data) }));
+
+    const subject = `Your class has changed: ${title(toClass.classType)} (${toLocal.day} ${toLocal.time})`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Hi ${userName},</h2>
+        
+        <p>You have been moved to a different class. Your place in the new class is confirmed.</p>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #333; margin-top: 0;">📅 Class Details:</h3>
+          <ul style="list-style: none; padding: 0;">
+            <li style="margin: 8px 0;">• <strong>Was:</strong> ${was}</li>
+            <li style="margin: 8px 0;">• <strong>Now:</strong> ${now}</li>
+          </ul>
+        </div>
+        
+        <p>Open the attached calendar files to remove the old class and add the new one to your calendar.</p>
+        
+        <p style="margin-top: 30px;">
+          <strong>📧 Questions?</strong><br>
+          Just reply to this email or contact your tutor at aileen@mandarintutorhk.com.
+        </p>
+        
+        <p>Best regards,<br>The Mandarin Tutor HK Team</p>
+      </div>
+    `;
+
+    const text = `Hi ${userName},
+
+You have been moved to a different class. Your place in the new class is confirmed.
+
+📅 Class Details:
+• Was: ${was}
+• Now: ${now}
+
+Open the attached calendar files to remove the old class and add the new one to your calendar.
+
+📧 Questions?
+Just reply to this email or contact your tutor at aileen@mandarintutorhk.com.
+
+Best regards,
+The Mandarin Tutor HK Team`;
+
+    const data = await sendMailgunEmail(mg, userEmail, userName, subject, text, html, log, attachments);
+    return { success: true, data };
+  } catch (error) {
+    log(`Error sending class change email: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+// Build the email for a booked or cancelled private or trial lesson, worded
+// for either the student or the tutor
+function buildBookingEmail(action, data, recipientName, isTutor, recipientTimeZone) {
+  const classTitle = data.classType.charAt(0).toUpperCase() + data.classType.slice(1);
+  const lessonName = `${data.bookingKind === 'trial' ? 'trial' : 'private'} ${classTitle} lesson`;
+  const local = describeClassTime(data.day, data.time, data.schedule, recipientTimeZone, data.date);
+  const when = `${local.date}, ${local.timeRange} (${local.zoneLabel})`;
+  const studentName = data.student?.name || 'A student';
+  let subject;
+  let intro;
+  const details = [['Lesson', lessonName], ['When', when]];
+
+  if (action === 'lessonBooked') {
+    subject = isTutor
+      ? `New booking: ${studentName} booked a ${lessonName} on ${local.date}`
+      : `Booked: your ${lessonName} on ${local.date}`;
+    intro = isTutor
+      ? `${studentName} has booked one of your slots.`
+      : `Your ${lessonName} is booked. We look forward to seeing you!`;
+    if (isTutor) {
+      details.push(['Student', `${studentName}${data.student?.email ? ` (${data.student.email})` : ''}`]);
+    }
+  } else {
+    subject = `Lesson cancelled: ${lessonName} on ${local.date}`;
+    intro = data.cancelledBy === 'student' && isTutor
+      ? `${studentName} has cancelled their ${lessonName}. The slot is open for booking again.`
+      : `The ${lessonName} on ${when} has been cancelled.`;
+    details.push(['Reason', data.cancelReason || 'No reason provided']);
+  }
+
+  const calendarNote = action === 'lessonCancelled'
+    ? 'The attached calendar file removes this lesson from your calendar.'
+    : 'Open the attached calendar file to add this lesson to your calendar.';
+
+  const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Hi ${recipientName},</h2>
+        
+        <p>${intro}</p>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #333; margin-top: 0;">📅 Lesson Details:</h3>
+          <ul style="list-style: none; padding: 0;">
+            ${details.map(([label, value]) => `<li style="margin: 8px 0;">• <strong>${label}:</strong> ${value}</li>`).join('\n            ')}
+          </ul>
+        </div>
+        
+        <p>${calendarNote}</p>
+        
+        <p style="margin-top: 30px;">
+          <strong>📧 Questions?</strong><br>
+          Just reply to this email or contact us at aileen@mandarintutorhk.com.
+        </p>
+        
+        <p>Best regards,<br>The Mandarin Tutor HK Team</p>
+      </div>
+    `;
+
+  const text = `Hi ${recipientName},
+
+${intro}
+
+📅 Lesson Details:
+${details.map(([label, value]) => `• ${label}: ${value}`).join('\n')}
+
+${calendarNote}
+
+📧 Questions?
+Just reply to this email or contact us at aileen@mandarintutorhk.com.
+
+Best regards,
+The Mandarin Tutor HK Team`;
+
+  return { subject, text, html };
+}
+
+// Email the student and the tutors of a private or trial lesson
+async function sendBookingEmails(users, mg, action, data, log) {
+  const results = [];
+  const isCancelled = action === 'lessonCancelled';
+
+  const icalData = generateICalData(data.classType, data.day, data.time, data.student?.name || '', {
+    classId: data.classId,
+    schedule: data.schedule,
+    method: isCancelled ? 'CANCEL' : 'REQUEST',
+    status: isCancelled ? 'CANCELLED' : 'CONFIRMED'
+  });
+  const attachments = icalData ? [{ filename: 'lesson.ics', data: Buffer.from(icalData) }] : undefined;
+
+  const recipients = [
+    { ...data.student, isTutor: false },
+    ...(data.tutorIds || []).map(userId => ({ userId, isTutor: true }))
+  ];
+
+  for (const recipient of recipients) {
+    try {
+      let { email, name } = recipient;
+      if (!email) {
+        const user = await users.get(recipient.userId);
+        email = user.email;
+        name = name || user.name;
+      }
+
+      if (!email) {
+        throw new Error('No email address on file');
+      }
+
+      const recipientTimeZone = recipient.userId ? await getUserTimeZone(users, recipient.userId) : DEFAULT_TIME_ZONE;
+      const message = buildBookingEmail(action, data, name || 'there', recipient.isTutor, recipientTimeZone);
+      await sendMailgunEmail(mg, email, name, message.subject, message.text, message.html, log, attachments);
+
+      results.push({ userId: recipient.userId, role: recipient.isTutor ? 'tutor' : 'student', status: 'success', methods: ['email'] });
+    } catch (error) {
+      log(`Error sending ${action} email to ${recipient.userId}: ${error.message}`);
+      results.push({ userId: recipient.userId, role: recipient.isTutor ? 'tutor' : 'student', status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// Send the admin a summary of who heard about a class change
+async function sendClassUpdateSummaryEmail(mg, adminEmail, action, data, results, log) {
+  const changeLabels = {
+    classCancelled: 'cancelled',
+    classRescheduled: 'rescheduled',
+    classReactivated: 'reactivated',
+    reEnrollmentInvite: 'copied into a new term'
+  };
+  const recipientsById = Object.fromEntries((data.recipients || []).map(recipient => [recipient.userId, recipient]));
+  const describe = (result) => {
+    const recipient = recipientsById[result.userId] || {};
+    return `${recipient.name || result.userId}${recipient.email ? ` <${recipient.email}>` : ''}`;
+  };
+
+  const notified = results.filter(result => result.status === 'success');
+  const failed = results.filter(result => result.status !== 'success');
+
+  try {
+    const subject = `Class ${changeLabels[action]}: ${notified.length} notified, ${failed.length} failed (${data.classType} ${data.day} ${data.time})`;
+
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Hi there,</h2>
+        
+        <p>The ${data.classType} class on <strong>${data.day}</strong> at <strong>${data.time}</strong> was ${changeLabels[action]}.</p>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #333; margin-top: 0;">✅ Notified (${notified.length}):</h3>
+          <ul style="list-style: none; padding: 0;">
+            ${notified.map(result => `<li style="margin: 8px 0;">• ${describe(result)}</li>`).join('') || '<li style="margin: 8px 0;">• Nobody</li>'}
+          </ul>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #333; margin-top: 0;">⚠️ Failed deliveries (${failed.length}):</h3>
+          <ul style="list-style: none; padding: 0;">
+            ${failed.map(result => `<li style="margin: 8px 0;">• ${describe(result)}: ${result.error}</li>`).join('') || '<li style="margin: 8px 0;">• None</li>'}
+          </ul>
+        </div>
+        
+        <p style="color: #666; font-size: 14px; margin-top: 30px;">
+          This notification was sent automatically when the class changed.
+        </p>
+      </div>
+    `;
+
+    const textContent = `Hi there,
+
+The ${data.classType} class on ${data.day} at ${data.time} was ${changeLabels[action]}.
+
+✅ Notified (${notified.length}):
+${notified.map(result => `• ${describe(result)}`).join('\n') || '• Nobody'}
+
+⚠️ Failed deliveries (${failed.length}):
+${failed.map(result => `• ${describe(result)}: ${result.error}`).join('\n') || '• None'}
+
+This notification was sent automatically when the class changed.`;
+
+    const mailData = await sendMailgunEmail(mg, adminEmail, 'Admin', subject, textContent, htmlContent, log);
+    return { success: true, data: mailData };
+  } catch (error) {
+    log(`Error sending class update summary email: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
 // Legacy functions (keeping for compatibility)
 async function notifyUsers(users, mg, userIds, classDetails, log) {
   const results = [];
@@ -489,11 +1119,18 @@ async function sendClassReminders(users, mg, classId, classDetails, message, log
   
   // Get all users in the class
   const userIds = classDetails.members.map(member => member.userId);
+
+  const schedule = { timeZone: classDetails.timeZone, sessionDuration: classDetails.session?.duration };
   
   for (const userId of userIds) {
     try {
       // Get user info
       const user = await users.get(userId);
+
+      // Name the dated session in the member's own time zone, e.g. "Monday 5 January"
+      const local = describeClassTime(classDetails.day, classDetails.time, schedule, await getUserTimeZone(users, userId), classDetails.session?.date);
+      const sessionDate = classDetails.session ? local.date : local.day;
+      const sessionTime = `${local.timeRange} (${local.zoneLabel})`;
       
       // Send email reminder
       if (user.email) {
@@ -502,10 +1139,10 @@ async function sendClassReminders(users, mg, classId, classDetails, message, log
           user.email,
           user.name,
           `Reminder: ${classDetails.type} Class Tomorrow`,
-          `Reminder: Your ${classDetails.type} class is scheduled for tomorrow, ${classDetails.day} at ${classDetails.time}.`,
+          `Reminder: Your ${classDetails.type} class is scheduled for tomorrow, ${sessionDate} at ${sessionTime}.`,
           // HTML version
           `<h2>Class Reminder</h2>
-           <p>This is a reminder that your ${classDetails.type} class is scheduled for tomorrow, <strong>${classDetails.day}</strong> at <strong>${classDetails.time}</strong>.</p>
+           <p>This is a reminder that your ${classDetails.type} class is scheduled for tomorrow, <strong>${sessionDate}</strong> at <strong>${sessionTime}</strong>.</p>
            <p>${message || ''}</p>`,
           log
         );
@@ -556,15 +1193,121 @@ async function sendWelcomeMessage(mg, email, name, log) {
   }
 }
 
-async function sendMailgunEmail(mg, toEmail, toName, subject, textContent, htmlContent, log) {
+async function sendMailgunEmail(mg, toEmail, toName, subject, textContent, htmlContent, log, attachments) {
   const data = await mg.messages.create("mandarintutorhk.com", {
     from: "Mandarin Tutor HK <postmaster@mandarintutorhk.com>",
     to: [toEmail],
     subject: subject,
     text: textContent,
-    html: htmlContent
+    html: htmlContent,
+    ...(attachments && { attachment: attachments })
   });
   
   log(`Email sent successfully to ${toEmail}`);
   return data;
-}
\ No newline at end of file
+}
+
+// --- Time zone helpers ---
+// Classes are scheduled as a weekday and wall-clock time in the class's IANA
+// time zone; users may set their own zone in prefs.timeZone.
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Hong_Kong';
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_SESSION_MINUTES = 60;
+
+// Parse "7:00 PM" or "19:00" into minutes after midnight
+function parseTimeOfDay(timeStr) {
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec((timeStr || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = match[3]?.toUpperCase();
+
+  if (period === 'PM' && hours !== 12) hours += 12;
+  if (period === 'AM' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+// Minutes the time zone is ahead of UTC at the given instant
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+// Convert a wall-clock date and time in a time zone into a UTC instant
+function zonedTimeToUtc(dateStr, minutesAfterMidnight, timeZone) {
+  const wallClock = new Date(`${dateStr}T00:00:00Z`).getTime() + minutesAfterMidnight * 60000;
+  // Apply the offset twice so instants next to a DST change land correctly
+  const firstGuess = wallClock - getTimeZoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  return new Date(wallClock - getTimeZoneOffsetMinutes(new Date(firstGuess), timeZone) * 60000);
+}
+
+// First session date ("YYYY-MM-DD"): the first class day on or after the term
+// start, or the next occurrence of the day in the class's zone for classes
+// without a term
+function getFirstSessionDate(day, schedule = {}) {
+  const timeZone = schedule.timeZone || DEFAULT_TIME_ZONE;
+  const fromDate = new Date(`${schedule.termStartDate || new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date())}T00:00:00Z`);
+
+  let daysUntilTarget = (DAY_NAMES.indexOf(day) - fromDate.getUTCDay() + 7) % 7;
+  if (!schedule.termStartDate && daysUntilTarget === 0) {
+    daysUntilTarget = 7; // Next week
+  }
+
+  fromDate.setUTCDate(fromDate.getUTCDate() + daysUntilTarget);
+  return fromDate.toISOString().slice(0, 10);
+}
+
+// A user's preferred time zone from their prefs, falling back to the default
+async function getUserTimeZone(users, userId) {
+  try {
+    const prefs = await users.getPrefs(userId);
+    new Intl.DateTimeFormat('en-US', { timeZone: prefs.timeZone });
+    return prefs.timeZone || DEFAULT_TIME_ZONE;
+  } catch (err) {
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+// Describe a class's day and time as seen from another time zone. sessionDate
+// picks a specific session; otherwise the first one is used so the right
+// offset applies. Returns { day, date, time, timeRange, zoneLabel } for use
+// in emails, where timeRange runs to the end of the session.
+function describeClassTime(day, time, schedule, recipientTimeZone, sessionDate) {
+  const classTimeZone = schedule?.timeZone || DEFAULT_TIME_ZONE;
+  const startMinutes = parseTimeOfDay(time);
+  if (startMinutes === null || !DAY_NAMES.includes(day)) {
+    return { day, date: sessionDate || day, time, timeRange: time, zoneLabel: classTimeZone };
+  }
+
+  const startsAt = zonedTimeToUtc(sessionDate || getFirstSessionDate(day, schedule || {}), startMinutes, classTimeZone);
+  const endsAt = new Date(startsAt.getTime() + (schedule?.sessionDuration || DEFAULT_SESSION_MINUTES) * 60 * 1000);
+  const format = (options) => new Intl.DateTimeFormat('en-GB', { timeZone: recipientTimeZone, ...options }).format(startsAt);
+  const formatTime = (date) => new Intl.DateTimeFormat('en-US', { timeZone: recipientTimeZone, hour: 'numeric', minute: '2-digit' }).format(date);
+
+  return {
+    day: format({ weekday: 'long' }),
+    date: format({ weekday: 'long', day: 'numeric', month: 'long' }),
+    time: formatTime(startsAt),
+    timeRange: `${formatTime(startsAt)} - ${formatTime(endsAt)}`,
+    zoneLabel: recipientTimeZone
+  };
+}
+
+// The calendar and time zone helpers, exported for the tests
+Object.assign(module.exports, { generateICalData, buildVTimeZone });
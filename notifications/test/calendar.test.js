@@ -0,0 +1,82 @@
+// The iCal attachment: times carry the class's TZID and the VTIMEZONE lists
+// the offset changes the term goes through
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateICalData, buildVTimeZone } = require('../src/main.js');
+
+test('a zone without daylight saving has a single observance', () => {
+  assert.deepEqual(buildVTimeZone('Asia/Hong_Kong', '2026-03-02', '2026-06-29'), [
+    'BEGIN:VTIMEZONE',
+    'TZID:Asia/Hong_Kong',
+    'BEGIN:STANDARD',
+    'DTSTART:20260301T080000',
+    'TZOFFSETFROM:+0800',
+    'TZOFFSETTO:+0800',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ]);
+});
+
+test('a spring term lists the change to daylight saving at its local time', () => {
+  assert.deepEqual(buildVTimeZone('America/New_York', '2026-03-02', '2026-04-27'), [
+    'BEGIN:VTIMEZONE',
+    'TZID:America/New_York',
+    'BEGIN:STANDARD',
+    'DTSTART:20260228T190000',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0500',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:20260308T020000',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE'
+  ]);
+});
+
+test('an autumn term starts in daylight saving and changes back to standard time', () => {
+  assert.deepEqual(buildVTimeZone('America/New_York', '2026-10-05', '2026-11-30'), [
+    'BEGIN:VTIMEZONE',
+    'TZID:America/New_York',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:20261003T200000',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0400',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'DTSTART:20261101T020000',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ]);
+});
+
+test('the event is written in the class time zone and ends the recurrence in UTC', () => {
+  const ical = generateICalData('conversation', 'Monday', '7:00 PM', 'Student 1', {
+    classId: 'class-1',
+    sequence: 1,
+    schedule: {
+      timeZone: 'America/New_York',
+      termStartDate: '2026-03-02',
+      termEndDate: '2026-04-27',
+      sessionDuration: 90,
+      skipDates: ['2026-03-16']
+    }
+  });
+  const lines = ical.split('\n');
+
+  assert.ok(lines.includes('UID:class-class-1@mandarintutorhk.com'));
+  assert.ok(lines.includes('DTSTART;TZID=America/New_York:20260302T190000'));
+  assert.ok(lines.includes('DTEND;TZID=America/New_York:20260302T203000'));
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;UNTIL=20260428T035900Z'));
+  assert.ok(lines.includes('EXDATE;TZID=America/New_York:20260316T190000'));
+  assert.ok(lines.includes('TZID:America/New_York'));
+  assert.ok(lines.includes('BEGIN:DAYLIGHT'));
+});
+
+test('no calendar entry is made when the day or time can not be read', () => {
+  assert.equal(generateICalData('conversation', 'Moonday', '19:00', 'Student 1'), null);
+  assert.equal(generateICalData('conversation', 'Monday', '7 PM', 'Student 1'), null);
+});
@@ -9,9 +9,201 @@ const sendJsonResponse = (res, statusCode, data, log, logError) => {
   } else {
     log ? log(responseLogMessage) : console.log(responseLogMessage);
   }
-  return res.json(data);
+  return res.json(data, statusCode);
 };
 
+// Identify the caller. A copy of resolveCaller in classManagement, which
+// explains it; keep the two the same.
+const resolveCaller = async (req, users) => {
+  const headers = req.headers || {};
+  const internalToken = process.env.INTERNAL_FUNCTION_TOKEN;
+  if (headers['x-appwrite-trigger'] === 'schedule' || (internalToken && headers['x-internal-token'] === internalToken)) {
+    return { userId: null, name: null, email: null, labels: [], isAdmin: true, isTutor: false, isInternal: true };
+  }
+
+  const userId = headers['x-appwrite-user-id'];
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    const user = await users.get(userId);
+    const labels = user.labels || [];
+    return {
+      userId,
+      name: user.name,
+      email: user.email,
+      labels,
+      isAdmin: labels.includes('admin'),
+      isTutor: labels.includes('tutor'),
+      isInternal: false
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Time zone used for users who have not chosen one
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Hong_Kong';
+
+// Check that a string is an IANA time zone the runtime knows
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Parse "7:00 PM" or "19:00" into minutes after midnight
+const parseTimeOfDay = (timeStr) => {
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec((timeStr || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = match[3]?.toUpperCase();
+
+  if (period === 'PM' && hours !== 12) hours += 12;
+  if (period === 'AM' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+// Check a tutor's weekly working hours, e.g. [{ day: 'Monday', start: '09:00', end: '17:00' }],
+// returning an error message or null
+const validateWorkingHours = (workingHours) => {
+  if (!Array.isArray(workingHours)) {
+    return 'workingHours must be a list of { day, start, end }';
+  }
+  for (const block of workingHours) {
+    if (!DAY_NAMES.includes(block.day)) {
+      return `Invalid day in working hours: ${block.day}`;
+    }
+    const start = parseTimeOfDay(block.start);
+    const end = parseTimeOfDay(block.end);
+    if (start === null || end === null || start >= end) {
+      return `Working hours on ${block.day} must have a start time before the end time`;
+    }
+  }
+  return null;
+};
+
+// Longest before/after value stored in the audit log, in characters of JSON
+const AUDIT_VALUE_MAX_LENGTH = 10000;
+
+// Store an audit before/after value as JSON, cut short if it is too long
+const serializeAuditValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const json = JSON.stringify(value);
+  return json.length > AUDIT_VALUE_MAX_LENGTH
+    ? JSON.stringify({ truncated: true, preview: json.slice(0, AUDIT_VALUE_MAX_LENGTH - 100) })
+    : json;
+};
+
+// Create the audit writer for one request, bound to its caller. Entries are
+// only ever created; a failed write is logged and does not fail the action.
+const createAuditLogger = (databases, databaseId, auditLogCollectionId, caller, logError) =>
+  async (action, targetType, targetId, before, after) => {
+    try {
+      await databases.createDocument(databaseId, auditLogCollectionId, ID.unique(), {
+        functionName: 'userAuth',
+        action,
+        actorId: caller?.userId || null,
+        actorType: caller ? (caller.isInternal ? 'internal' : 'user') : 'anonymous',
+        targetType,
+        targetId: targetId || null,
+        before: serializeAuditValue(before),
+        after: serializeAuditValue(after),
+        createdAt: new Date().toISOString()
+      });
+    } catch (err) {
+      logError(`Failed to write audit entry for ${action} on ${targetId}: ${err.message}`);
+    }
+  };
+
+// Placement levels from lowest to highest; keep in sync with classManagement
+const STUDENT_LEVELS = ['beginner', 'elementary', 'intermediate', 'upper-intermediate', 'advanced'];
+
+// How many placement results to keep in a student's preferences
+const MAX_PLACEMENT_RESULTS = 20;
+
+// Fields of the default enrollment policy in admin settings; keep in sync
+// with classManagement, which enforces them
+const ENROLLMENT_POLICY_FIELDS = ['joinCutoffHours', 'leaveCutoffHours', 'maxClassesPerStudent', 'allowLateJoin'];
+
+// Check an enrollment policy object, returning an error message or null
+const validateEnrollmentPolicy = (policy) => {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    return 'enrollmentPolicy must be an object';
+  }
+  const unknownField = Object.keys(policy).find(field => !ENROLLMENT_POLICY_FIELDS.includes(field));
+  if (unknownField) {
+    return `Unknown enrollment policy field: ${unknownField}`;
+  }
+  for (const field of ['joinCutoffHours', 'leaveCutoffHours']) {
+    if (policy[field] !== undefined && policy[field] !== null && !(typeof policy[field] === 'number' && policy[field] >= 0)) {
+      return `${field} must be a number of hours, 0 or more`;
+    }
+  }
+  if (policy.maxClassesPerStudent !== undefined && policy.maxClassesPerStudent !== null &&
+      !(Number.isInteger(policy.maxClassesPerStudent) && policy.maxClassesPerStudent >= 1)) {
+    return 'maxClassesPerStudent must be a whole number, 1 or more';
+  }
+  if (policy.allowLateJoin !== undefined && typeof policy.allowLateJoin !== 'boolean') {
+    return 'allowLateJoin must be true or false';
+  }
+  return null;
+};
+
+// Fields of the availability matching settings; keep in sync with
+// availabilityManagement, which uses them to turn matches into classes
+const AVAILABILITY_MATCHING_FIELDS = ['classTypeId', 'minGroupSize', 'requireApproval'];
+
+// Check the availability matching settings, returning an error message or null
+const validateAvailabilityMatching = (matching) => {
+  if (typeof matching !== 'object' || matching === null || Array.isArray(matching)) {
+    return 'availabilityMatching must be an object';
+  }
+  const unknownField = Object.keys(matching).find(field => !AVAILABILITY_MATCHING_FIELDS.includes(field));
+  if (unknownField) {
+    return `Unknown availability matching field: ${unknownField}`;
+  }
+  if (matching.classTypeId !== undefined && matching.classTypeId !== null &&
+      !(typeof matching.classTypeId === 'string' && matching.classTypeId.length > 0)) {
+    return 'classTypeId must be a class type id';
+  }
+  if (matching.minGroupSize !== undefined && matching.minGroupSize !== null &&
+      !(Number.isInteger(matching.minGroupSize) && matching.minGroupSize >= 2)) {
+    return 'minGroupSize must be a whole number, 2 or more';
+  }
+  if (matching.requireApproval !== undefined && typeof matching.requireApproval !== 'boolean') {
+    return 'requireApproval must be true or false';
+  }
+  return null;
+};
+
+// Actions anyone may call, even without signing in
+const PUBLIC_ACTIONS = ['register'];
+
+// Actions a user may call for their own account only
+const SELF_ACTIONS = ['getProfile', 'verifyAdmin', 'verifyTutor', 'updatePreferences', 'updateWorkingHours'];
+
+// Actions that require the admin label
+const ADMIN_ACTIONS = [
+  'getUsersByClass', 'getAdminSettings', 'updateAdminSettings', 'getTutors', 'setPlacementLevel', 'recordPlacementResult'
+];
+
 export default async ({ req, res, log, error: logError }) => {
   log("userAuth function invoked.");
   log(`Request Method: ${req.method}`);
@@ -25,6 +217,8 @@ export default async ({ req, res, log, error: logError }) => {
     const apiKey = process.env.APPWRITE_API_KEY;
     const databaseId = process.env.DATABASE_ID;
     const adminSettingsCollectionId = process.env.ADMIN_SETTINGS_COLLECTION_ID || 'admin_settings';
+    const enrollmentsCollectionId = process.env.ENROLLMENTS_COLLECTION_ID || 'enrollments';
+    const auditLogCollectionId = process.env.AUDIT_LOG_COLLECTION_ID || 'audit_log';
     const appwriteEndpoint = process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1';
 
     if (!projectId) {
@@ -62,10 +256,53 @@ export default async ({ req, res, log, error: logError }) => {
         action: 'unknown'
       }, log, logError);
     }
+
+    // --- Caller Authorization ---
+    const caller = await resolveCaller(req, users);
+    log(`Caller: ${caller ? (caller.isInternal ? 'internal' : caller.userId) : 'anonymous'}`);
+
+    if (!caller && !PUBLIC_ACTIONS.includes(action)) {
+      return sendJsonResponse(res, 401, {
+        success: false,
+        message: 'You must be signed in to do this',
+        action
+      }, log, logError);
+    }
+
+    if (ADMIN_ACTIONS.includes(action) && !caller.isAdmin) {
+      return sendJsonResponse(res, 403, {
+        success: false,
+        message: 'Admin access required',
+        action
+      }, log, logError);
+    }
+
+    if (SELF_ACTIONS.includes(action)) {
+      if (!data.userId) {
+        data.userId = caller.userId;
+      } else if (data.userId !== caller.userId && !caller.isAdmin) {
+        return sendJsonResponse(res, 403, {
+          success: false,
+          message: 'You can only do this for your own account',
+          action
+        }, log, logError);
+      }
+    }
+
+    // Mutating actions record who changed what through this
+    const audit = createAuditLogger(databases, databaseId, auditLogCollectionId, caller, logError);
     
     switch (action) {
       case 'register':
         log(`Executing action: register for email: ${data.email}`);
+        if (data.timeZone && !isValidTimeZone(data.timeZone)) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'timeZone must be an IANA time zone such as "Asia/Hong_Kong"',
+            action: 'register'
+          }, log, logError);
+        }
+
         // Register new user
         const newUser = await users.create(
           'unique()', 
@@ -74,9 +311,19 @@ export default async ({ req, res, log, error: logError }) => {
           data.name
         );
         
-        // Add phone to preferences
-        await users.updatePrefs(newUser.$id, { phone: data.phone });
+        // Add phone and preferred time zone to preferences
+        await users.updatePrefs(newUser.$id, {
+          phone: data.phone,
+          timeZone: data.timeZone || DEFAULT_TIME_ZONE
+        });
         
+        await audit('register', 'user', newUser.$id, null, {
+          email: data.email,
+          name: data.name,
+          phone: data.phone || null,
+          timeZone: data.timeZone || DEFAULT_TIME_ZONE
+        });
+
         log(`User registered successfully with ID: ${newUser.$id}`);
         return sendJsonResponse(res, 200, {
           success: true,
@@ -97,11 +344,44 @@ export default async ({ req, res, log, error: logError }) => {
             id: user.$id,
             name: user.name,
             email: user.email,
-            phone: prefs.phone
+            phone: prefs.phone,
+            timeZone: prefs.timeZone || DEFAULT_TIME_ZONE,
+            placementLevel: prefs.placementLevel || null,
+            ...(prefs.workingHours && { workingHours: prefs.workingHours })
           },
           action: 'getProfile'
         }, log, logError);
 
+      case 'updatePreferences':
+        log(`Executing action: updatePreferences for userId: ${data.userId}`);
+        if (data.timeZone !== undefined && !isValidTimeZone(data.timeZone)) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'timeZone must be an IANA time zone such as "Asia/Hong_Kong"',
+            action: 'updatePreferences'
+          }, log, logError);
+        }
+
+        // updatePrefs replaces the whole object, so merge with what is stored
+        const currentPrefs = await users.getPrefs(data.userId);
+        const updatedPrefs = { ...currentPrefs };
+        if (data.phone !== undefined) updatedPrefs.phone = data.phone;
+        if (data.timeZone !== undefined) updatedPrefs.timeZone = data.timeZone;
+        await users.updatePrefs(data.userId, updatedPrefs);
+        await audit('updatePreferences', 'user', data.userId,
+          { phone: currentPrefs.phone ?? null, timeZone: currentPrefs.timeZone ?? null },
+          { phone: updatedPrefs.phone ?? null, timeZone: updatedPrefs.timeZone ?? null });
+
+        log(`Preferences updated for user ${data.userId}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          preferences: {
+            phone: updatedPrefs.phone,
+            timeZone: updatedPrefs.timeZone || DEFAULT_TIME_ZONE
+          },
+          action: 'updatePreferences'
+        }, log, logError);
+
       case 'verifyAdmin':
         log(`Executing action: verifyAdmin for userId: ${data.userId}`);
         // Check if user has admin label
@@ -116,44 +396,179 @@ export default async ({ req, res, log, error: logError }) => {
           action: 'verifyAdmin'
         }, log, logError);
 
+      case 'verifyTutor':
+        log(`Executing action: verifyTutor for userId: ${data.userId}`);
+        // Check if user has tutor label
+        const tutorUser = await users.get(data.userId);
+        const isTutor = tutorUser.labels && tutorUser.labels.includes('tutor');
+
+        log(`Tutor verification result for user ${data.userId}: ${isTutor}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          isTutor: isTutor,
+          userId: data.userId,
+          action: 'verifyTutor'
+        }, log, logError);
+
+      case 'updateWorkingHours':
+        log(`Executing action: updateWorkingHours for userId: ${data.userId}`);
+        const workingHoursUser = await users.get(data.userId);
+        if (!(workingHoursUser.labels || []).includes('tutor')) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'Working hours can only be set for tutors',
+            action: 'updateWorkingHours'
+          }, log, logError);
+        }
+
+        const workingHoursError = validateWorkingHours(data.workingHours);
+        if (workingHoursError) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: workingHoursError,
+            action: 'updateWorkingHours'
+          }, log, logError);
+        }
+
+        const tutorPrefs = await users.getPrefs(data.userId);
+        await users.updatePrefs(data.userId, { ...tutorPrefs, workingHours: data.workingHours });
+        await audit('updateWorkingHours', 'user', data.userId,
+          { workingHours: tutorPrefs.workingHours || [] },
+          { workingHours: data.workingHours });
+
+        log(`Working hours updated for tutor ${data.userId}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          workingHours: data.workingHours,
+          action: 'updateWorkingHours'
+        }, log, logError);
+
+      case 'getTutors':
+        log(`Executing action: getTutors`);
+        const tutorList = await users.list([Query.contains('labels', 'tutor'), Query.limit(100)]);
+
+        const tutors = [];
+        for (const tutor of tutorList.users) {
+          const prefsForTutor = await users.getPrefs(tutor.$id);
+          tutors.push({
+            id: tutor.$id,
+            name: tutor.name,
+            email: tutor.email,
+            timeZone: prefsForTutor.timeZone || DEFAULT_TIME_ZONE,
+            workingHours: prefsForTutor.workingHours || []
+          });
+        }
+
+        log(`Found ${tutors.length} tutors`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          tutors,
+          action: 'getTutors'
+        }, log, logError);
+
+      case 'setPlacementLevel':
+        log(`Executing action: setPlacementLevel for userId: ${data.userId}, level: ${data.level}`);
+        if (!data.userId || (data.level !== null && !STUDENT_LEVELS.includes(data.level))) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: `setPlacementLevel needs a userId and a level of ${STUDENT_LEVELS.join(', ')} (or null to clear it)`,
+            action: 'setPlacementLevel'
+          }, log, logError);
+        }
+
+        const placementPrefs = await users.getPrefs(data.userId);
+        await users.updatePrefs(data.userId, { ...placementPrefs, placementLevel: data.level });
+        await audit('setPlacementLevel', 'user', data.userId,
+          { placementLevel: placementPrefs.placementLevel || null },
+          { placementLevel: data.level });
+
+        log(`Placement level for user ${data.userId} set to ${data.level}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          placementLevel: data.level,
+          action: 'setPlacementLevel'
+        }, log, logError);
+
+      case 'recordPlacementResult':
+        log(`Executing action: recordPlacementResult for userId: ${data.userId}, level: ${data.level}`);
+        // A placement test result, e.g. { testName: 'HSK mock', score: 72, level: 'intermediate' },
+        // is kept in the student's history and sets their placement level
+        if (!data.userId || !STUDENT_LEVELS.includes(data.level)) {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: `recordPlacementResult needs a userId and a level of ${STUDENT_LEVELS.join(', ')}`,
+            action: 'recordPlacementResult'
+          }, log, logError);
+        }
+        if (data.score !== undefined && typeof data.score !== 'number') {
+          return sendJsonResponse(res, 400, {
+            success: false,
+            message: 'score must be a number',
+            action: 'recordPlacementResult'
+          }, log, logError);
+        }
+
+        const resultPrefs = await users.getPrefs(data.userId);
+        const placementResult = {
+          testName: data.testName || null,
+          score: data.score ?? null,
+          level: data.level,
+          notes: data.notes || '',
+          recordedBy: caller.userId || 'system',
+          recordedAt: new Date().toISOString()
+        };
+        const placementResults = [...(resultPrefs.placementResults || []), placementResult].slice(-MAX_PLACEMENT_RESULTS);
+        await users.updatePrefs(data.userId, { ...resultPrefs, placementLevel: data.level, placementResults });
+        await audit('recordPlacementResult', 'user', data.userId,
+          { placementLevel: resultPrefs.placementLevel || null },
+          { placementLevel: data.level, result: placementResult });
+
+        log(`Placement result recorded for user ${data.userId}, level now ${data.level}`);
+        return sendJsonResponse(res, 200, {
+          success: true,
+          placementLevel: data.level,
+          result: placementResult,
+          action: 'recordPlacementResult'
+        }, log, logError);
+
       case 'getUsersByClass':
-        log(`Executing action: getUsersByClass for ${data.members?.length || 0} members`);
-        // Get enrolled students for a specific class
-        // This will parse the members array to get user details
+        log(`Executing action: getUsersByClass for classId: ${data.classId}`);
+        // Get enrolled students for a specific class from the enrollments collection
+        const classEnrollments = await databases.listDocuments(
+          databaseId,
+          enrollmentsCollectionId,
+          [
+            Query.equal('classId', data.classId),
+            Query.equal('status', 'enrolled'),
+            Query.orderAsc('joinedAt'),
+            Query.limit(100)
+          ]
+        );
+
         const memberDetails = [];
-        
-        if (data.members && Array.isArray(data.members)) {
-          for (const memberStr of data.members) {
-            try {
-              const member = JSON.parse(memberStr);
-              if (member.userId) {
-                try {
-                  const memberUser = await users.get(member.userId);
-                  const memberPrefs = await users.getPrefs(member.userId);
-                  
-                  memberDetails.push({
-                    userId: member.userId,
-                    name: member.name || memberUser.name,
-                    email: memberUser.email,
-                    phone: memberPrefs.phone || '',
-                    joinedAt: member.joinedAt || 'Unknown'
-                  });
-                } catch (userError) {
-                  logError(`Error fetching user details for ${member.userId}: ${userError.message}`);
-                  // If can't fetch user details, include basic info
-                  memberDetails.push({
-                    userId: member.userId,
-                    name: member.name || 'Unknown',
-                    email: 'Unknown',
-                    phone: 'Unknown',
-                    joinedAt: member.joinedAt || 'Unknown',
-                    error: 'Could not fetch user details'
-                  });
-                }
-              }
-            } catch (parseError) {
-              logError(`Error parsing member: ${parseError.message}`);
-            }
+        for (const enrollment of classEnrollments.documents) {
+          try {
+            const memberUser = await users.get(enrollment.userId);
+            const memberPrefs = await users.getPrefs(enrollment.userId);
+
+            memberDetails.push({
+              userId: enrollment.userId,
+              name: enrollment.name || memberUser.name,
+              email: memberUser.email,
+              phone: memberPrefs.phone || '',
+              joinedAt: enrollment.joinedAt || 'Unknown'
+            });
+          } catch (userError) {
+            logError(`Error fetching user details for ${enrollment.userId}: ${userError.message}`);
+            // If can't fetch user details, include basic info
+            memberDetails.push({
+              userId: enrollment.userId,
+              name: enrollment.name || 'Unknown',
+              email: enrollment.email || 'Unknown',
+              phone: enrollment.phone || 'Unknown',
+              joinedAt: enrollment.joinedAt || 'Unknown',
+              error: 'Could not fetch user details'
+            });
           }
         }
         
@@ -206,9 +621,33 @@ export default async ({ req, res, log, error: logError }) => {
         try {
           // Validate email format
           const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-          if (!data.settings.notificationEmail || !emailRegex.test(data.settings.notificationEmail)) {
+          if (data.settings.notificationEmail !== undefined && !emailRegex.test(data.settings.notificationEmail)) {
             throw new Error('Invalid email address format');
           }
+          if (data.settings.creditRefundCutoffHours !== undefined &&
+            !(typeof data.settings.creditRefundCutoffHours === 'number' && data.settings.creditRefundCutoffHours >= 0)) {
+            throw new Error('creditRefundCutoffHours must be a number of hours, 0 or more');
+          }
+          if (data.settings.archiveRetentionDays !== undefined &&
+            !(Number.isInteger(data.settings.archiveRetentionDays) && data.settings.archiveRetentionDays >= 1)) {
+            throw new Error('archiveRetentionDays must be a whole number of days, 1 or more');
+          }
+          if (data.settings.bookingCancellationHours !== undefined &&
+            !(typeof data.settings.bookingCancellationHours === 'number' && data.settings.bookingCancellationHours >= 0)) {
+            throw new Error('bookingCancellationHours must be a number of hours, 0 or more');
+          }
+          if (data.settings.enrollmentPolicy !== undefined) {
+            const policyError = validateEnrollmentPolicy(data.settings.enrollmentPolicy);
+            if (policyError) {
+              throw new Error(policyError);
+            }
+          }
+          if (data.settings.availabilityMatching !== undefined) {
+            const matchingError = validateAvailabilityMatching(data.settings.availabilityMatching);
+            if (matchingError) {
+              throw new Error(matchingError);
+            }
+          }
 
           // Try to get existing settings document
           const existingSettings = await databases.listDocuments(
@@ -217,6 +656,17 @@ export default async ({ req, res, log, error: logError }) => {
             [Query.limit(1)]
           );
           
+          const settingsBefore = existingSettings.documents.length > 0
+            ? JSON.parse(existingSettings.documents[0].settings)
+            : null;
+
+          // The settings are stored as one blob, so merge with what is stored
+          // rather than dropping every setting the request leaves out
+          const updatedSettings = { ...settingsBefore, ...data.settings };
+          if (!updatedSettings.notificationEmail) {
+            throw new Error('Invalid email address format');
+          }
+
           let settingsDoc;
           if (existingSettings.documents.length > 0) {
             // Update existing document
@@ -225,7 +675,7 @@ export default async ({ req, res, log, error: logError }) => {
               adminSettingsCollectionId,
               existingSettings.documents[0].$id,
               {
-                settings: JSON.stringify(data.settings),  // <-- Fixed
+                settings: JSON.stringify(updatedSettings),
                 updatedAt: new Date().toISOString()
               }
             );
@@ -236,17 +686,19 @@ export default async ({ req, res, log, error: logError }) => {
               adminSettingsCollectionId,
               ID.unique(),
               {
-                settings: JSON.stringify(data.settings),  // <-- Fixed
+                settings: JSON.stringify(updatedSettings),
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
               }
             );
           }
           
+          await audit('updateAdminSettings', 'adminSettings', settingsDoc.$id, settingsBefore, updatedSettings);
+
           log(`Admin settings updated successfully`);
           return sendJsonResponse(res, 200, {
             success: true,
-            settings: data.settings,
+            settings: updatedSettings,
             action: 'updateAdminSettings'
           }, log, logError);
         } catch (error) {